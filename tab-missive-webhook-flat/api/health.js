@@ -0,0 +1,27 @@
+// api/health.js
+// Framework: Vercel "Other" (Node 18+)
+// Dependency health for operators and uptime checks: configuration errors, Missive token,
+// OpenAI reachability and vector store readiness (lib/health.js). Answers 200 when every
+// check passes, else 503, with the per-check report. Needs Authorization: Bearer <ADMIN_TOKEN>.
+
+const { checkAdminToken } = require("../lib/admin-auth");
+const { runHealthChecks } = require("../lib/health");
+const { createLogger } = require("../lib/log");
+
+module.exports = async (req, res) => {
+  const log = createLogger({ route: "health" });
+  const denied = checkAdminToken(req);
+  if (denied) {
+    log.warn("health.rejected", { status: denied.status });
+    return res.status(denied.status).json({ error: denied.error });
+  }
+  try {
+    const report = await runHealthChecks();
+    const failed = report.checks.filter((c) => !c.ok).map((c) => c.name);
+    (failed.length ? log.warn : log.info)("health.checked", { ok: report.ok, failed });
+    return res.status(report.ok ? 200 : 503).json(report);
+  } catch (err) {
+    log.error("health.failed", { error: err });
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+};
@@ -0,0 +1,53 @@
+// api/missive-outgoing.js
+// Framework: Vercel "Other" (Node 18+)
+// Missive webhook for outgoing messages (a rule on "Outgoing email"): verifies the delivery
+// like api/missive-inbound.js, then queues a feedback job that matches the sent message to
+// the bot draft it came from and stores the edit distance and paragraph diff
+// (lib/feedback.js). Signed with MISSIVE_OUTGOING_WEBHOOK_SECRET, else MISSIVE_WEBHOOK_SECRET.
+
+const {
+  WebhookAuthError,
+  readRawBody,
+  authenticateDelivery,
+  releaseDelivery,
+} = require("../lib/webhook-auth");
+const { enqueueFeedback } = require("../lib/worker");
+const { createLogger } = require("../lib/log");
+
+module.exports = async (req, res) => {
+  const log = createLogger({ route: "missive-outgoing" });
+  let delivery;
+  try {
+    // Health check / GET ping
+    if (req.method !== "POST") return res.status(200).send("ok");
+
+    delivery = await authenticateDelivery(await readRawBody(req), req.headers, {
+      secret: process.env.MISSIVE_OUTGOING_WEBHOOK_SECRET || process.env.MISSIVE_WEBHOOK_SECRET,
+    });
+    const payload = delivery.payload;
+    if (!delivery.dated) log.warn("webhook.undated", { deliveryId: delivery.deliveryId });
+    const message = payload?.message || payload?.latest_message;
+    const convoId = payload?.conversation?.id;
+    if (!convoId || !message?.id) {
+      return res.status(400).json({ error: "Missing conversation.id or message.id in Missive payload" });
+    }
+
+    const job = await enqueueFeedback({
+      conversationId: convoId,
+      messageId: message.id,
+      deliveryId: delivery.deliveryId,
+      requestId: log.runId,
+    });
+    log.info("webhook.queued", { jobId: job.id, jobType: "feedback", conversationId: convoId });
+
+    return res.status(202).json({ ok: true, queued: job.id });
+  } catch (err) {
+    if (err instanceof WebhookAuthError) {
+      log.warn("webhook.rejected", { status: err.status, error: err });
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (delivery) await releaseDelivery(delivery.deliveryId).catch(() => {});
+    log.error("webhook.failed", { error: err });
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+};
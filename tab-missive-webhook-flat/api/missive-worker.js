@@ -0,0 +1,28 @@
+// api/missive-worker.js
+// Queue worker: runs due jobs queued by api/missive-inbound.js until the queue is empty or
+// the time budget (WORKER_BUDGET_SECONDS, default 240) is spent. Vercel Cron calls it every
+// minute (vercel.json) with Authorization: Bearer <CRON_SECRET>. Any other caller gets a 401,
+// and every caller a 503 until CRON_SECRET is set: draining the queue spends model budget.
+
+const { drainQueue } = require("../lib/worker");
+const { checkBearerToken } = require("../lib/admin-auth");
+const { createLogger } = require("../lib/log");
+
+module.exports = async (req, res) => {
+  const log = createLogger({ route: "missive-worker" });
+  try {
+    const denied = checkBearerToken(req, "CRON_SECRET");
+    if (denied) {
+      log.warn("worker.rejected", { status: denied.status });
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const budgetSeconds = Number(process.env.WORKER_BUDGET_SECONDS || 240);
+    const results = await drainQueue({ budgetMs: budgetSeconds * 1000 });
+    log.info("worker.drained", { ran: results.length });
+    return res.status(200).json({ ok: true, ran: results.length, results });
+  } catch (err) {
+    log.error("worker.failed", { error: err });
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+};
@@ -0,0 +1,71 @@
+// api/preview.js
+// Framework: Vercel "Other" (Node 18+)
+// Dry-run preview for operators: runs the drafting pipeline for a conversation and returns
+// the prompt, classification, retrieved sources and final HTML without creating a draft or
+// writing anything else to Missive (lib/preview.js). Needs Authorization: Bearer <ADMIN_TOKEN>.
+//   GET  /api/preview?conversation=<id>&profile=<profile id>
+//   POST /api/preview  { "conversationId": "<id>", "profile"?: "<profile id>" }
+//   POST /api/preview  { "thread": { "conversation": { "subject" }, "messages": [...] }, "profile"? }
+
+const { readRawBody } = require("../lib/webhook-auth");
+const { checkAdminToken } = require("../lib/admin-auth");
+const { getProfile, loadInboxConfig } = require("../lib/inbox-config");
+const { getMissiveClient } = require("../lib/missive");
+const { getProvider } = require("../lib/llm");
+const { PreviewRequestError, previewConversation } = require("../lib/preview");
+const { createLogger, runWithLogger, startTimer } = require("../lib/log");
+
+/** The requested inbox profile, or the default one when none is named. */
+function requestedProfile(id) {
+  if (!id) return getProfile();
+  const profile = loadInboxConfig().profiles.find((p) => p.id === id);
+  if (!profile) throw new PreviewRequestError(`Unknown profile: ${id}`);
+  return profile;
+}
+
+/** { conversationId, profile, thread } from the query string or the JSON body. */
+async function readRequest(req) {
+  if (req.method === "GET") {
+    const query = new URL(req.url || "/", "http://localhost").searchParams;
+    return { conversationId: query.get("conversation") || query.get("conversationId"), profile: query.get("profile") };
+  }
+  if (req.method !== "POST") throw new PreviewRequestError("Use GET or POST", 405);
+  const raw = (await readRawBody(req)).toString("utf8");
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw new PreviewRequestError("Body must be JSON");
+  }
+}
+
+module.exports = async (req, res) => {
+  const log = createLogger({ route: "preview" });
+  const denied = checkAdminToken(req);
+  if (denied) {
+    log.warn("preview.rejected", { status: denied.status });
+    return res.status(denied.status).json({ error: denied.error });
+  }
+  return runWithLogger(log, async () => {
+    try {
+      const request = await readRequest(req);
+      if (!request.conversationId && !request.thread) {
+        throw new PreviewRequestError("Give a conversation ID (conversationId) or a raw thread (thread)");
+      }
+      const profile = requestedProfile(request.profile);
+      const elapsed = startTimer();
+      const preview = await previewConversation({
+        client: getMissiveClient(),
+        provider: getProvider(),
+        profile,
+        conversationId: request.thread ? null : String(request.conversationId),
+        thread: request.thread,
+      });
+      log.info("preview.done", { classification: preview.classification, durationMs: elapsed() });
+      return res.status(200).json({ ok: true, runId: log.runId, ...preview });
+    } catch (err) {
+      if (err instanceof PreviewRequestError) return res.status(err.status).json({ error: err.message });
+      log.error("preview.failed", { error: err });
+      return res.status(err.status === 404 ? 404 : 500).json({ error: String(err?.message || err) });
+    }
+  });
+};
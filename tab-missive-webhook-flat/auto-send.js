@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Auto-send kill switch and audit log (lib/auto-send.js). The switch is kept in the store
+ * (STORE_DRIVER), so it takes effect on the next job without a deploy.
+ *
+ * Usage:
+ *   node auto-send.js                           # per-inbox status
+ *   node auto-send.js --off hello "bad answer"  # stop auto-sending for a profile (reason optional)
+ *   node auto-send.js --on hello                # allow it again (the profile must still enable it)
+ *   node auto-send.js --log [n]                 # last n auto-sent messages (default 20)
+ */
+
+const { loadInboxConfig } = require('./lib/inbox-config');
+const { autoSendSettings, getKillSwitch, setKillSwitch, listAutoSends } = require('./lib/auto-send');
+
+function profileOrExit(id) {
+  const profile = loadInboxConfig().profiles.find((p) => p.id === id);
+  if (!profile) {
+    console.error(`❌ Unknown profile: ${id || '(none given)'}`);
+    process.exit(1);
+  }
+  return profile;
+}
+
+async function status() {
+  for (const profile of loadInboxConfig().profiles) {
+    const settings = autoSendSettings(profile);
+    const killSwitch = await getKillSwitch(profile.id);
+    const state = !settings.enabled ? 'not enabled' : killSwitch?.off ? 'OFF (kill switch)' : 'ON';
+    console.log(`${profile.id}: ${state}`);
+    if (settings.enabled) {
+      console.log(
+        `  min confidence ${settings.minConfidence} | classifications ${settings.classifications.join(', ')} | blocklist ${settings.blocklist.length} | delay ${settings.delayMinutes} min | label ${settings.label}`
+      );
+    }
+    if (killSwitch) console.log(`  switched ${killSwitch.off ? 'off' : 'on'} at ${killSwitch.at}${killSwitch.reason ? ` — ${killSwitch.reason}` : ''}`);
+  }
+}
+
+async function main() {
+  const [command, arg, ...rest] = process.argv.slice(2);
+  if (command === '--off' || command === '--on') {
+    const profile = profileOrExit(arg);
+    await setKillSwitch(profile.id, command === '--off', rest.join(' '));
+    console.log(command === '--off' ? `🛑 Auto-send off for ${profile.id}` : `✅ Auto-send allowed for ${profile.id}`);
+    return;
+  }
+  if (command === '--log') {
+    const records = (await listAutoSends()).slice(0, Number(arg) || 20);
+    if (!records.length) console.log('No auto-sent messages on record.');
+    for (const r of records) {
+      const when = r.sendAt ? `scheduled ${r.sendAt}` : 'sent';
+      console.log(
+        `${r.createdAt} ${r.profileId} ${r.conversationId} → ${[...r.to, ...r.cc].join(', ')} | ${when} | ${r.cannedResponse || 'n/a'} (${r.confidence}) | run ${r.runId}`
+      );
+    }
+    return;
+  }
+  await status();
+}
+
+main().catch((error) => {
+  console.error('💥 Auto-send command failed:', error.message);
+  process.exit(1);
+});
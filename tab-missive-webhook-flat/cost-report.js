@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Cost report: what drafting has cost, from the spend lib/costs.js records in the store
+ * (STORE_DRIVER) and the rate table in config/rates.json. Shows the budget status, spend per
+ * day, by inbox and by classification, spend per conversation, and spend per accepted draft
+ * (joined to the feedback snapshots of lib/feedback.js by run ID).
+ *
+ * Usage:
+ *   node cost-report.js              # text report for the last 30 days
+ *   node cost-report.js --days 7     # a shorter window
+ *   node cost-report.js --json       # machine-readable
+ */
+
+const { loadRates, budgetStatus, listSpend, dailySpend, summariseSpend } = require('./lib/costs');
+const { loadFeedback } = require('./lib/feedback');
+
+function parseArgs(argv) {
+  const opts = { json: false, days: 30 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--days') opts.days = Number(argv[++i]);
+  }
+  return opts;
+}
+
+/** Merge per-day group totals ({ name: { cost, runs } }) over the window. */
+function mergeGroups(days, field) {
+  const out = {};
+  for (const day of days) {
+    for (const [name, g] of Object.entries(day[field] || {})) {
+      const m = (out[name] ||= { cost: 0, runs: 0 });
+      m.cost += g.cost;
+      m.runs += g.runs;
+    }
+  }
+  return Object.fromEntries(Object.entries(out).sort(([, a], [, b]) => b.cost - a.cost));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!(opts.days >= 1)) throw new Error('--days must be a number of days');
+  const { currency } = loadRates();
+  const now = Date.now();
+  const since = new Date(now - (opts.days - 1) * 86400000).setUTCHours(0, 0, 0, 0);
+  const [budget, days, runs, snapshots] = await Promise.all([
+    budgetStatus(now),
+    dailySpend(opts.days, now),
+    listSpend(),
+    loadFeedback()
+  ]);
+  const report = {
+    currency,
+    days: opts.days,
+    budget,
+    daily: days.map(({ day, cost, runs: n }) => ({ day, cost, runs: n })),
+    byProfile: mergeGroups(days, 'byProfile'),
+    byClassification: mergeGroups(days, 'byClassification'),
+    ...summariseSpend(runs, snapshots, { since })
+  };
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const money = (v) => (v === null ? 'n/a' : `${v.toFixed(4)} ${currency}`);
+  const cap = (w) => (w.cap === null ? 'no cap' : `cap ${money(w.cap)}`);
+
+  console.log(`# cost report (last ${opts.days} day(s))`);
+  console.log(`budget ${budget.level} | today ${money(budget.day.spent)} (${cap(budget.day)}) | this month ${money(budget.month.spent)} (${cap(budget.month)})`);
+  console.log(`total ${money(report.total)} over ${report.runs} run(s)${report.unpriced ? `, ${report.unpriced} with a model missing from the rate table` : ''}`);
+  console.log('');
+  console.log('## per day');
+  for (const d of report.daily) console.log(`  ${d.day}  ${money(d.cost)}  (${d.runs} run(s))`);
+  console.log('');
+  console.log('## by inbox');
+  for (const [name, g] of Object.entries(report.byProfile)) console.log(`  ${name}: ${money(g.cost)} (${g.runs} run(s))`);
+  console.log('');
+  console.log('## by classification');
+  for (const [name, g] of Object.entries(report.byClassification)) console.log(`  ${name}: ${money(g.cost)} (${g.runs} run(s))`);
+  console.log('');
+  console.log('## per conversation');
+  console.log(`  ${report.conversations} conversation(s), mean ${money(report.perConversation)}`);
+  for (const c of report.topConversations) console.log(`  ${c.conversationId}: ${money(c.cost)} (${c.runs} run(s))`);
+  console.log('');
+  console.log('## per accepted draft');
+  console.log(`  ${report.acceptedDrafts} accepted draft(s)`);
+  console.log(`  all spend per accepted draft ${money(report.perAcceptedDraft)}`);
+  console.log(`  mean cost of the runs behind them ${money(report.acceptedRuns)}`);
+}
+
+main().catch((error) => {
+  console.error('💥 Report failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Local dev server: mounts every function in api/ at /api/<name> (Vercel-style req/res),
+ * runs queued jobs in-process (in place of the Vercel cron worker) and, unless
+ * --live-missive is given, starts the fake Missive API from lib/fake-missive.js on its own
+ * port and points MISSIVE_API_URL at it.
+ *
+ * Usage:
+ *   node dev-server.js                         # http://localhost:3000/api/missive-inbound
+ *   node dev-server.js --trigger <conversation> # send one signed webhook, print the drafts, exit
+ *   node dev-server.js --port 4000 --fixtures path/to/missive-fixtures --live-missive
+ *
+ * Offline defaults (only when unset): MISSIVE_WEBHOOK_SECRET=dev-secret, STORE_DRIVER=memory,
+ * QUEUE_DRIVER=memory, LLM_PROVIDER=mock when there is no OPENAI_API_KEY.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { signPayload } = require('./lib/webhook-auth');
+const { createFakeMissiveServer, loadMissiveFixtures } = require('./lib/fake-missive');
+const { drainQueue } = require('./lib/worker');
+
+const API_DIR = path.join(__dirname, 'api');
+
+function parseArgs(argv) {
+  const opts = { port: 3000, fixtures: undefined, liveMissive: false, trigger: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') opts.port = Number(argv[++i]);
+    else if (arg === '--fixtures') opts.fixtures = path.resolve(argv[++i]);
+    else if (arg === '--live-missive') opts.liveMissive = true;
+    else if (arg === '--trigger') opts.trigger = argv[++i];
+  }
+  return opts;
+}
+
+function applyOfflineDefaults() {
+  process.env.MISSIVE_WEBHOOK_SECRET = process.env.MISSIVE_WEBHOOK_SECRET || 'dev-secret';
+  process.env.STORE_DRIVER = process.env.STORE_DRIVER || 'memory';
+  process.env.QUEUE_DRIVER = process.env.QUEUE_DRIVER || 'memory';
+  if (!process.env.LLM_PROVIDER && !process.env.OPENAI_API_KEY) process.env.LLM_PROVIDER = 'mock';
+}
+
+/** Add the Vercel response helpers the handlers use. */
+function vercelResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+function listen(server, port) {
+  return new Promise((resolve) => server.listen(port, () => resolve(server.address().port)));
+}
+
+/**
+ * Start the fake Missive API (unless liveMissive), the function server and, if pollMs is
+ * set, an in-process worker. Returns { url, missiveUrl, fake, close }.
+ */
+async function startDevServer({ port = 0, fixtures, liveMissive = false, pollMs = null } = {}) {
+  applyOfflineDefaults();
+
+  let fakeServer = null;
+  let missiveUrl = process.env.MISSIVE_API_URL;
+  if (!liveMissive) {
+    fakeServer = createFakeMissiveServer({ conversations: loadMissiveFixtures(fixtures) });
+    const fakePort = await listen(fakeServer, 0);
+    missiveUrl = `http://localhost:${fakePort}/v1`;
+    process.env.MISSIVE_API_URL = missiveUrl;
+  }
+
+  const routes = Object.fromEntries(
+    fs
+      .readdirSync(API_DIR)
+      .filter((f) => f.endsWith('.js'))
+      .map((f) => [`/api/${path.basename(f, '.js')}`, require(path.join(API_DIR, f))])
+  );
+
+  const server = http.createServer(async (req, res) => {
+    const handler = routes[new URL(req.url, 'http://localhost').pathname];
+    vercelResponse(res);
+    if (!handler) return res.status(404).json({ error: 'not found' });
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(error);
+      if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+  });
+  const actualPort = await listen(server, port);
+
+  let poller = null;
+  if (pollMs) {
+    let busy = false;
+    poller = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      await drainQueue().catch((error) => console.error('Worker:', error));
+      busy = false;
+    }, pollMs);
+  }
+
+  return {
+    url: `http://localhost:${actualPort}`,
+    missiveUrl,
+    fake: fakeServer?.fake || null,
+    close: () => {
+      clearInterval(poller);
+      return Promise.all([server, fakeServer].filter(Boolean).map((s) => new Promise((r) => s.close(r))));
+    }
+  };
+}
+
+/** POST a signed Missive-style webhook for a conversation to the local handler. */
+async function triggerWebhook(url, conversationId, secret = process.env.MISSIVE_WEBHOOK_SECRET) {
+  const body = JSON.stringify({
+    rule: { id: 'dev-rule', type: 'incoming_email' },
+    conversation: { id: conversationId },
+    latest_message: { delivered_at: Math.floor(Date.now() / 1000) }
+  });
+  const resp = await fetch(`${url}/api/missive-inbound`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Hook-Signature': signPayload(body, secret) },
+    body
+  });
+  return { status: resp.status, body: await resp.json() };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const dev = await startDevServer({
+    port: opts.trigger ? 0 : opts.port,
+    fixtures: opts.fixtures,
+    liveMissive: opts.liveMissive,
+    pollMs: opts.trigger ? null : 1000
+  });
+
+  if (opts.trigger) {
+    const result = await triggerWebhook(dev.url, opts.trigger);
+    console.log('');
+    console.log('📬 Webhook response:', result.status, JSON.stringify(result.body));
+    const jobs = result.status === 202 ? await drainQueue() : [];
+    for (const job of jobs) console.log('👷 Job:', job.status, JSON.stringify(job.outcome || job.error));
+    if (dev.fake) console.log('📝 Drafts recorded:', JSON.stringify(dev.fake.drafts, null, 2));
+    await dev.close();
+    process.exit(jobs.length && jobs.every((j) => j.status === 'done') ? 0 : 1);
+  }
+
+  console.log(`🚀 Functions on ${dev.url}/api/*`);
+  console.log(`📮 Missive API: ${dev.missiveUrl || 'https://public.missiveapp.com/v1'}${dev.fake ? ' (fake)' : ''}`);
+  console.log(`🔑 Webhook secret: ${process.env.MISSIVE_WEBHOOK_SECRET}`);
+}
+
+module.exports = { startDevServer, triggerWebhook };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('💥 Dev server failed:', error.message);
+    process.exit(1);
+  });
+}
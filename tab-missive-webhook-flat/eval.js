@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Offline evaluation: replays fixture conversations through the same pipeline as
+ * api/missive-inbound.js (thread building, prompt, LLM, post-processing, routing) with a
+ * stubbed Missive client, then scores the outcome against each fixture's expectations.
+ *
+ * Usage:
+ *   node eval.js                       # all fixtures in eval/conversations, recorded LLM output
+ *   node eval.js --provider openai     # live model instead of the recorded responses
+ *   node eval.js --dir path/to/cases --json --verbose
+ *
+ * Fixture format (one JSON file per case):
+ *   {
+ *     "profile": "hello",                       // optional inbox profile ID
+ *     "conversation": { "subject": "..." },
+ *     "messages": [ { "id", "delivered_at", "created_at", "from_field", "body" }, ... ],
+ *     "llm": { "response": <Responses API payload> },   // recorded model output (mock provider)
+ *     "expect": {
+ *       "classification": "reply",
+ *       "language": "fr",                       // detected reply language
+ *       "greeting": "Hi Jane,",                 // or true for any greeting (any language)
+ *       "cta": true,                            // link to the profile website with UTMs
+ *       "required": ["fact that must appear"],
+ *       "banned": ["phrase that must not appear"]
+ *     }
+ *   }
+ *
+ * The report is plain text with stable ordering and no timings, so two runs can be diffed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStubMissiveClient } = require('./lib/missive-stub');
+const { createMemoryStore, setStore } = require('./lib/store');
+const { createProvider } = require('./lib/llm');
+const { createMockProvider } = require('./lib/llm/mock');
+const { loadInboxConfig } = require('./lib/inbox-config');
+const { isSiteUrl } = require('./lib/links');
+const { htmlToText, decodeEntities } = require('./lib/email-body');
+const { localeFor, startsWithGreeting } = require('./lib/language');
+const { processConversation } = require('./lib/pipeline');
+
+/* Phrases no draft should ever contain, on top of each case's own list. */
+const DEFAULT_BANNED = [
+  "I don't know",
+  'as an AI',
+  'language model',
+  '【',
+  '†',
+  '[insert',
+  '{{',
+  'undefined'
+];
+
+function parseArgs(argv) {
+  const opts = { dir: path.join(__dirname, 'eval', 'conversations'), provider: 'mock', json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dir') opts.dir = path.resolve(argv[++i]);
+    else if (arg === '--provider') opts.provider = argv[++i];
+    else if (arg === '--json') opts.json = true;
+    else if (arg === '--verbose') opts.verbose = true;
+  }
+  return opts;
+}
+
+function loadCases(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => ({ name: path.basename(f, '.json'), ...JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')) }));
+}
+
+/** Run one case through the pipeline; returns the outcome and the draft created (if any). */
+async function runCase(testCase, opts) {
+  setStore(createMemoryStore());
+  const client = createStubMissiveClient({
+    [testCase.name]: { conversation: testCase.conversation || {}, messages: testCase.messages || [] }
+  });
+  const provider =
+    opts.provider === 'mock'
+      ? createMockProvider({ fixtures: testCase.llm ? [{ file: 'default.json', ...testCase.llm }] : [] })
+      : createProvider(opts.provider);
+  const config = loadInboxConfig();
+  const profile =
+    config.profiles.find((p) => p.id === testCase.profile) ||
+    config.profiles.find((p) => p.id === config.defaultProfile);
+
+  const outcome = await processConversation({ client, provider, conversationId: testCase.name, profile });
+  return { outcome, draft: client.drafts[0] || null, posts: client.posts, profile };
+}
+
+/** Score a run against the case's expectations. Each check is { name, ok, detail }. */
+function scoreCase(testCase, run) {
+  const expect = testCase.expect || {};
+  const checks = [];
+  const classification = run.outcome.classification || run.outcome.skipped || 'none';
+  // Score what the pipeline wrote, not the configured signature
+  const signature = localeFor(run.profile, run.outcome.language).signature?.html || '';
+  const html = (run.draft?.body || '').replace(signature, '');
+  const text = htmlToText(html);
+
+  if (expect.classification) {
+    checks.push({
+      name: 'classification',
+      ok: classification === expect.classification,
+      detail: `expected ${expect.classification}, got ${classification}`
+    });
+  }
+
+  if (expect.language) {
+    const language = run.outcome.language || 'none';
+    checks.push({ name: 'language', ok: language === expect.language, detail: `expected ${expect.language}, got ${language}` });
+  }
+
+  if (expect.greeting !== undefined && expect.greeting !== false) {
+    const first = text.split('\n')[0].trim();
+    const ok = expect.greeting === true ? startsWithGreeting(first) : first === expect.greeting;
+    checks.push({ name: 'greeting', ok, detail: `first line "${first}"` });
+  }
+
+  if (expect.cta !== undefined) {
+    const hrefs = [...html.matchAll(/<a href="([^"]*)"/g)].map((m) => decodeEntities(m[1]));
+    const utmKeys = Object.keys(run.profile.utm || {});
+    const ctaLinks = hrefs.filter((h) => isSiteUrl(h, run.profile));
+    const tagged = ctaLinks.filter((h) => utmKeys.every((k) => new URL(h).searchParams.has(k)));
+    const ok = expect.cta ? ctaLinks.length > 0 && tagged.length === ctaLinks.length : ctaLinks.length === 0;
+    checks.push({ name: 'cta', ok, detail: `${ctaLinks.length} site link(s), ${tagged.length} with UTMs` });
+  }
+
+  const banned = [...DEFAULT_BANNED, ...(expect.banned || [])];
+  const hits = html ? banned.filter((p) => text.toLowerCase().includes(p.toLowerCase())) : [];
+  checks.push({ name: 'banned', ok: hits.length === 0, detail: hits.length ? `found ${hits.map((h) => `"${h}"`).join(', ')}` : 'none found' });
+
+  if (expect.required?.length) {
+    const missing = expect.required.filter((p) => !text.toLowerCase().includes(p.toLowerCase()));
+    checks.push({
+      name: 'required',
+      ok: missing.length === 0,
+      detail: missing.length ? `missing ${missing.map((m) => `"${m}"`).join(', ')}` : `${expect.required.length}/${expect.required.length}`
+    });
+  }
+  return checks;
+}
+
+function printReport(results) {
+  const width = Math.max(4, ...results.map((r) => r.name.length));
+  console.log('# eval report');
+  for (const r of results) {
+    const summary = r.error ? `error: ${r.error}` : r.checks.map((c) => `${c.name} ${c.ok ? 'ok' : 'FAIL'}`).join(' | ');
+    console.log(`${r.name.padEnd(width)}  ${r.passed ? 'PASS' : 'FAIL'}  ${summary}`);
+  }
+
+  const failures = results.filter((r) => !r.passed && !r.error);
+  if (failures.length) {
+    console.log('');
+    console.log('## failures');
+    for (const r of failures) {
+      for (const c of r.checks.filter((check) => !check.ok)) console.log(`${r.name}: ${c.name}: ${c.detail}`);
+    }
+  }
+
+  console.log('');
+  console.log('## summary');
+  const byCheck = {};
+  for (const r of results) {
+    for (const c of r.checks || []) {
+      byCheck[c.name] = byCheck[c.name] || { ok: 0, total: 0 };
+      byCheck[c.name].total += 1;
+      if (c.ok) byCheck[c.name].ok += 1;
+    }
+  }
+  console.log(`cases ${results.filter((r) => r.passed).length}/${results.length}`);
+  for (const name of Object.keys(byCheck).sort()) {
+    const { ok, total } = byCheck[name];
+    console.log(`${name} ${ok}/${total} (${((ok / total) * 100).toFixed(1)}%)`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cases = loadCases(opts.dir);
+  if (cases.length === 0) {
+    console.error(`❌ No fixtures found in ${opts.dir}`);
+    process.exit(1);
+  }
+
+  // The pipeline logs every step; keep the report readable unless asked
+  const original = { log: console.log, warn: console.warn };
+  const results = [];
+  for (const testCase of cases) {
+    if (!opts.verbose) console.log = console.warn = () => {};
+    try {
+      const run = await runCase(testCase, opts);
+      const checks = scoreCase(testCase, run);
+      results.push({ name: testCase.name, passed: checks.every((c) => c.ok), checks, outcome: run.outcome, html: run.draft?.body || null });
+    } catch (error) {
+      results.push({ name: testCase.name, passed: false, error: error.message });
+    } finally {
+      console.log = original.log;
+      console.warn = original.warn;
+    }
+  }
+
+  if (opts.json) console.log(JSON.stringify(results, null, 2));
+  else printReport(results);
+  if (results.some((r) => !r.passed)) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('💥 Eval failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Feedback report: how agents treated bot drafts, from the snapshots lib/feedback.js keeps
+ * in the store (STORE_DRIVER). Shows acceptance rate, edit rate and the paragraphs agents
+ * most often removed/changed or added, overall, by classification and by canned response.
+ *
+ * Usage:
+ *   node feedback-report.js                    # text report
+ *   node feedback-report.js --json             # machine-readable
+ *   node feedback-report.js --unsent-after 14  # days before an unsent draft counts as unsent (default 7)
+ */
+
+const { loadFeedback, summariseFeedback } = require('./lib/feedback');
+
+function parseArgs(argv) {
+  const opts = { json: false, unsentAfterDays: 7 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--unsent-after') opts.unsentAfterDays = Number(argv[++i]);
+  }
+  return opts;
+}
+
+const pct = (v) => (v === null ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+
+function printGroup(name, g) {
+  console.log(`${name}`);
+  console.log(
+    `  drafts ${g.drafts} | accepted ${g.accepted} | edited ${g.edited} | rewritten ${g.rewritten} | unsent ${g.unsent} | replaced ${g.replaced} | pending ${g.pending}`
+  );
+  console.log(`  acceptance ${pct(g.acceptanceRate)} | mean edit ${pct(g.editRate)}`);
+  for (const c of g.commonlyRemoved) console.log(`  - removed/changed ×${c.count}: ${c.text}`);
+  for (const c of g.commonlyAdded) console.log(`  + added ×${c.count}: ${c.text}`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const report = summariseFeedback(await loadFeedback(), { unsentAfterDays: opts.unsentAfterDays });
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  console.log('# feedback report');
+  printGroup('overall', report.overall);
+  console.log('');
+  console.log('## by classification');
+  for (const [name, g] of Object.entries(report.byClassification)) printGroup(name, g);
+  console.log('');
+  console.log('## by canned response');
+  for (const [name, g] of Object.entries(report.byCannedResponse)) printGroup(name, g);
+}
+
+main().catch((error) => {
+  console.error('💥 Report failed:', error.message);
+  process.exit(1);
+});
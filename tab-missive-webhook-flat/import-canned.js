@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild config/canned-responses.json (lib/canned.js) from knowledge/Canned responses.pdf.
+ *
+ * Each "For businesses …, we usually send this:" heading starts an entry; the paragraphs
+ * after it are the body, and the link instructions that follow ("Where it says 'here', add
+ * this link: …", "Replace 'our website' with this link: …") become links whose URLs are
+ * variables with the PDF's URL as default. Entries already in the JSON keep their ID, title,
+ * triggers and variable descriptions (matched by heading), so curate those in the JSON and
+ * re-run this after the PDF changes. Entries without a heading (written by hand) are kept.
+ *
+ * Usage:
+ *   node import-canned.js                  # write the JSON
+ *   node import-canned.js --dry-run        # print what would change
+ *   node import-canned.js --pdf path/to/file.pdf --out path/to/canned.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pdfToText } = require('./lib/pdf-text');
+const { escapeHtml } = require('./lib/html');
+const { validateCannedResponses, placeholders } = require('./lib/canned');
+
+const HEADING_RE = /^For .+\bsend( them)? this:$/i;
+const INSTRUCTION_RE = /^(Where it says|Replace|The link is)\b/i;
+const URL_RE = /https?:\/\/[^\s<>"]+[^\s<>".,;:!?)]/g;
+
+function parseArgs(argv) {
+  const opts = {
+    pdf: path.join(__dirname, 'knowledge', 'Canned responses.pdf'),
+    out: process.env.CANNED_RESPONSES_FILE || path.join(__dirname, 'config', 'canned-responses.json'),
+    dryRun: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--pdf') opts.pdf = path.resolve(argv[++i]);
+    else if (argv[i] === '--out') opts.out = path.resolve(argv[++i]);
+    else if (argv[i] === '--dry-run') opts.dryRun = true;
+  }
+  return opts;
+}
+
+/** "For businesses asking about our fees, we usually send this:" → "asking about our fees". */
+function topicOf(heading) {
+  return heading
+    .replace(/^For\s+(businesses|customers|people)\s+/i, '')
+    .replace(/,?\s*we usually send( them)? this:$/i, '')
+    .trim();
+}
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/^(who|that)\s+/, '')
+    .replace(/^(asking|want)\s+(about|for)\s+/, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, 5)
+    .join('-');
+
+/** Variable name for a link URL: its last path segment (or host), e.g. payments_url. */
+function variableName(url, taken) {
+  const { hostname, pathname } = new URL(url);
+  const segment = pathname.split('/').filter(Boolean).pop() || hostname.replace(/^www\./, '').split('.')[0];
+  const base = `${segment.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}_url`;
+  let name = base;
+  for (let n = 2; taken[name] && taken[name].default !== url; n++) name = `${base.slice(0, -4)}_${n}_url`;
+  return name;
+}
+
+/** One link instruction → { target, sentence, all, url } (URLs wrap across lines in the PDF). */
+function parseInstruction(text) {
+  const flat = text.replace(/\s+/g, ' ');
+  const at = flat.search(/\blink(?: is this)?:/i);
+  if (at < 0) return null;
+  const url = flat.slice(flat.indexOf(':', at) + 1).replace(/\s+/g, '');
+  const quoted = [...flat.slice(0, at).matchAll(/'([^']+)'/g)].map((m) => m[1]);
+  const bare = flat.match(/^Replace all (\S+) with/i);
+  return {
+    target: quoted[0] || (bare && bare[1]) || 'this link',
+    sentence: quoted[1] || null,
+    all: /^Replace all\b/i.test(flat),
+    url
+  };
+}
+
+/** Body paragraphs → HTML; a paragraph ending in ":" followed by lines becomes a list. */
+function bodyHtml(paragraphs) {
+  const out = [];
+  paragraphs.forEach((para, i) => {
+    const lines = para.split('\n').map((l) => l.trim()).filter(Boolean);
+    const afterColon = i > 0 && /:$/.test(paragraphs[i - 1].split('\n').pop().trim());
+    const linkify = (line) =>
+      escapeHtml(line).replace(URL_RE, (url) => `<a href="${url}">${url}</a>`);
+    if (lines.length > 1 && /:$/.test(lines[0])) {
+      out.push(`<p>${linkify(lines[0])}</p>`, `<ul>${lines.slice(1).map((l) => `<li>${linkify(l)}</li>`).join('')}</ul>`);
+    } else if (lines.length > 1 && afterColon) {
+      out.push(`<ul>${lines.map((l) => `<li>${linkify(l)}</li>`).join('')}</ul>`);
+    } else {
+      out.push(`<p>${lines.map(linkify).join('<br>')}</p>`);
+    }
+  });
+  return out.join('');
+}
+
+/** Turn the target text into a link to {{variable}}, skipping text that is already linked. */
+function applyLink(html, { target, sentence, all }, variable) {
+  const anchor = `<a href="{{${variable}}}">${escapeHtml(target)}</a>`;
+  const escaped = escapeHtml(target).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`(?<![\\w/.">-])${escaped}(?![\\w/-]|[^<]*</a>|: http)`, 'g');
+  if (sentence) {
+    const scope = escapeHtml(sentence);
+    return html.includes(scope) ? html.replace(scope, scope.replace(new RegExp(`${escaped}(?!.*${escaped})`), anchor)) : html;
+  }
+  if (all) return html.replace(re, anchor);
+  // Without "all", the last unlinked mention: the call to action usually closes the email
+  const hits = [...html.matchAll(re)];
+  const last = hits[hits.length - 1];
+  return last ? html.slice(0, last.index) + anchor + html.slice(last.index + last[0].length) : html;
+}
+
+/** Entries parsed from the PDF text: [{ source, topic, body, variables, unapplied }]. */
+function parseCanned(text) {
+  const entries = [];
+  let current = null;
+  for (const para of text.split(/\n{2,}/).map((p) => p.trim()).filter(Boolean)) {
+    if (HEADING_RE.test(para.replace(/\s+/g, ' '))) {
+      current = { source: para.replace(/\s+/g, ' '), paragraphs: [], instructions: [] };
+      entries.push(current);
+    } else if (current && INSTRUCTION_RE.test(para)) {
+      current.instructions.push(para);
+    } else if (current) {
+      current.paragraphs.push(para);
+    }
+  }
+
+  return entries.map(({ source, paragraphs, instructions }) => {
+    let body = bodyHtml(paragraphs);
+    const variables = {};
+    const unapplied = [];
+    for (const raw of instructions) {
+      const instruction = parseInstruction(raw);
+      const name = instruction && variableName(instruction.url, variables);
+      const next = instruction ? applyLink(body, instruction, name) : body;
+      if (next === body) {
+        unapplied.push(raw.replace(/\s+/g, ' '));
+        continue;
+      }
+      body = next;
+      variables[name] = { default: instruction.url, description: `Link for "${instruction.target}"` };
+    }
+    return { source, topic: topicOf(source), body, variables, unapplied };
+  });
+}
+
+/** Merge parsed entries into the existing file, keeping curated fields. */
+function mergeEntries(parsed, existing) {
+  const bySource = new Map(existing.filter((e) => e.source).map((e) => [e.source, e]));
+  const merged = parsed.map((p) => {
+    const old = bySource.get(p.source);
+    const variables = {};
+    for (const [name, v] of Object.entries(p.variables)) {
+      variables[name] = { ...v, description: old?.variables?.[name]?.description || v.description };
+    }
+    return {
+      id: old?.id || slugify(p.topic),
+      title: old?.title || p.topic.charAt(0).toUpperCase() + p.topic.slice(1),
+      language: old?.language || 'en',
+      triggers: old?.triggers || [p.topic],
+      body: p.body,
+      variables,
+      source: p.source
+    };
+  });
+  const handWritten = existing.filter((e) => !e.source);
+  const removed = existing.filter((e) => e.source && !parsed.some((p) => p.source === e.source));
+  return { entries: [...merged, ...handWritten], removed };
+}
+
+function readExisting(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { entries: [] };
+    throw err;
+  }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const text = pdfToText(fs.readFileSync(opts.pdf));
+  const parsed = parseCanned(text);
+  if (!parsed.length) {
+    console.error(`❌ No canned responses found in ${opts.pdf} (expected "For … we usually send this:" headings)`);
+    process.exit(1);
+  }
+
+  const existing = readExisting(opts.out);
+  const { entries, removed } = mergeEntries(parsed, existing.entries || []);
+  const next = validateCannedResponses({ source: path.relative(__dirname, opts.pdf), entries });
+
+  for (const entry of entries) {
+    const old = (existing.entries || []).find((e) => e.id === entry.id);
+    const state = !old ? 'new' : JSON.stringify(old) === JSON.stringify(entry) ? 'unchanged' : 'updated';
+    console.log(`${state.padEnd(9)} ${entry.id} — ${entry.title} (${placeholders(entry.body).length} variable(s))`);
+  }
+  for (const entry of removed) console.log(`removed   ${entry.id} — no longer in the PDF`);
+  for (const p of parsed) {
+    for (const line of p.unapplied) console.log(`⚠️  ${slugify(p.topic)}: could not apply "${line}"`);
+  }
+
+  if (opts.dryRun) {
+    console.log('\n(dry run, nothing written)');
+    return;
+  }
+  fs.writeFileSync(opts.out, JSON.stringify(next, null, 2) + '\n');
+  console.log(`\n✅ Wrote ${entries.length} canned response(s) to ${path.relative(process.cwd(), opts.out)}`);
+}
+
+main();
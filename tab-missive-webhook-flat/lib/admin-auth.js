@@ -0,0 +1,22 @@
+// lib/admin-auth.js
+// Bearer-token checks for the operator routes (api/preview.js, api/health.js) and the queue
+// worker (api/missive-worker.js). They read customer threads, call the LLM, create drafts
+// and report configuration, so they stay closed until their token (ADMIN_TOKEN, CRON_SECRET)
+// is set and answer 401 to any other token.
+
+const crypto = require("crypto");
+
+/** null when the request carries the token in env var `name`, else { status, error } for the response. */
+function checkBearerToken(req, name) {
+  const token = process.env[name];
+  if (!token) return { status: 503, error: `${name} is not set` };
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(String(req.headers?.authorization || ""));
+  const ok = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  return ok ? null : { status: 401, error: "Unauthorized" };
+}
+
+/** null when the request carries ADMIN_TOKEN, else { status, error } for the response. */
+const checkAdminToken = (req) => checkBearerToken(req, "ADMIN_TOKEN");
+
+module.exports = { checkBearerToken, checkAdminToken };
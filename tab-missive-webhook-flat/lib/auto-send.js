@@ -0,0 +1,125 @@
+// lib/auto-send.js
+// Opt-in auto-send for routine replies. A profile's "autoSend" settings turn it on; the
+// draft is sent (or scheduled) instead of left for review only when every guardrail passes:
+// the reply is a canned response we matched ourselves (filled in, or adapted by the model),
+// its confidence is at least the threshold, the classification is allowlisted, the model reported no unknown facts, no recipient is blocklisted, the
+// customer's message has no attachments and this is the job's first attempt (a retry may
+// follow a run whose send went out). Each auto-send is audited in the store and labelled in
+// Missive. `node auto-send.js --off <profile>` is the per-inbox kill switch.
+
+const { getStore } = require("./store");
+
+const AUDIT_TTL_SECONDS = 180 * 24 * 60 * 60;
+const AUDIT_INDEX_KEY = "autosend:audit";
+const AUDIT_INDEX_LIMIT = 2000;
+
+const DEFAULTS = { enabled: false, minConfidence: 0.9, classifications: ["reply"], blocklist: [], delayMinutes: 0 };
+
+const killSwitchKey = (profileId) => `autosend:off:${profileId}`;
+const auditKey = (id) => `autosend:audit:${id}`;
+
+/** A profile's auto-send settings with defaults filled in. */
+function autoSendSettings(profile = {}) {
+  return { ...DEFAULTS, ...(profile.autoSend || {}) };
+}
+
+/** Kill switch state for one inbox: { off, at, reason } or null when never flipped. */
+async function getKillSwitch(profileId) {
+  return getStore().get(killSwitchKey(profileId));
+}
+
+/** Turn auto-send off (or back on) for one inbox without a deploy. */
+async function setKillSwitch(profileId, off, reason = "") {
+  const state = { off: Boolean(off), at: new Date().toISOString(), reason: reason || null };
+  await getStore().set(killSwitchKey(profileId), state);
+  return state;
+}
+
+/** True when an address matches a blocklist entry (full address, or "@domain"). */
+function isBlocked(address, blocklist = []) {
+  const a = String(address || "").toLowerCase().trim();
+  return blocklist.some((entry) => {
+    const e = String(entry).toLowerCase().trim();
+    return e.startsWith("@") ? a.endsWith(e) : a === e;
+  });
+}
+
+/**
+ * Decide whether a drafted reply may go out without review; `canned` is the draft's canned
+ * response from lib/pipeline.js and `attempt` the job attempt. The model saying it used a
+ * canned response is not enough: the entry must be one chooseCanned matched, and the
+ * confidence only counts for a reply drafted against it (for a filled entry, the
+ * classify-only call's confidence that the entry answers the message).
+ * Returns { send, failed: [guardrail names], checks: { name: boolean } }.
+ */
+async function evaluateAutoSend({ profile, result, canned, replyTarget, recipients, attempt = 1 }) {
+  const settings = autoSendSettings(profile);
+  if (!settings.enabled) return { send: false, failed: ["disabled"], checks: {} };
+  if ((await getKillSwitch(profile.id))?.off) return { send: false, failed: ["kill_switch"], checks: {} };
+
+  const addresses = [...(recipients?.to || []), ...(recipients?.cc || [])].map((r) => r.address);
+  const matched = Boolean(canned?.id) && (canned.mode === "filled" || canned.mode === "adapted");
+  const checks = {
+    canned_response: matched,
+    confidence: matched && Number(result.confidence) >= settings.minConfidence,
+    classification: settings.classifications.includes(result.classification),
+    no_unknown_facts: (result.unknown_facts || []).length === 0,
+    recipients_allowed: addresses.length > 0 && !addresses.some((a) => isBlocked(a, settings.blocklist)),
+    no_attachments: (replyTarget?.attachments || []).length === 0,
+    first_attempt: attempt <= 1,
+  };
+  const failed = Object.keys(checks).filter((name) => !checks[name]);
+  return { send: failed.length === 0, failed, checks };
+}
+
+/** Missive draft fields that send, schedule and label the reply. */
+function autoSendFields(profile, now = Date.now()) {
+  const { delayMinutes, label } = autoSendSettings(profile);
+  return {
+    ...(delayMinutes > 0 ? { send_at: Math.floor(now / 1000) + Math.round(delayMinutes * 60) } : { send: true }),
+    add_shared_labels: [label],
+  };
+}
+
+/** Audit record for a message we sent without review. */
+async function recordAutoSend({ draftId, conversationId, messageId, profile, recipients, result, checks, cannedResponseId, runId, sendAt }) {
+  const store = getStore();
+  const record = {
+    draftId,
+    conversationId,
+    messageId: messageId || null,
+    profileId: profile.id,
+    runId: runId || null,
+    to: recipients.to.map((r) => r.address),
+    cc: recipients.cc.map((r) => r.address),
+    classification: result.classification,
+    confidence: result.confidence,
+    cannedResponse: result.canned_response?.title || null,
+    cannedResponseId: cannedResponseId || null,
+    checks,
+    label: autoSendSettings(profile).label,
+    sendAt: sendAt ? new Date(sendAt * 1000).toISOString() : null,
+    createdAt: new Date().toISOString(),
+  };
+  await store.set(auditKey(draftId), record, { ttlSeconds: AUDIT_TTL_SECONDS });
+  await store.addToIndex(AUDIT_INDEX_KEY, draftId, { limit: AUDIT_INDEX_LIMIT });
+  return record;
+}
+
+/** Audit records still in the store, newest first. */
+async function listAutoSends() {
+  const store = getStore();
+  const ids = await store.getIndex(AUDIT_INDEX_KEY);
+  return (await store.getMany(ids.map(auditKey))).filter(Boolean).reverse();
+}
+
+module.exports = {
+  autoSendSettings,
+  getKillSwitch,
+  setKillSwitch,
+  isBlocked,
+  evaluateAutoSend,
+  autoSendFields,
+  recordAutoSend,
+  listAutoSends,
+};
@@ -0,0 +1,209 @@
+// lib/canned.js
+// Canned responses as structured entries (config/canned-responses.json or
+// CANNED_RESPONSES_FILE), built from knowledge/Canned responses.pdf by `npm run import:canned`.
+// Each entry has an ID, title, trigger phrases, an HTML body template with {{variable}}
+// placeholders and the variables' defaults (a profile's `cannedVariables` override them).
+// Before the LLM call, chooseCanned matches the customer's latest message against the
+// triggers: a confident match on a short first message is a candidate to fill in without the
+// drafting model ("fill"), a weaker one is handed to the model as the template to adapt
+// ("adapt").
+
+const fs = require("fs");
+const { escapeHtml } = require("./html");
+
+class CannedResponsesError extends Error {
+  constructor(problems) {
+    super(`Invalid canned responses:\n- ${problems.join("\n- ")}`);
+    this.name = "CannedResponsesError";
+    this.problems = problems;
+  }
+}
+
+const PLACEHOLDER_RE = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+const isStringArray = (v) => Array.isArray(v) && v.every(isNonEmptyString);
+
+/** Placeholder names used in a body template, in order of first use. */
+function placeholders(body = "") {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER_RE)].map((m) => m[1]))];
+}
+
+/** Validate parsed canned responses; throws CannedResponsesError listing every problem found. */
+function validateCannedResponses(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.entries)) {
+    throw new CannedResponsesError(["entries must be an array"]);
+  }
+  const problems = [];
+  const ids = new Set();
+  data.entries.forEach((e, i) => {
+    const at = `entries[${i}]${isNonEmptyString(e?.id) ? ` (${e.id})` : ""}`;
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(e?.id || "")) problems.push(`${at}.id must be a lower-case slug`);
+    else if (ids.has(e.id)) problems.push(`${at}.id is duplicated`);
+    else ids.add(e.id);
+    if (!isNonEmptyString(e?.title)) problems.push(`${at}.title is required`);
+    if (!isNonEmptyString(e?.language)) problems.push(`${at}.language is required`);
+    if (!isStringArray(e?.triggers)) problems.push(`${at}.triggers must be an array of strings`);
+    if (!isNonEmptyString(e?.body)) problems.push(`${at}.body is required`);
+    const variables = e?.variables || {};
+    if (typeof variables !== "object" || Array.isArray(variables)) problems.push(`${at}.variables must be an object`);
+    for (const [name, v] of Object.entries(variables)) {
+      if (v?.default !== undefined && typeof v.default !== "string") {
+        problems.push(`${at}.variables.${name}.default must be a string`);
+      }
+    }
+    for (const name of placeholders(e?.body)) {
+      if (!Object.hasOwn(variables, name)) problems.push(`${at}.body uses {{${name}}}, which is not in variables`);
+    }
+  });
+  if (problems.length) throw new CannedResponsesError(problems);
+  return data;
+}
+
+let cached;
+
+/** Load + validate the canned responses once per instance. */
+function loadCannedResponses() {
+  if (!cached) {
+    const raw = process.env.CANNED_RESPONSES_FILE
+      ? JSON.parse(fs.readFileSync(process.env.CANNED_RESPONSES_FILE, "utf8"))
+      : require("../config/canned-responses.json");
+    cached = validateCannedResponses(raw);
+  }
+  return cached;
+}
+
+/**
+ * Fill an entry's body template. Values are the variables' defaults, then the profile's
+ * `cannedVariables`; returns { html, missing } where `missing` lists placeholders left
+ * unfilled (kept as written).
+ */
+function fillTemplate(entry, profile = {}) {
+  const values = {};
+  for (const [name, v] of Object.entries(entry.variables || {})) if (v?.default) values[name] = v.default;
+  Object.assign(values, profile.cannedVariables || {});
+  const missing = placeholders(entry.body).filter((name) => !values[name]);
+  const html = entry.body.replace(PLACEHOLDER_RE, (whole, name) => (values[name] ? escapeHtml(values[name]) : whole));
+  return { html, missing };
+}
+
+/* === Matching === */
+
+/** Crude English stemming, enough for "fees"/"fee" and "bookings"/"booking" to meet. */
+function stem(word) {
+  let w = word.replace(/['’]s$/, "");
+  if (w.length > 4 && w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+  else if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  if (w.length > 5 && w.endsWith("ing")) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith("ed")) w = w.slice(0, -2);
+  return w;
+}
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can could do does for from have hi hello how i i'm if in is it its me my of on or " +
+    "our please so that the their them there this to us we what when where which who will with would you your")
+    .split(" ")
+    .map((w) => stem(w))
+);
+
+const wordsOf = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu) || []).map(stem);
+
+/** A trigger's content words (stemmed, stopwords dropped). */
+const contentWords = (trigger) => [...new Set(wordsOf(trigger).filter((w) => !STOPWORDS.has(w)))];
+
+/**
+ * How well one trigger matches the message (0–1): the whole phrase in order scores 1 (0.75
+ * when it has fewer than two content words, e.g. "your fees"); all its content words
+ * somewhere 0.85 (0.6 for one); most of them a little.
+ */
+function scoreTrigger(trigger, words, content) {
+  const phrase = wordsOf(trigger);
+  const needed = contentWords(trigger);
+  if (!phrase.length) return 0;
+  const contiguous = words.some((_, i) => phrase.every((w, j) => words[i + j] === w));
+  if (contiguous) return needed.length > 1 ? 1 : 0.75;
+  if (!needed.length) return 0;
+  const covered = needed.filter((w) => content.has(w)).length / needed.length;
+  if (covered === 1) return needed.length > 1 ? 0.85 : 0.6;
+  return needed.length >= 3 && covered >= 0.6 ? 0.6 * covered : 0;
+}
+
+/** Entries scored against a message, best first: [{ entry, score, trigger }] (score > 0 only). */
+function matchCanned(text, entries = loadCannedResponses().entries) {
+  const words = wordsOf(text);
+  const content = new Set(words.filter((w) => !STOPWORDS.has(w)));
+  return entries
+    .map((entry) => {
+      let best = { entry, score: 0, trigger: null };
+      for (const trigger of entry.triggers) {
+        const score = scoreTrigger(trigger, words, content);
+        if (score > best.score) best = { entry, score, trigger };
+      }
+      return best;
+    })
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/* Messages the model must see even when they mention a canned topic. */
+const HANDOFF_RE = /whatsapp|unsubscribe|remove me|stop (emailing|sending)/i;
+
+/**
+ * Pick the canned response for the customer's latest message.
+ * Returns { mode: "fill" | "adapt" | null, entry, score, trigger, runnerUp, html, held? }:
+ * "fill" when the score is at least CANNED_FILL_SCORE (0.9) on a trigger of two or more
+ * content words, clear of the runner-up, the message is short (CANNED_FILL_MAX_WORDS, 80),
+ * in the entry's language, opens the conversation (no earlier reply from us), asks for no
+ * handoff and every variable has a value; `held` names the first of those that failed.
+ * "adapt" from CANNED_ADAPT_SCORE (0.5). A "fill" is still only a candidate: the pipeline
+ * has the model classify the message and confirm the template answers it first.
+ */
+function chooseCanned({ subject = "", text = "", language, followUp = false, profile, entries }) {
+  const fillScore = Number(process.env.CANNED_FILL_SCORE || 0.9);
+  const adaptScore = Number(process.env.CANNED_ADAPT_SCORE || 0.5);
+  const maxWords = Number(process.env.CANNED_FILL_MAX_WORDS || 80);
+
+  const [best, next] = matchCanned(`${subject}\n${text}`, entries);
+  if (!best || best.score < adaptScore) return { mode: null, score: best?.score || 0 };
+
+  const { html, missing } = fillTemplate(best.entry, profile);
+  const held = [
+    best.score < fillScore && "score",
+    contentWords(best.trigger).length < 2 && "trigger",
+    next && best.score - next.score < 0.2 && "margin",
+    language !== best.entry.language && "language",
+    wordsOf(text).length > maxWords && "length",
+    followUp && "follow_up",
+    HANDOFF_RE.test(text) && "handoff",
+    missing.length > 0 && "variables",
+  ].find(Boolean);
+  return {
+    mode: held ? "adapt" : "fill",
+    entry: best.entry,
+    score: best.score,
+    trigger: best.trigger,
+    runnerUp: next ? { id: next.entry.id, score: next.score } : null,
+    html,
+    ...(held ? { held } : {}),
+  };
+}
+
+/** ID of the entry the model named in canned_response.title (title or PDF heading), else null. */
+function cannedIdForTitle(title, entries = loadCannedResponses().entries) {
+  const norm = (s) => wordsOf(s).join(" ");
+  const wanted = norm(title);
+  if (!wanted) return null;
+  const hit = entries.find((e) => [e.title, e.source].some((t) => t && norm(t) === wanted));
+  return hit ? hit.id : null;
+}
+
+module.exports = {
+  CannedResponsesError,
+  placeholders,
+  validateCannedResponses,
+  loadCannedResponses,
+  fillTemplate,
+  matchCanned,
+  chooseCanned,
+  cannedIdForTitle,
+};
@@ -0,0 +1,99 @@
+// lib/classification.js
+// Automated mail, spam, unsubscribe requests and WhatsApp handoffs come back from the model
+// as a classification (see lib/draft-schema.js) instead of a reply. This module applies
+// the configured Missive actions for each class.
+
+const { suppress } = require("./suppression");
+const { getLogger } = require("./log");
+
+/**
+ * Default action per class. `label` is a Missive shared label ID, `close` closes the
+ * conversation for everyone (Missive's archive), `suppress` adds the sender to the
+ * suppression list, `team` moves the conversation to a Missive team and `assignees`
+ * (user IDs) assigns it; both need `organization`. Override per class with
+ * CLASSIFICATION_ACTIONS (JSON), e.g. {"spam":{"label":"<label-id>","close":true}}.
+ */
+const NO_ACTION = { label: null, close: false, suppress: false, team: null, assignees: [], organization: null };
+const DEFAULT_ACTIONS = {
+  automated: { ...NO_ACTION, close: true },
+  spam: { ...NO_ACTION, close: true },
+  unsubscribe: { ...NO_ACTION, suppress: true },
+  whatsapp: { ...NO_ACTION },
+};
+
+function classificationActions() {
+  let overrides = {};
+  if (process.env.CLASSIFICATION_ACTIONS) {
+    try {
+      overrides = JSON.parse(process.env.CLASSIFICATION_ACTIONS);
+    } catch (err) {
+      getLogger().error("config.invalid_classification_actions", { error: err });
+    }
+  }
+  const actions = {};
+  for (const key of Object.keys(DEFAULT_ACTIONS)) {
+    actions[key] = { ...DEFAULT_ACTIONS[key], ...(overrides[key] || {}) };
+  }
+  return actions;
+}
+
+/**
+ * Problems with CLASSIFICATION_ACTIONS, as sentences for the health check; [] when all is
+ * well. WhatsApp handoffs must reach the WhatsApp team, so `whatsapp` needs an assignment.
+ */
+function classificationActionProblems() {
+  if (process.env.CLASSIFICATION_ACTIONS) {
+    try {
+      JSON.parse(process.env.CLASSIFICATION_ACTIONS);
+    } catch (err) {
+      return [`CLASSIFICATION_ACTIONS is not valid JSON: ${err.message}`];
+    }
+  }
+  const problems = [];
+  for (const [name, action] of Object.entries(classificationActions())) {
+    if ((action.team || action.assignees?.length) && !action.organization) {
+      problems.push(`CLASSIFICATION_ACTIONS.${name} sets team/assignees without organization`);
+    }
+  }
+  const { whatsapp } = classificationActions();
+  if (!whatsapp.team && !whatsapp.assignees?.length) {
+    problems.push("CLASSIFICATION_ACTIONS.whatsapp needs organization and team or assignees; handoffs are otherwise only posted, not assigned");
+  }
+  return problems;
+}
+
+/**
+ * Apply the configured actions for a classified conversation. Never drafts a reply (the
+ * WhatsApp acknowledgement is drafted by the pipeline). `markdown` replaces the default post
+ * text and always posts. Returns a summary of what was done.
+ */
+async function routeClassification(classification, { client, conversationId, sender, markdown } = {}) {
+  const action = classificationActions()[classification];
+  if (!action) throw new Error(`Unknown classification: ${classification}`);
+
+  const done = { classification, labelled: false, closed: false, suppressed: false, assigned: false };
+
+  if (action.suppress && sender?.address) {
+    done.suppressed = await suppress(sender.address, { conversation: conversationId, classification });
+  }
+
+  const assignees = action.assignees || [];
+  const assign = Boolean(action.organization && (action.team || assignees.length));
+  if (action.label || action.close || assign || markdown) {
+    await client.createPost(conversationId, {
+      markdown: markdown || `Classified as **${classification}** — no reply drafted.`,
+      ...(action.label ? { add_shared_labels: [action.label] } : {}),
+      ...(action.close ? { close: true } : {}),
+      ...(assign ? { organization: action.organization } : {}),
+      ...(assign && action.team ? { team: action.team, force_team: true } : {}),
+      ...(assign && assignees.length ? { add_assignees: assignees } : {}),
+    });
+    done.labelled = Boolean(action.label);
+    done.closed = Boolean(action.close);
+    done.assigned = assign;
+  }
+
+  return done;
+}
+
+module.exports = { classificationActions, classificationActionProblems, routeClassification };
@@ -0,0 +1,121 @@
+// lib/context.js
+// Builds the thread section of the prompt within a token budget for the configured model.
+// The latest customer message and the latest Tab reply are always kept in full; the rest
+// is filled newest → oldest, then older turns are collapsed to a one-line excerpt, and
+// anything still over budget is dropped. The returned text says what was left out.
+
+const { getEncoding, encodingForModel } = require("js-tiktoken");
+
+const DEFAULT_BUDGET_TOKENS = 30000;
+const SEPARATOR = "\n\n------------------------\n\n";
+const EXCERPT_WORDS = 30;
+
+const encoders = new Map();
+
+function encoderFor(model = "") {
+  if (!encoders.has(model)) {
+    let enc;
+    try {
+      enc = encodingForModel(model);
+    } catch {
+      // Unknown/new model names: current OpenAI models all use o200k_base
+      enc = getEncoding("o200k_base");
+    }
+    encoders.set(model, enc);
+  }
+  return encoders.get(model);
+}
+
+/** Token count of a string for a model. */
+function countTokens(text = "", model = process.env.OPENAI_MODEL || "gpt-5") {
+  return text ? encoderFor(model).encode(String(text)).length : 0;
+}
+
+function excerpt(text = "", words = EXCERPT_WORDS) {
+  const parts = String(text).replace(/\s+/g, " ").trim().split(" ");
+  return parts.length <= words ? parts.join(" ") : `${parts.slice(0, words).join(" ")}…`;
+}
+
+/**
+ * Fit a thread (oldest → newest) into a token budget.
+ * `render(m)` → { header, body } for one message; `isFromTab(m)` marks our own replies;
+ * `truncated` says the thread had older messages that were never fetched.
+ * Returns { text, tokens, collapsed: [ids], dropped: [ids] }.
+ */
+function buildThreadContext(
+  messages = [],
+  {
+    render,
+    isFromTab,
+    truncated = false,
+    model = process.env.OPENAI_MODEL || "gpt-5",
+    budgetTokens = Number(process.env.THREAD_TOKEN_BUDGET) || DEFAULT_BUDGET_TOKENS,
+  } = {}
+) {
+  const rendered = messages.map((m) => render(m));
+  const full = rendered.map((r) => `${r.header}\n---\n${r.body}`);
+  const short = rendered.map((r) => `${r.header}\n---\n[collapsed] ${excerpt(r.body)}`);
+  const cost = (s) => countTokens(s + SEPARATOR, model);
+
+  // Always keep the newest customer message and the newest Tab reply
+  const pinned = new Set();
+  const lastExternal = messages.map((m) => !isFromTab(m)).lastIndexOf(true);
+  const lastTab = messages.map((m) => isFromTab(m)).lastIndexOf(true);
+  if (lastExternal >= 0) pinned.add(lastExternal);
+  if (lastTab >= 0) pinned.add(lastTab);
+
+  const mode = messages.map((_, i) => (pinned.has(i) ? "full" : "dropped"));
+  let used = [...pinned].reduce((sum, i) => sum + cost(full[i]), 0);
+
+  // Newest first: full text while it fits, otherwise a collapsed excerpt
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (pinned.has(i)) continue;
+    const fullCost = cost(full[i]);
+    if (used + fullCost <= budgetTokens) {
+      mode[i] = "full";
+      used += fullCost;
+      continue;
+    }
+    const shortCost = cost(short[i]);
+    if (used + shortCost <= budgetTokens) {
+      mode[i] = "collapsed";
+      used += shortCost;
+    }
+  }
+
+  const ids = (wanted) =>
+    messages.map((m, i) => (mode[i] === wanted ? m.id ?? i : null)).filter((v) => v !== null);
+  const collapsed = ids("collapsed");
+  const dropped = ids("dropped");
+
+  const blocks = messages
+    .map((_, i) => (mode[i] === "full" ? full[i] : mode[i] === "collapsed" ? short[i] : null))
+    .filter(Boolean);
+
+  const notes = [];
+  if (truncated) {
+    notes.push(
+      `This thread is longer than the ${messages.length} most recent messages loaded; earlier messages are not shown.`
+    );
+  }
+  if (collapsed.length) {
+    notes.push(`${collapsed.length} older message(s) shown as a collapsed excerpt to fit the context budget.`);
+  }
+  if (dropped.length) {
+    const when = messages
+      .filter((_, i) => mode[i] === "dropped")
+      .map((m) => m.created_at || m.delivered_at)
+      .filter(Boolean);
+    notes.push(
+      `${dropped.length} older message(s) omitted to fit the context budget` +
+        (when.length ? ` (dated ${when.join(", ")}).` : ".")
+    );
+  }
+
+  const text = [notes.length ? `[NOTE: ${notes.join(" ")}]` : "", blocks.join(SEPARATOR)]
+    .filter(Boolean)
+    .join("\n\n");
+  return { text, tokens: used, collapsed, dropped };
+}
+
+module.exports = { countTokens, buildThreadContext };
@@ -0,0 +1,298 @@
+// lib/costs.js
+// What drafting costs. Each run's token and file search usage comes from the Responses
+// payloads. It is priced from the rate table in config/rates.json (or RATES_FILE): prices
+// per million tokens per model, matched by the longest model-name prefix so dated snapshots
+// ("gpt-5-2025-08-07") find their model, plus file search per thousand calls. Spend is kept
+// in the store per run, and per day (by inbox and by classification) and per month as
+// totals that concurrent runs add to atomically, including runs that failed on invalid
+// output. BUDGET_DAILY / BUDGET_MONTHLY cap it. From BUDGET_NEAR (default 0.8) of a cap,
+// drafting either switches to BUDGET_FALLBACK_MODEL or drafts only priority conversations
+// (BUDGET_ACTION). At a cap, only priority conversations are drafted, with the fallback model.
+
+const fs = require("fs");
+const { getStore } = require("./store");
+const { mapLimit } = require("./limiter");
+
+const RUN_TTL_SECONDS = 90 * 24 * 60 * 60;
+const TOTALS_TTL_SECONDS = 400 * 24 * 60 * 60;
+const RUN_INDEX_KEY = "spend:runs";
+const RUN_INDEX_LIMIT = 5000;
+const BUDGET_ACTIONS = ["fallback", "priority"];
+
+const runKey = (runId) => `spend:run:${runId}`;
+const dayKey = (day) => `spend:totals:day:${day}`;
+const monthKey = (month) => `spend:totals:month:${month}`;
+const dayOf = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+let cachedRates;
+let cachedSettings;
+
+/** The rate table: { currency, models: { name: { input, cachedInput, output } }, fileSearchPer1000Calls }. */
+function loadRates() {
+  if (!cachedRates) {
+    const rates = process.env.RATES_FILE
+      ? JSON.parse(fs.readFileSync(process.env.RATES_FILE, "utf8"))
+      : require("../config/rates.json");
+    const problems = [];
+    for (const [model, r] of Object.entries(rates.models || {})) {
+      for (const key of ["input", "output"]) {
+        if (typeof r?.[key] !== "number" || r[key] < 0) problems.push(`models.${model}.${key} must be a price per million tokens`);
+      }
+    }
+    if (!Object.keys(rates.models || {}).length) problems.push("models must list at least one model");
+    if (problems.length) throw new Error(`Invalid rate table:\n- ${problems.join("\n- ")}`);
+    cachedRates = rates;
+  }
+  return cachedRates;
+}
+
+/** Rates for a model name (longest matching prefix in the table), or null when unknown. */
+function ratesFor(model, rates = loadRates()) {
+  const name = String(model || "");
+  const match = Object.keys(rates.models)
+    .filter((key) => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? rates.models[match] : null;
+}
+
+/** Usage of one provider call: { model, inputTokens, cachedInputTokens, outputTokens, reasoningTokens, fileSearchCalls }. */
+function usageOf(generation = {}) {
+  const u = generation.usage || {};
+  return {
+    model: generation.model || null,
+    inputTokens: u.input_tokens || 0,
+    cachedInputTokens: u.input_tokens_details?.cached_tokens || 0,
+    outputTokens: u.output_tokens || 0,
+    reasoningTokens: u.output_tokens_details?.reasoning_tokens || 0,
+    fileSearchCalls: generation.fileSearchCalls || 0,
+  };
+}
+
+/** Usage of several calls (a draft and its repair) added up; the model is the last one's. */
+function combineUsage(usages) {
+  const total = { model: null, inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, reasoningTokens: 0, fileSearchCalls: 0 };
+  for (const u of usages) {
+    for (const key of Object.keys(total)) total[key] = key === "model" ? u.model || total.model : total[key] + u[key];
+  }
+  return total;
+}
+
+/** Cost of a usage in the table's currency: { input, output, fileSearch, total }, or null for an unknown model. */
+function costOf(usage, rates = loadRates()) {
+  const r = ratesFor(usage.model, rates);
+  if (!r) return null;
+  const uncached = usage.inputTokens - usage.cachedInputTokens;
+  const input = (uncached * r.input + usage.cachedInputTokens * (r.cachedInput ?? r.input)) / 1e6;
+  const output = (usage.outputTokens * r.output) / 1e6;
+  const fileSearch = (usage.fileSearchCalls * (rates.fileSearchPer1000Calls || 0)) / 1000;
+  const round = (n) => Math.round(n * 1e6) / 1e6;
+  return { input: round(input), output: round(output), fileSearch: round(fileSearch), total: round(input + output + fileSearch) };
+}
+
+const TOTAL_FIELDS = ["inputTokens", "cachedInputTokens", "outputTokens", "fileSearchCalls"];
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+/** Increments one run adds to a totals hash; `groups` ({ byProfile: name, … }) get cost and runs per name. */
+function totalsIncrements(usage, amount, groups = {}) {
+  const fields = { cost: amount, runs: 1 };
+  for (const key of TOTAL_FIELDS) fields[key] = usage[key] || 0;
+  for (const [group, name] of Object.entries(groups)) {
+    fields[`${group}|${name}|cost`] = amount;
+    fields[`${group}|${name}|runs`] = 1;
+  }
+  return fields;
+}
+
+/** A totals hash from the store → { cost, runs, …, byProfile: { name: { cost, runs } }, … }, or null. */
+function totalsFrom(fields) {
+  if (!fields) return null;
+  const totals = { cost: 0, runs: 0, ...Object.fromEntries(TOTAL_FIELDS.map((key) => [key, 0])) };
+  for (const [field, value] of Object.entries(fields)) {
+    const parts = field.split("|");
+    if (parts.length < 3) {
+      totals[field] = value;
+      continue;
+    }
+    const [group, metric, name] = [parts[0], parts[parts.length - 1], parts.slice(1, -1).join("|")];
+    ((totals[group] ||= {})[name] ||= { cost: 0, runs: 0 })[metric] = metric === "cost" ? round6(value) : value;
+  }
+  totals.cost = round6(totals.cost);
+  return totals;
+}
+
+/**
+ * Store one run's spend: the run record (for per-conversation and per-draft reports) and
+ * increments to the day and month totals. Returns the run record, whose `cost` is null when
+ * the model is not in the rate table (counted as 0).
+ */
+async function recordSpend({ runId, conversationId, profileId, classification, usage, source = "webhook", now = Date.now() }) {
+  const store = getStore();
+  const cost = costOf(usage);
+  const day = dayOf(now);
+  const record = {
+    runId,
+    conversationId: conversationId || null,
+    profileId: profileId || null,
+    classification: classification || null,
+    source,
+    usage,
+    cost: cost?.total ?? null,
+    day,
+    createdAt: new Date(now).toISOString(),
+  };
+  await store.set(runKey(runId), record, { ttlSeconds: RUN_TTL_SECONDS });
+  await store.addToIndex(RUN_INDEX_KEY, runId, { score: now, limit: RUN_INDEX_LIMIT });
+
+  const amount = cost?.total || 0;
+  const groups = { byProfile: record.profileId || "(none)", byClassification: record.classification || "(none)" };
+  await Promise.all([
+    store.incrementFields(dayKey(day), totalsIncrements(usage, amount, groups), { ttlSeconds: TOTALS_TTL_SECONDS }),
+    store.incrementFields(monthKey(day.slice(0, 7)), totalsIncrements(usage, amount), { ttlSeconds: TOTALS_TTL_SECONDS }),
+  ]);
+  return record;
+}
+
+/**
+ * Budget settings from the environment; a cap is null when unset. Read and checked once per
+ * process: invalid settings throw (with `problems`) from the worker's first drain and from
+ * the health check, before any job runs.
+ */
+function budgetSettings() {
+  if (cachedSettings) return cachedSettings;
+  const cap = (v) => (v === undefined || v === "" ? null : Number(v));
+  const settings = {
+    daily: cap(process.env.BUDGET_DAILY),
+    monthly: cap(process.env.BUDGET_MONTHLY),
+    near: Number(process.env.BUDGET_NEAR || 0.8),
+    action: process.env.BUDGET_ACTION || "fallback",
+    fallbackModel: process.env.BUDGET_FALLBACK_MODEL || "gpt-5-mini",
+  };
+  const problems = [];
+  for (const [name, value] of [["BUDGET_DAILY", settings.daily], ["BUDGET_MONTHLY", settings.monthly]]) {
+    if (value !== null && !(value >= 0)) problems.push(`${name} must be an amount in the rate table currency`);
+  }
+  if (!(settings.near > 0 && settings.near <= 1)) problems.push("BUDGET_NEAR must be a fraction above 0 and at most 1");
+  if (!BUDGET_ACTIONS.includes(settings.action)) {
+    problems.push(`Unknown BUDGET_ACTION: ${settings.action} (use ${BUDGET_ACTIONS.join(" or ")})`);
+  }
+  if (problems.length) throw Object.assign(new Error(`Invalid budget settings: ${problems.join("; ")}`), { problems });
+  cachedSettings = settings;
+  return settings;
+}
+
+/** Spend so far against the caps: { level: "ok" | "near" | "over", day, month } (each { spent, cap }). */
+async function budgetStatus(now = Date.now(), settings = budgetSettings()) {
+  const store = getStore();
+  const day = dayOf(now);
+  const [today, month] = (
+    await Promise.all([store.getFields(dayKey(day)), store.getFields(monthKey(day.slice(0, 7)))])
+  ).map(totalsFrom);
+  const windows = {
+    day: { spent: today?.cost || 0, cap: settings.daily },
+    month: { spent: month?.cost || 0, cap: settings.monthly },
+  };
+  const capped = Object.values(windows).filter((w) => w.cap !== null);
+  const level = capped.some((w) => w.spent >= w.cap)
+    ? "over"
+    : capped.some((w) => w.spent >= w.cap * settings.near)
+      ? "near"
+      : "ok";
+  return { level, ...windows };
+}
+
+/** True for an inbox marked "priority", or a conversation with one of its `priorityLabels`. */
+function isPriority(profile = {}, conversation = {}) {
+  if (profile.priority === true) return true;
+  const wanted = (profile.priorityLabels || []).map((l) => String(l).toLowerCase());
+  return (conversation?.shared_labels || []).some((l) =>
+    [l?.id, l?.name].some((v) => v && wanted.includes(String(v).toLowerCase()))
+  );
+}
+
+/**
+ * What the budget allows for this conversation: { level, draft, model, priority, day, month }.
+ * `draft` is false when only priority conversations are drafted and this isn't one; `model`
+ * is the fallback model to draft with, or null for the usual one.
+ */
+async function budgetDecision({ profile, conversation, now = Date.now() }) {
+  const settings = budgetSettings();
+  const status = await budgetStatus(now, settings);
+  const priority = isPriority(profile, conversation);
+  const priorityOnly = status.level === "over" || (status.level === "near" && settings.action === "priority");
+  const fallback = status.level === "over" || (status.level === "near" && settings.action === "fallback");
+  return {
+    ...status,
+    priority,
+    draft: !priorityOnly || priority,
+    model: fallback ? settings.fallbackModel : null,
+  };
+}
+
+/** Run records still in the store, oldest first, read in batches. */
+async function listSpend() {
+  const store = getStore();
+  const ids = await store.getIndex(RUN_INDEX_KEY);
+  return (await store.getMany(ids.map(runKey))).filter(Boolean);
+}
+
+/** Day totals for the `days` days up to and including today (days with no spend omitted). */
+async function dailySpend(days = 30, now = Date.now()) {
+  const store = getStore();
+  const dates = Array.from({ length: days }, (_, i) => dayOf(now - (days - 1 - i) * 86400000));
+  const totals = await mapLimit(dates, 10, (d) => store.getFields(dayKey(d)));
+  return dates.map((day, i) => totals[i] && { day, ...totalsFrom(totals[i]) }).filter(Boolean);
+}
+
+/**
+ * Spend per conversation and per accepted draft, from run records (listSpend) since `since`
+ * and feedback snapshots (lib/feedback.js). `perAcceptedDraft` is all spend, including runs
+ * that drafted nothing or whose draft was rewritten, over the accepted drafts; `acceptedRuns`
+ * is the mean cost of the runs behind accepted drafts alone.
+ */
+function summariseSpend(runs, snapshots, { since = 0, top = 10 } = {}) {
+  const recent = runs.filter((r) => new Date(r.createdAt).getTime() >= since);
+  const total = recent.reduce((sum, r) => sum + (r.cost || 0), 0);
+  const byConversation = {};
+  for (const r of recent) {
+    const key = r.conversationId || "(thread preview)";
+    const c = (byConversation[key] ||= { conversationId: key, runs: 0, cost: 0 });
+    c.runs += 1;
+    c.cost += r.cost || 0;
+  }
+  const conversations = Object.values(byConversation).sort((a, b) => b.cost - a.cost);
+
+  const byRun = new Map(recent.map((r) => [r.runId, r]));
+  const accepted = snapshots.filter((s) => s.outcome === "accepted" && s.createdAt >= since);
+  const joined = accepted.map((s) => byRun.get(s.runId)).filter(Boolean);
+  const mean = (sum, n) => (n ? sum / n : null);
+  return {
+    total,
+    runs: recent.length,
+    unpriced: recent.filter((r) => r.cost === null).length,
+    conversations: conversations.length,
+    perConversation: mean(total, conversations.length),
+    topConversations: conversations.slice(0, top),
+    acceptedDrafts: accepted.length,
+    perAcceptedDraft: mean(total, accepted.length),
+    acceptedRuns: mean(
+      joined.reduce((sum, r) => sum + (r.cost || 0), 0),
+      joined.length
+    ),
+  };
+}
+
+module.exports = {
+  loadRates,
+  ratesFor,
+  usageOf,
+  combineUsage,
+  costOf,
+  recordSpend,
+  budgetSettings,
+  budgetStatus,
+  isPriority,
+  budgetDecision,
+  listSpend,
+  dailySpend,
+  summariseSpend,
+};
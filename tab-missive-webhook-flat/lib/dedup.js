@@ -0,0 +1,114 @@
+// lib/dedup.js
+// Remembers, per conversation, which external message we last drafted for and the draft
+// we created (and the canned response it came from), so repeat deliveries are skipped and new
+// customer replies replace our draft. One run at a time holds a conversation's lock while it
+// reads the thread and the record, creates the draft and saves the record, so two deliveries
+// can't both replace the same draft. The record is written after the draft exists, so each
+// customer message is also claimed: a retry after the draft was created but before the
+// record was saved can't draft (or send) it twice.
+
+const { getStore } = require("./store");
+const { DEFAULT_LEASE_MS } = require("./queue");
+
+const RECORD_TTL_SECONDS = 90 * 24 * 60 * 60;
+// As long as the job's lease: a run that died frees the conversation and its message when
+// its job comes due again
+const PENDING_CLAIM_TTL_SECONDS = DEFAULT_LEASE_MS / 1000;
+
+function recordKey(conversationId) {
+  return `drafted:${conversationId}`;
+}
+
+const claimKey = (conversationId, messageId) => `draft-claim:${conversationId}:${messageId}`;
+const lockKey = (conversationId) => `draft-lock:${conversationId}`;
+
+/**
+ * Error for a conversation or message another run is drafting right now. The job is retried
+ * once the holder's lock or claim has expired (`retryAfterMs`), without using up an attempt.
+ */
+class DraftInProgressError extends Error {
+  constructor(claim, what = "this message", now = Date.now()) {
+    super(`Run ${claim.runId} is already drafting ${what}`);
+    this.name = "DraftInProgressError";
+    this.retryable = true;
+    this.claim = claim;
+    const since = Date.parse(claim.lockedAt || claim.claimedAt);
+    this.retryAfterMs = Number.isNaN(since) ? DEFAULT_LEASE_MS : Math.max(0, since + DEFAULT_LEASE_MS - now);
+  }
+}
+
+/**
+ * Take the conversation's lock for this run (atomic). Returns { locked: true } or
+ * { locked: false, lock } with the holder's { runId }. Expires like a pending claim.
+ */
+async function lockConversation(conversationId, { runId }) {
+  const store = getStore();
+  const lock = { runId, lockedAt: new Date().toISOString() };
+  if (await store.setIfAbsent(lockKey(conversationId), lock, { ttlSeconds: PENDING_CLAIM_TTL_SECONDS })) {
+    return { locked: true };
+  }
+  return { locked: false, lock: (await store.get(lockKey(conversationId))) || lock };
+}
+
+/** Release the conversation's lock if this run still holds it. */
+async function unlockConversation(conversationId, { runId }) {
+  const store = getStore();
+  if ((await store.get(lockKey(conversationId)))?.runId === runId) await store.delete(lockKey(conversationId));
+}
+
+/**
+ * Claim the latest customer message for this run (atomic). Returns { claimed: true } or
+ * { claimed: false, claim } with the holder's claim: a pending one ({ runId }), or one whose
+ * draft was created ({ runId, draftId, autoSent }).
+ */
+async function claimMessage(conversationId, messageId, { runId }) {
+  const store = getStore();
+  const key = claimKey(conversationId, messageId);
+  const claim = { runId, draftId: null, claimedAt: new Date().toISOString() };
+  if (await store.setIfAbsent(key, claim, { ttlSeconds: PENDING_CLAIM_TTL_SECONDS })) return { claimed: true };
+  return { claimed: false, claim: (await store.get(key)) || claim };
+}
+
+/** Record on the claim that the draft now exists, for as long as the draft record lives. */
+async function markClaimDrafted(conversationId, messageId, { runId, draftId, autoSent = false }) {
+  await getStore().set(
+    claimKey(conversationId, messageId),
+    { runId, draftId, autoSent, claimedAt: new Date().toISOString() },
+    { ttlSeconds: RECORD_TTL_SECONDS }
+  );
+}
+
+/** Give the message back (the run failed or skipped it before creating a draft). */
+async function releaseMessage(conversationId, messageId) {
+  await getStore().delete(claimKey(conversationId, messageId));
+}
+
+/** Last processed record for a conversation: { messageId, draftId, classification, updated_at }. */
+async function getDraftRecord(conversationId) {
+  return getStore().get(recordKey(conversationId));
+}
+
+async function saveDraftRecord(conversationId, { messageId, draftId = null, classification = null, cannedResponseId = null }) {
+  await getStore().set(
+    recordKey(conversationId),
+    { messageId, draftId, classification, cannedResponseId, updated_at: new Date().toISOString() },
+    { ttlSeconds: RECORD_TTL_SECONDS }
+  );
+}
+
+/** True when the latest external message has already been handled. */
+function alreadyHandled(record, messageId) {
+  return Boolean(record && messageId && record.messageId === messageId);
+}
+
+module.exports = {
+  DraftInProgressError,
+  getDraftRecord,
+  saveDraftRecord,
+  alreadyHandled,
+  lockConversation,
+  unlockConversation,
+  claimMessage,
+  markClaimDrafted,
+  releaseMessage,
+};
@@ -0,0 +1,233 @@
+// lib/draft-schema.js
+// Strict JSON schema the model answers with, plus the validator the handler runs on the
+// parsed output before anything downstream (routing, greeting, drafting) touches it. The
+// classify-only schema is for the check made before a canned response is filled in.
+
+const { getLogger } = require("./log");
+const { usageOf, combineUsage } = require("./costs");
+
+const CLASSIFICATIONS = ["reply", "automated", "spam", "unsubscribe", "whatsapp"];
+
+const DRAFT_SCHEMA = {
+  name: "tab_draft",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "classification",
+      "confidence",
+      "reply_html",
+      "canned_response",
+      "knowledge_snippets",
+      "unknown_facts",
+    ],
+    properties: {
+      classification: {
+        type: "string",
+        enum: CLASSIFICATIONS,
+        description: '"reply" for a normal drafted answer; otherwise the class that applies.',
+      },
+      confidence: {
+        type: "number",
+        description: "0–1: how confident you are in the classification and that the reply is correct.",
+      },
+      reply_html: {
+        type: "string",
+        description: 'The email body as HTML (<p> per paragraph). Empty string unless classification is "reply".',
+      },
+      canned_response: {
+        type: "object",
+        additionalProperties: false,
+        required: ["used", "title"],
+        properties: {
+          used: { type: "boolean" },
+          title: {
+            type: ["string", "null"],
+            description: "Title/heading of the canned response used, or null.",
+          },
+        },
+      },
+      knowledge_snippets: {
+        type: "array",
+        description: "Passages from the knowledge files the reply relies on.",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["source", "text"],
+          properties: {
+            source: { type: "string", description: "Knowledge file name." },
+            text: { type: "string", description: "Short quote of the passage." },
+          },
+        },
+      },
+      unknown_facts: {
+        type: "array",
+        description: "Facts the customer asked about that the knowledge base does not answer.",
+        items: { type: "string" },
+      },
+    },
+  },
+};
+
+const CLASSIFY_SCHEMA = {
+  name: "tab_classification",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["classification", "confidence", "canned_fits"],
+    properties: {
+      classification: DRAFT_SCHEMA.schema.properties.classification,
+      confidence: {
+        type: "number",
+        description:
+          "0–1: how confident you are in the classification and, when canned_fits is true, that the canned response is a correct and complete answer.",
+      },
+      canned_fits: {
+        type: "boolean",
+        description: "True only if the canned response, sent as it is, fully answers the latest message.",
+      },
+    },
+  },
+};
+
+const isString = (v) => typeof v === "string";
+
+/** Validate a parsed model output against DRAFT_SCHEMA. Returns { ok, errors }. */
+function validateDraft(output) {
+  const errors = [];
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    return { ok: false, errors: ["output must be a JSON object"] };
+  }
+  const allowed = Object.keys(DRAFT_SCHEMA.schema.properties);
+  for (const key of Object.keys(output)) {
+    if (!allowed.includes(key)) errors.push(`unexpected property "${key}"`);
+  }
+
+  if (!CLASSIFICATIONS.includes(output.classification)) {
+    errors.push(`classification must be one of ${CLASSIFICATIONS.join(", ")}`);
+  }
+  if (typeof output.confidence !== "number" || output.confidence < 0 || output.confidence > 1) {
+    errors.push("confidence must be a number between 0 and 1");
+  }
+  if (!isString(output.reply_html)) {
+    errors.push("reply_html must be a string");
+  } else if (output.classification === "reply" && !output.reply_html.trim()) {
+    errors.push('reply_html must not be empty when classification is "reply"');
+  }
+
+  const canned = output.canned_response;
+  if (!canned || typeof canned !== "object" || typeof canned.used !== "boolean") {
+    errors.push("canned_response.used must be a boolean");
+  } else if (!(canned.title === null || isString(canned.title))) {
+    errors.push("canned_response.title must be a string or null");
+  } else if (canned.used && !canned.title) {
+    errors.push("canned_response.title is required when canned_response.used is true");
+  }
+
+  if (!Array.isArray(output.knowledge_snippets)) {
+    errors.push("knowledge_snippets must be an array");
+  } else {
+    output.knowledge_snippets.forEach((s, i) => {
+      if (!s || !isString(s.source) || !isString(s.text)) {
+        errors.push(`knowledge_snippets[${i}] must have string source and text`);
+      }
+    });
+  }
+
+  if (!Array.isArray(output.unknown_facts) || !output.unknown_facts.every(isString)) {
+    errors.push("unknown_facts must be an array of strings");
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/** Validate a parsed classify-only output against CLASSIFY_SCHEMA. Returns { ok, errors }. */
+function validateClassification(output) {
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    return { ok: false, errors: ["output must be a JSON object"] };
+  }
+  const errors = Object.keys(output)
+    .filter((key) => !Object.hasOwn(CLASSIFY_SCHEMA.schema.properties, key))
+    .map((key) => `unexpected property "${key}"`);
+  if (!CLASSIFICATIONS.includes(output.classification)) {
+    errors.push(`classification must be one of ${CLASSIFICATIONS.join(", ")}`);
+  }
+  if (typeof output.confidence !== "number" || output.confidence < 0 || output.confidence > 1) {
+    errors.push("confidence must be a number between 0 and 1");
+  }
+  if (typeof output.canned_fits !== "boolean") errors.push("canned_fits must be a boolean");
+  return { ok: errors.length === 0, errors };
+}
+
+/** Follow-up prompt asking the model to fix an output that failed validation. */
+function repairPrompt(originalPrompt, badText, errors) {
+  return [
+    originalPrompt,
+    "",
+    "YOUR PREVIOUS ANSWER WAS INVALID:",
+    badText || "(empty)",
+    "",
+    "VALIDATION ERRORS:",
+    ...errors.map((e) => `- ${e}`),
+    "",
+    "Answer again with a single JSON object that matches the schema exactly and fixes every error above.",
+  ].join("\n");
+}
+
+/**
+ * Call the provider for a structured draft, validating the result and retrying once with
+ * a repair prompt. Returns { draft, generation, attempts, usage } (`usage` adds up both
+ * attempts, see lib/costs.js); throws if both attempts fail, with the usage of the calls
+ * that were answered on the error's `usage`, so their spend is still recorded.
+ */
+async function generateDraft(provider, { prompt, retrieval, model }) {
+  let generation = await provider.generate({ prompt, retrieval, model, schema: DRAFT_SCHEMA });
+  let check = validateDraft(generation.output);
+  if (check.ok) return { draft: generation.output, generation, attempts: 1, usage: usageOf(generation) };
+  const first = usageOf(generation);
+
+  getLogger().warn("draft.invalid_output", { errors: check.errors, retrying: true });
+  try {
+    generation = await provider.generate({
+      prompt: repairPrompt(prompt, generation.text, check.errors),
+      retrieval,
+      model,
+      schema: DRAFT_SCHEMA,
+    });
+  } catch (err) {
+    err.usage = first;
+    throw err;
+  }
+  const usage = combineUsage([first, usageOf(generation)]);
+  check = validateDraft(generation.output);
+  if (check.ok) return { draft: generation.output, generation, attempts: 2, usage };
+  throw Object.assign(new Error(`Model output failed validation after repair: ${check.errors.join("; ")}`), { usage });
+}
+
+/**
+ * Classify-only call (no file_search, no reply): { classification, confidence, cannedFits,
+ * generation, usage }. When the output doesn't validate, the errors are logged and
+ * classification is null (the caller falls back to a full draft); `usage` still counts.
+ */
+async function classifyMessage(provider, { prompt, model }) {
+  const generation = await provider.generate({ prompt, retrieval: null, model, schema: CLASSIFY_SCHEMA });
+  const usage = usageOf(generation);
+  const check = validateClassification(generation.output);
+  if (!check.ok) {
+    getLogger().warn("classify.invalid_output", { errors: check.errors });
+    return { classification: null, confidence: null, cannedFits: false, generation, usage };
+  }
+  const { classification, confidence, canned_fits: cannedFits } = generation.output;
+  return { classification, confidence, cannedFits, generation, usage };
+}
+
+module.exports = {
+  CLASSIFICATIONS,
+  DRAFT_SCHEMA,
+  CLASSIFY_SCHEMA,
+  validateDraft,
+  validateClassification,
+  repairPrompt,
+  generateDraft,
+  classifyMessage,
+};
@@ -0,0 +1,246 @@
+// lib/email-body.js
+// Turns a Missive message body into the text the model should read: HTML → text with
+// proper entity decoding, minus quoted history (blockquotes, Gmail/Outlook/Apple Mail
+// quote containers, "On … wrote:" / "Original Message" headers) and minus trailing
+// signatures and the legal disclaimers that follow a sign-off.
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—",
+  hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•", middot: "·",
+  copy: "©", reg: "®", trade: "™", euro: "€", pound: "£", yen: "¥", cent: "¢", deg: "°",
+  laquo: "«", raquo: "»", times: "×", shy: "", zwnj: "", zwj: "", iexcl: "¡", iquest: "¿",
+  eacute: "é", egrave: "è", ecirc: "ê", euml: "ë", aacute: "á", agrave: "à", acirc: "â",
+  auml: "ä", aring: "å", ccedil: "ç", iacute: "í", igrave: "ì", icirc: "î", iuml: "ï",
+  oacute: "ó", ograve: "ò", ocirc: "ô", ouml: "ö", oslash: "ø", uacute: "ú", ugrave: "ù",
+  ucirc: "û", uuml: "ü", ntilde: "ñ", szlig: "ß", Eacute: "É", Egrave: "È", Agrave: "À",
+  Auml: "Ä", Ouml: "Ö", Uuml: "Ü", Ccedil: "Ç", Ntilde: "Ñ",
+};
+
+/** Decode named, decimal and hex HTML entities (unknown names are left as-is). */
+function decodeEntities(str = "") {
+  return String(str).replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (whole, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ent) ? NAMED_ENTITIES[ent] : whole;
+  });
+}
+
+/* Elements whose whole subtree is quoted history. */
+const QUOTE_CONTAINERS = [
+  (tag) => tag === "blockquote",
+  (tag, attrs) => /class\s*=\s*["'][^"']*\b(gmail_quote|gmail_extra|yahoo_quoted|moz-cite-prefix)\b/i.test(attrs),
+  (tag, attrs) => /id\s*=\s*["']?mail-editor-reference-message-container\b/i.test(attrs),
+];
+
+/* Outlook markers: the quoted history is everything from here to the end of the body. */
+const QUOTE_CUT_MARKERS = [
+  (tag, attrs) => /id\s*=\s*["']?(divRplyFwdMsg|appendonsend)\b/i.test(attrs),
+  // Outlook desktop separator line above the "From:/Sent:" header block
+  (tag, attrs) => /border-top\s*:\s*solid\s+#(e1e1e1|b5c4df)/i.test(attrs),
+  // A bare <hr> is often just a divider in the message; Outlook puts one above its header
+  (tag, attrs, after) => tag === "hr" && outlookHeaderFollows(after()),
+];
+
+/* Elements whose subtree is trailing signature. */
+const SIGNATURE_CONTAINERS = [
+  (tag, attrs) => /class\s*=\s*["'][^"']*\b(gmail_signature|moz-signature)\b/i.test(attrs),
+  (tag, attrs) => /id\s*=\s*["']?(Signature|ms-outlook-mobile-signature|AppleMailSignature)\b/i.test(attrs),
+];
+
+const VOID_TAGS = new Set(["br", "hr", "img", "meta", "link", "input", "col", "area", "base", "wbr"]);
+
+/** Cut the HTML at the first opening tag matching a predicate (which may read what follows via `after()`). */
+function truncateAt(html, predicates) {
+  const tagRe = /<([a-z][a-z0-9:-]*)\b([^>]*)>/gi;
+  let m;
+  while ((m = tagRe.exec(html))) {
+    const after = () => html.slice(tagRe.lastIndex, tagRe.lastIndex + 2000);
+    if (predicates.some((p) => p(m[1].toLowerCase(), m[2], after))) return html.slice(0, m.index);
+  }
+  return html;
+}
+
+/**
+ * Remove elements (with their contents) whose opening tag matches a predicate.
+ * Nesting of the same tag name is tracked so inner divs don't end the match early;
+ * an unclosed container swallows the rest of the document.
+ */
+function removeElements(html, predicates) {
+  const tagRe = /<(\/?)([a-z][a-z0-9:-]*)\b([^>]*)>/gi;
+  let out = "";
+  let cursor = 0;
+  let m;
+  while ((m = tagRe.exec(html))) {
+    const [, closing, rawTag, attrs] = m;
+    const tag = rawTag.toLowerCase();
+    if (closing || !predicates.some((p) => p(tag, attrs))) continue;
+
+    out += html.slice(cursor, m.index);
+    if (VOID_TAGS.has(tag) || /\/\s*$/.test(attrs)) {
+      cursor = tagRe.lastIndex;
+      continue;
+    }
+    let depth = 1;
+    let inner;
+    const sameTag = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+    sameTag.lastIndex = tagRe.lastIndex;
+    while (depth > 0 && (inner = sameTag.exec(html))) {
+      depth += inner[1] ? -1 : 1;
+    }
+    cursor = depth > 0 ? html.length : sameTag.lastIndex;
+    tagRe.lastIndex = cursor;
+  }
+  return out + html.slice(cursor);
+}
+
+/** Convert HTML to plain text, keeping paragraph and line structure. */
+function htmlToText(html = "") {
+  return decodeEntities(
+    String(html)
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li\b[^>]*>/gi, "\n• ")
+      .replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol|pre|section|article)>/gi, "\n")
+      .replace(/<(p|div|h[1-6]|tr|table|ul|ol|pre|section|article)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/* A line that starts quoted history in plain text. */
+const QUOTE_HEADER_PATTERNS = [
+  /^on\s.{0,200}\bwrote:\s*$/i, // Gmail / Apple Mail: On Mon, 3 Jun 2024 at 10:00, Jane <j@x.com> wrote:
+  /^-{2,}\s*original message\s*-{2,}/i, // Outlook: -----Original Message-----
+  /^-{2,}\s*forwarded message\s*-{2,}/i,
+  /^begin forwarded message:/i, // Apple Mail
+  /^_{10,}\s*$/, // Outlook plain-text separator
+  /^le\s.{0,200}\ba écrit\s*:\s*$/i, // French clients
+  /^el\s.{0,200}\bescribió:\s*$/i, // Spanish clients
+  /^am\s.{0,200}\bschrieb.{0,100}:\s*$/i, // German clients
+  /^il giorno\s.{0,200}\bha scritto:\s*$/i, // Italian clients
+];
+
+/* Outlook header block: "From: …" followed within a few lines by "Sent:"/"Date:". */
+function isOutlookHeaderAt(lines, i) {
+  if (!/^\*?(from|von|de|da)\s*:\*?\s/i.test(lines[i])) return false;
+  return lines
+    .slice(i + 1, i + 5)
+    .some((l) => /^\*?(sent|date|gesendet|envoyé|enviado|inviato)\s*:/i.test(l));
+}
+
+/** Whether the HTML starts (after blank lines) with an Outlook "From:"/"Sent:" header block. */
+function outlookHeaderFollows(html) {
+  const lines = htmlToText(html)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  return lines.length > 0 && isOutlookHeaderAt(lines, 0);
+}
+
+/** Cut plain text at the first quoted-history marker and drop ">"-quoted lines. */
+function stripQuotedText(text = "") {
+  const lines = String(text).split("\n");
+  let end = lines.length;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Gmail sometimes wraps "On … wrote:" over two lines
+    const joined = `${line} ${(lines[i + 1] || "").trim()}`;
+    if (
+      QUOTE_HEADER_PATTERNS.some((re) => re.test(line)) ||
+      (/^on\s/i.test(line) && /\bwrote:\s*$/i.test(joined) && !/\bwrote:/i.test(line)) ||
+      isOutlookHeaderAt(lines.map((l) => l.trim()), i)
+    ) {
+      end = i;
+      break;
+    }
+  }
+  return lines
+    .slice(0, end)
+    .filter((l) => !/^\s*>/.test(l))
+    .join("\n")
+    .trim();
+}
+
+/* A line that starts a trailing signature block. */
+const SIGNATURE_PATTERNS = [
+  /^--\s*$/, // RFC 3676 delimiter
+  /^sent from my (iphone|ipad|android|samsung|mobile|galaxy)/i,
+  /^sent from (outlook|mail|yahoo mail)\b/i,
+  /^get outlook for (ios|android)/i,
+  /^envoyé de mon (iphone|ipad)/i,
+  /^von meinem (iphone|ipad) gesendet/i,
+  /^enviado desde mi (iphone|ipad)/i,
+  /^inviato da (iphone|ipad)/i,
+];
+
+/* A closing line ("Kind regards,"); legal boilerplate is only looked for after the last one. */
+const SIGN_OFF_RE =
+  /^(((kind|best|warm|many)\s+)?(regards|wishes|thanks)|thank you|cheers|sincerely|yours (sincerely|faithfully|truly)|cordialement|bien à vous|(un )?saludos?( cordiales)?|atentamente|mit freundlichen grüßen|(viele|beste) grüße|cordiali saluti|distinti saluti)[\s,.!]*$/i;
+
+/* Phrases of legal boilerplate. A disclaimer paragraph has several sentences and at least two. */
+const DISCLAIMER_PHRASES = [
+  /\bthis (e-?mail|message|communication)\b[^.]{0,60}\b(is|are|may be|contains?) (confidential|privileged|intended)/i,
+  /\bintended (solely |only )?for the (use of the )?(named )?(addressee|recipient|individual)/i,
+  /\bif you (are not|have received this)[^.]{0,60}(intended recipient|in error)/i,
+  /\b(notify the sender|delete (it|this (e-?mail|message))|destroy (it|all copies))\b/i,
+  /\b(privileged and confidential|confidential and privileged|strictly confidential)\b/i,
+  /\b(use|disclosure|copying|distribution|dissemination)\b[^.]{0,80}\b(prohibited|unauthori[sz]ed|not permitted)\b/i,
+  /\b(registered (office|in england( and wales)?)|company (registration|number|no\.?)|registration number)\b/i,
+  /\b(disclaimer|please consider the environment before printing)\b/i,
+];
+
+/** Legal boilerplate: at least two sentences and at least two disclaimer phrases. */
+function isDisclaimer(paragraph) {
+  const sentences = paragraph.split(/[.!?](?:\s|$)/).filter((s) => s.trim());
+  return sentences.length >= 2 && DISCLAIMER_PHRASES.filter((re) => re.test(paragraph)).length >= 2;
+}
+
+/** Drop a trailing signature (from a known marker) and legal disclaimer paragraphs after the sign-off. */
+function stripSignature(text = "") {
+  let lines = String(text).split("\n");
+  const sigStart = lines.findIndex((l) => SIGNATURE_PATTERNS.some((re) => re.test(l.trim())));
+  if (sigStart > 0) lines = lines.slice(0, sigStart);
+
+  const signOff = lines.findLastIndex((l) => SIGN_OFF_RE.test(l.trim()));
+  if (signOff < 0) return lines.join("\n").trim();
+  const paragraphs = lines.slice(signOff + 1).join("\n").split(/\n\s*\n/);
+  while (paragraphs.length && (!paragraphs[paragraphs.length - 1].trim() || isDisclaimer(paragraphs[paragraphs.length - 1]))) {
+    paragraphs.pop();
+  }
+  return [...lines.slice(0, signOff + 1), paragraphs.join("\n\n")].join("\n").trim();
+}
+
+/**
+ * Normalise one email body for the prompt. Prefers HTML (quote containers are explicit
+ * there) and falls back to the plain-text part. Never returns an empty string for a
+ * non-empty message: if stripping removes everything, the unstripped text is kept.
+ */
+function normaliseEmailBody({ html, text } = {}) {
+  const full = html ? htmlToText(html) : String(text || "").replace(/\r\n?/g, "\n").trim();
+  if (!full) return "";
+
+  const withoutContainers = html
+    ? htmlToText(
+        removeElements(truncateAt(String(html), QUOTE_CUT_MARKERS), [
+          ...QUOTE_CONTAINERS,
+          ...SIGNATURE_CONTAINERS,
+        ])
+      )
+    : full;
+  const cleaned = stripSignature(stripQuotedText(withoutContainers));
+  return cleaned || full;
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  stripQuotedText,
+  stripSignature,
+  normaliseEmailBody,
+};
@@ -0,0 +1,85 @@
+// lib/explain.js
+// The internal Missive post added next to each bot draft, so agents can see why it was
+// written: classification, confidence, canned response, retrieved knowledge (with
+// filenames), facts the model didn't know, the model, the run's log ID and the auto-send
+// decision (lib/auto-send.js). Profiles turn it off with "explainDrafts": false.
+
+const SNIPPET_CHARS = 220;
+
+function clip(text = "", max = SNIPPET_CHARS) {
+  const t = String(text).replace(/\s+/g, " ").trim();
+  return t.length <= max ? t : `${t.slice(0, max).trimEnd()}…`;
+}
+
+/** Markdown link to the run's logs when LOG_URL_TEMPLATE (with {runId}) is set, else the bare ID. */
+function runLink(runId) {
+  const template = process.env.LOG_URL_TEMPLATE;
+  if (!runId) return "n/a";
+  return template ? `[${runId}](${template.replace("{runId}", encodeURIComponent(runId))})` : `\`${runId}\``;
+}
+
+/** True unless the inbox profile switched explanations off. */
+function explainEnabled(profile = {}) {
+  return profile.explainDrafts !== false;
+}
+
+/** Markdown body of the explanation post for one drafted reply. */
+function buildExplanation({ result, generation, canned: used, runId, language, autoSend }) {
+  const how = { filled: ", filled in after a classify-only model check", adapted: ", matched and adapted by the model" };
+  const entry = used?.id ? ` (\`${used.id}\`${how[used.mode] || ""})` : "";
+  const canned = result.canned_response?.used
+    ? `"${result.canned_response.title || "untitled"}"${entry}`
+    : "none";
+  const lines = [
+    "**Why this draft** (Tab drafting assistant)",
+    "",
+    `- Classification: **${result.classification}**, confidence ${Number(result.confidence).toFixed(2)}`,
+    `- Canned response: ${canned}`,
+    `- Language: ${language || "n/a"}`,
+    `- Model: ${generation.model || "unknown"}`,
+    `- Run: ${runLink(runId)}`,
+  ];
+  if (autoSend && !autoSend.failed.includes("disabled")) {
+    lines.push(
+      autoSend.send
+        ? "- Auto-send: **sent without review** (all guardrails passed)"
+        : `- Auto-send: held for review (${autoSend.failed.join(", ")})`
+    );
+  }
+
+  const cited = result.knowledge_snippets || [];
+  if (cited.length) {
+    lines.push("", "**Knowledge the model used**");
+    for (const s of cited) lines.push(`- _${s.source || "unknown"}_: ${clip(s.text)}`);
+  }
+
+  const retrieved = generation.sources || [];
+  lines.push("", `**Retrieved by file search** (${retrieved.length})`);
+  if (!generation.fileSearchUsed) lines.push("- File search was not used for this draft.");
+  for (const s of retrieved) {
+    const score = typeof s.score === "number" ? ` (score ${s.score.toFixed(2)})` : "";
+    lines.push(`- _${s.filename || s.fileId || "unknown file"}_${score}: ${clip(s.text)}`);
+  }
+
+  const unknown = result.unknown_facts || [];
+  if (unknown.length) {
+    lines.push("", "**The model did not know**");
+    for (const fact of unknown) lines.push(`- ${fact}`);
+  }
+  return lines.join("\n");
+}
+
+/** Add the explanation post to the conversation (no-op when the profile turned it off). */
+async function postExplanation(client, conversationId, { profile, ...details }) {
+  if (!explainEnabled(profile)) return false;
+  await client.createPost(conversationId, {
+    markdown: buildExplanation(details),
+    notification: {
+      title: "Tab drafting assistant",
+      body: details.autoSend?.send ? "Reply sent automatically" : "Draft ready for review",
+    },
+  });
+  return true;
+}
+
+module.exports = { buildExplanation, explainEnabled, postExplanation };
@@ -0,0 +1,107 @@
+// lib/fake-missive.js
+// Local stand-in for the Missive REST API, backed by JSON fixtures. Serves the endpoints
+// the pipeline uses under /v1 and records writes:
+//   GET    /v1/users (token check)
+//   GET    /v1/conversations/:id
+//   GET    /v1/conversations/:id/messages?limit=&until=
+//   GET    /v1/messages/:id
+//   POST   /v1/drafts, DELETE /v1/drafts/:id, POST /v1/posts
+// Recorded drafts/posts are on server.fake and at GET /__fake/state for assertions.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { createStubMissiveClient } = require("./missive-stub");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "missive");
+
+/** Load fixtures: one JSON file per conversation, { id, conversation, messages }. */
+function loadMissiveFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const conversations = {};
+  for (const f of fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort()) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const id = fixture.id || path.basename(f, ".json");
+    conversations[id] = { conversation: fixture.conversation || {}, messages: fixture.messages || [] };
+  }
+  return conversations;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/** Create (not start) the fake API server. Call .listen(port) on the result. */
+function createFakeMissiveServer({ conversations = loadMissiveFixtures(), token } = {}) {
+  const fake = createStubMissiveClient(conversations);
+
+  const routes = [
+    ["GET", /^\/v1\/users$/, async () => ({ users: await fake.listUsers() })],
+    ["GET", /^\/v1\/conversations\/([^/]+)$/, async (m) => ({ conversations: [await fake.getConversation(m[1])] })],
+    [
+      "GET",
+      /^\/v1\/conversations\/([^/]+)\/messages$/,
+      async (m, url) => {
+        const limit = Math.min(Number(url.searchParams.get("limit")) || 10, 10);
+        const until = url.searchParams.has("until") ? Number(url.searchParams.get("until")) : undefined;
+        return { messages: await fake.listMessages(m[1], { limit, until }) };
+      },
+    ],
+    ["GET", /^\/v1\/messages\/([^/]+)$/, async (m) => ({ messages: await fake.getMessage(m[1]) })],
+    ["POST", /^\/v1\/drafts$/, async (m, url, body) => ({ drafts: { id: await fake.createDraft(body.drafts || {}) } })],
+    [
+      "DELETE",
+      /^\/v1\/drafts\/([^/]+)$/,
+      async (m) => {
+        if (!(await fake.deleteDraft(m[1]))) throw Object.assign(new Error("draft not found"), { status: 404 });
+        return {};
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/posts$/,
+      async (m, url, body) => {
+        const { conversation, ...post } = body.posts || {};
+        return fake.createPost(conversation, post);
+      },
+    ],
+    ["GET", /^\/__fake\/state$/, async () => ({ drafts: fake.drafts, deletedDrafts: fake.deletedDrafts, posts: fake.posts })],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (token && !url.pathname.startsWith("/__fake") && req.headers.authorization !== `Bearer ${token}`) {
+      return send(res, 401, { error: "invalid token" });
+    }
+    for (const [method, re, handler] of routes) {
+      const m = re.exec(url.pathname);
+      if (!m || req.method !== method) continue;
+      try {
+        const body = method === "POST" ? await readJson(req) : {};
+        return send(res, 200, await handler(m, url, body));
+      } catch (err) {
+        return send(res, err.status || 500, { error: err.message });
+      }
+    }
+    return send(res, 404, { error: `no fake route for ${req.method} ${url.pathname}` });
+  });
+  server.fake = fake;
+  return server;
+}
+
+module.exports = { loadMissiveFixtures, createFakeMissiveServer };
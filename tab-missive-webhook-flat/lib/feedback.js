@@ -0,0 +1,240 @@
+// lib/feedback.js
+// Quality feedback loop: every bot draft is snapshotted when it is created; when Missive
+// reports an outgoing message (api/missive-outgoing.js → "feedback" job) it is matched back
+// to our draft and the edit distance and a paragraph-level diff are stored. summariseFeedback
+// turns the snapshots into acceptance/edit rates and common corrections (feedback-report.js).
+
+const { getStore } = require("./store");
+const { normaliseEmailBody } = require("./email-body");
+
+const SNAPSHOT_TTL_SECONDS = 90 * 24 * 60 * 60;
+const INDEX_KEY = "feedback:drafts";
+const INDEX_LIMIT = 2000;
+const MAX_WORDS = 1500;
+const CLIP_CHARS = 160;
+
+// Edit ratio thresholds: at most ACCEPTED is "sent as is", at least REWRITTEN is a rewrite
+const ACCEPTED_MAX_RATIO = 0.05;
+const REWRITTEN_MIN_RATIO = 0.6;
+
+const snapshotKey = (draftId) => `feedback:draft:${draftId}`;
+
+const words = (text) => String(text || "").toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+const clip = (text) => {
+  const t = String(text).replace(/\s+/g, " ").trim();
+  return t.length <= CLIP_CHARS ? t : `${t.slice(0, CLIP_CHARS)}…`;
+};
+
+/** Word-level Levenshtein distance (two-row DP). */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** 0 = identical, 1 = nothing in common (distance over the longer text). */
+function editRatio(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? editDistance(a, b) / longest : 0;
+}
+
+const paragraphs = (text) =>
+  String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+/**
+ * Compare the bot's draft text with what was sent.
+ * Returns { distance, ratio, sections: { kept, edited: [{ before, after, ratio }], removed, added } }.
+ */
+function compareTexts(draftText, sentText) {
+  const a = words(draftText).slice(0, MAX_WORDS);
+  const b = words(sentText).slice(0, MAX_WORDS);
+  const distance = editDistance(a, b);
+  const ratio = Math.max(a.length, b.length) ? distance / Math.max(a.length, b.length) : 0;
+
+  // Pair each draft paragraph with its closest unused sent paragraph
+  const sent = paragraphs(sentText).map((p) => ({ text: p, words: words(p), used: false }));
+  const sections = { kept: 0, edited: [], removed: [], added: [] };
+  for (const para of paragraphs(draftText)) {
+    const w = words(para);
+    let best = null;
+    for (const candidate of sent.filter((s) => !s.used)) {
+      const r = editRatio(w, candidate.words);
+      if (!best || r < best.ratio) best = { candidate, ratio: r };
+    }
+    if (!best || best.ratio >= REWRITTEN_MIN_RATIO) {
+      sections.removed.push(clip(para));
+      continue;
+    }
+    best.candidate.used = true;
+    if (best.ratio === 0) sections.kept += 1;
+    else sections.edited.push({ before: clip(para), after: clip(best.candidate.text), ratio: round(best.ratio) });
+  }
+  sections.added = sent.filter((s) => !s.used).map((s) => clip(s.text));
+  return { distance, ratio: round(ratio), sections };
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/** Plain text of a message or draft body, quoted history and signature removed. */
+function bodyText(html) {
+  return normaliseEmailBody({ html });
+}
+
+/** Snapshot a draft we just created, for comparison when it is sent. */
+async function recordDraft({ draftId, conversationId, html, result, cannedResponseId, language, profileId, runId }) {
+  if (!draftId) return;
+  const store = getStore();
+  await store.set(
+    snapshotKey(draftId),
+    {
+      draftId,
+      conversationId,
+      text: bodyText(html),
+      classification: result?.classification || "reply",
+      cannedResponse: result?.canned_response?.used ? result.canned_response.title || "untitled" : null,
+      cannedResponseId: cannedResponseId || null,
+      language: language || null,
+      profileId: profileId || null,
+      runId: runId || null,
+      createdAt: Date.now(),
+      outcome: null,
+    },
+    { ttlSeconds: SNAPSHOT_TTL_SECONDS }
+  );
+  // Index for the report (the INDEX_LIMIT most recent drafts)
+  await store.addToIndex(INDEX_KEY, draftId, { limit: INDEX_LIMIT });
+}
+
+async function updateSnapshot(snapshot, changes) {
+  const next = { ...snapshot, ...changes };
+  await getStore().set(snapshotKey(snapshot.draftId), next, { ttlSeconds: SNAPSHOT_TTL_SECONDS });
+  return next;
+}
+
+/** Mark a draft we deleted ourselves because a newer customer message replaced it. */
+async function markDraftReplaced(draftId) {
+  const snapshot = await getStore().get(snapshotKey(draftId));
+  if (snapshot && !snapshot.outcome) await updateSnapshot(snapshot, { outcome: "replaced" });
+}
+
+/**
+ * The bot draft a sent message came from: the same ID (Missive keeps the draft's ID when it
+ * is sent), else the open bot draft on that conversation if it predates the message.
+ */
+async function findDraftFor(message, conversationId, draftRecord) {
+  const store = getStore();
+  const direct = await store.get(snapshotKey(message.id));
+  if (direct) return direct;
+  if (!draftRecord?.draftId) return null;
+  const snapshot = await store.get(snapshotKey(draftRecord.draftId));
+  const sentAt = Number(message.delivered_at || message.created_at || 0) * 1000 || Date.now();
+  if (!snapshot || snapshot.outcome || snapshot.conversationId !== conversationId) return null;
+  return snapshot.createdAt <= sentAt ? snapshot : null;
+}
+
+function outcomeFor(ratio) {
+  if (ratio <= ACCEPTED_MAX_RATIO) return "accepted";
+  return ratio >= REWRITTEN_MIN_RATIO ? "rewritten" : "edited";
+}
+
+/** Compare a sent message with the matched snapshot and store the result on the snapshot. */
+async function recordSent(snapshot, message) {
+  const diff = compareTexts(snapshot.text, bodyText(message.body));
+  return updateSnapshot(snapshot, {
+    outcome: outcomeFor(diff.ratio),
+    sentMessageId: message.id,
+    sentAt: Date.now(),
+    editDistance: diff.distance,
+    editRatio: diff.ratio,
+    sections: diff.sections,
+  });
+}
+
+/** All indexed snapshots still in the store, read in batches. */
+async function loadFeedback() {
+  const store = getStore();
+  const ids = await store.getIndex(INDEX_KEY);
+  return (await store.getMany(ids.map(snapshotKey))).filter(Boolean);
+}
+
+function emptyGroup() {
+  return { drafts: 0, accepted: 0, edited: 0, rewritten: 0, unsent: 0, replaced: 0, pending: 0, ratios: [], removed: {}, added: {} };
+}
+
+/**
+ * Aggregate snapshots by classification and by canned response. Drafts never sent after
+ * `unsentAfterDays` count as unsent; younger ones as pending. Rates are over resolved drafts
+ * (sent or unsent); editRate is the mean edit ratio of sent drafts.
+ */
+function summariseFeedback(snapshots, { now = Date.now(), unsentAfterDays = 7, top = 5 } = {}) {
+  const groups = { classification: {}, cannedResponse: {} };
+  const all = emptyGroup();
+
+  for (const s of snapshots) {
+    let outcome = s.outcome;
+    if (!outcome) outcome = now - s.createdAt > unsentAfterDays * 86400000 ? "unsent" : "pending";
+    const targets = [
+      all,
+      (groups.classification[s.classification] ||= emptyGroup()),
+      (groups.cannedResponse[s.cannedResponse || "(none)"] ||= emptyGroup()),
+    ];
+    for (const g of targets) {
+      g.drafts += 1;
+      g[outcome] += 1;
+      if (typeof s.editRatio === "number") g.ratios.push(s.editRatio);
+      for (const p of s.sections?.removed || []) g.removed[p] = (g.removed[p] || 0) + 1;
+      for (const e of s.sections?.edited || []) g.removed[e.before] = (g.removed[e.before] || 0) + 1;
+      for (const p of s.sections?.added || []) g.added[p] = (g.added[p] || 0) + 1;
+    }
+  }
+
+  const finish = (g) => {
+    const sent = g.accepted + g.edited + g.rewritten;
+    const resolved = sent + g.unsent;
+    const topOf = (counts) =>
+      Object.entries(counts)
+        .filter(([, n]) => n > 1)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, top)
+        .map(([text, count]) => ({ text, count }));
+    return {
+      drafts: g.drafts,
+      accepted: g.accepted,
+      edited: g.edited,
+      rewritten: g.rewritten,
+      unsent: g.unsent,
+      replaced: g.replaced,
+      pending: g.pending,
+      acceptanceRate: resolved ? round(g.accepted / resolved) : null,
+      editRate: g.ratios.length ? round(g.ratios.reduce((a, b) => a + b, 0) / g.ratios.length) : null,
+      commonlyRemoved: topOf(g.removed),
+      commonlyAdded: topOf(g.added),
+    };
+  };
+  const mapGroups = (obj) => Object.fromEntries(Object.keys(obj).sort().map((k) => [k, finish(obj[k])]));
+  return {
+    overall: finish(all),
+    byClassification: mapGroups(groups.classification),
+    byCannedResponse: mapGroups(groups.cannedResponse),
+  };
+}
+
+module.exports = {
+  editDistance,
+  compareTexts,
+  recordDraft,
+  markDraftReplaced,
+  findDraftFor,
+  recordSent,
+  loadFeedback,
+  summariseFeedback,
+};
@@ -0,0 +1,124 @@
+// lib/health.js
+// Dependency checks for api/health.js: configuration (env, store and queue drivers, inbox
+// profiles, redaction, canned responses, CLASSIFICATION_ACTIONS including the WhatsApp
+// team assignment, rate table and budget settings), the Missive token, OpenAI reachability
+// with the configured model, and vector store readiness (the same files-ready test as
+// `npm run sync:check`). Each check is { name, ok, skipped?, detail, durationMs } and gives
+// up after HEALTH_TIMEOUT_MS (default 5000).
+
+const { loadInboxConfig } = require("./inbox-config");
+const { loadRedactionConfig } = require("./redact");
+const { loadCannedResponses } = require("./canned");
+const { loadRates, budgetSettings } = require("./costs");
+const { createStore } = require("./store");
+const { createQueue } = require("./queue");
+const { classificationActionProblems } = require("./classification");
+const { getProvider, knowledgeRetrieval, fileSearchDisabled } = require("./llm");
+const { OPENAI_API } = require("./llm/openai");
+const { getMissiveClient } = require("./missive");
+const { startTimer } = require("./log");
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const usesOpenAI = () => (process.env.LLM_PROVIDER || "openai") === "openai";
+
+/** Every configuration problem found, as sentences; [] when all is well. */
+function configProblems() {
+  const problems = [];
+  const collect = (load) => {
+    try {
+      load();
+    } catch (err) {
+      problems.push(...(err.problems || [err.message]));
+    }
+  };
+  collect(loadInboxConfig);
+  collect(loadRedactionConfig);
+  collect(loadCannedResponses);
+  collect(() => createStore());
+  collect(() => createQueue());
+  collect(loadRates);
+  collect(budgetSettings);
+  problems.push(...classificationActionProblems());
+  // Unknown LLM_PROVIDER, or openai without VECTOR_STORE_ID and without FILE_SEARCH=off
+  collect(() => getProvider());
+  // MISSIVE_API_URL without a token is the local fake API
+  const required = [
+    ...(process.env.MISSIVE_API_URL ? [] : ["MISSIVE_API_TOKEN"]),
+    "MISSIVE_WEBHOOK_SECRET",
+    ...(usesOpenAI() ? ["OPENAI_API_KEY"] : []),
+  ];
+  for (const name of required) {
+    if (!process.env[name]) problems.push(`${name} is not set`);
+  }
+  return problems;
+}
+
+async function openaiGet(path) {
+  const resp = await fetch(`${OPENAI_API}${path}`, {
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, "OpenAI-Beta": "assistants=v2" },
+  });
+  const json = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`${resp.status} ${json?.error?.message || resp.statusText}`);
+  return json;
+}
+
+const CHECKS = {
+  async config() {
+    const problems = configProblems();
+    return { ok: problems.length === 0, detail: problems.length ? problems : "ok" };
+  },
+
+  async missive({ client }) {
+    if (!process.env.MISSIVE_API_TOKEN && !process.env.MISSIVE_API_URL) {
+      return { ok: false, detail: "MISSIVE_API_TOKEN is not set" };
+    }
+    const users = await client.listUsers();
+    return { ok: true, detail: `token accepted (${users.length} user(s) visible)` };
+  },
+
+  async openai() {
+    if (!usesOpenAI()) return { ok: true, skipped: true, detail: `LLM_PROVIDER is ${process.env.LLM_PROVIDER}` };
+    if (!process.env.OPENAI_API_KEY) return { ok: false, detail: "OPENAI_API_KEY is not set" };
+    const model = process.env.OPENAI_MODEL || "gpt-5";
+    await openaiGet(`/models/${encodeURIComponent(model)}`);
+    return { ok: true, detail: `model ${model} available` };
+  },
+
+  async vectorStore() {
+    const retrieval = knowledgeRetrieval();
+    if (!usesOpenAI()) return { ok: true, skipped: true, detail: `LLM_PROVIDER is ${process.env.LLM_PROVIDER}` };
+    if (fileSearchDisabled()) return { ok: true, skipped: true, detail: "FILE_SEARCH is off; drafts run without file search" };
+    if (!retrieval) return { ok: false, detail: "VECTOR_STORE_ID is not set" };
+    const [id] = retrieval.vectorStoreIds;
+    const store = await openaiGet(`/vector_stores/${encodeURIComponent(id)}`);
+    const counts = store.file_counts || {};
+    const failed = (counts.failed || 0) + (counts.cancelled || 0);
+    const detail = `${counts.completed || 0}/${counts.total || 0} file(s) ready, ${counts.in_progress || 0} processing, ${failed} failed`;
+    return { ok: counts.total > 0 && counts.completed === counts.total, detail };
+  },
+};
+
+/** Run every check in parallel; { ok, checks } where ok means every check passed. */
+async function runHealthChecks({ client = getMissiveClient(), timeoutMs = Number(process.env.HEALTH_TIMEOUT_MS || 5000) } = {}) {
+  const checks = await Promise.all(
+    Object.entries(CHECKS).map(async ([name, check]) => {
+      const elapsed = startTimer();
+      try {
+        const outcome = await withTimeout(check({ client }), timeoutMs, name);
+        return { name, ...outcome, durationMs: elapsed() };
+      } catch (err) {
+        return { name, ok: false, detail: String(err?.message || err), durationMs: elapsed() };
+      }
+    })
+  );
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+module.exports = { configProblems, runHealthChecks };
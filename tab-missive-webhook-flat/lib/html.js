@@ -0,0 +1,237 @@
+// lib/html.js
+// Post-processing for model HTML before it becomes a Missive draft body:
+//   1. strip file_search citation artifacts (【4:0†source】, [4:0†file.pdf], filecite markers)
+//   2. convert leftover markdown (bold/italic/links/headings/lists) to HTML
+//   3. enforce a tag allowlist — scripts/styles/iframes are removed with their contents,
+//      other unknown tags are unwrapped, and every attribute except a safe <a href> is dropped
+//   4. link bare URLs and add the inbox's UTM parameters to every link to its website
+//   5. wrap loose top-level text in <p>
+
+const { decodeEntities } = require("./email-body");
+const { isSiteUrl, withUtms } = require("./links");
+
+const ALLOWED_TAGS = new Set(["p", "br", "a", "strong", "b", "em", "i", "u", "ul", "ol", "li", "blockquote"]);
+const BLOCK_TAGS = new Set(["p", "ul", "ol", "blockquote"]);
+const DROP_WITH_CONTENT = ["script", "style", "iframe", "object", "embed", "noscript", "template", "svg", "math", "head", "title", "textarea", "select"];
+const SAFE_HREF = /^(https?:|mailto:|tel:)/i;
+
+const CITATION_PATTERNS = [
+  /【[^】]*】/g, // 【4:0†source】
+  /\[\d+:\d+†[^\]]*\]/g, // [4:0†Canned responses.pdf]
+  /\ue200cite\ue202[^\ue201]*\ue201/g, // filecite markers with private-use delimiters
+  /\bcite(turn\d+\w+)+\b/g, // the same markers once the delimiters are lost
+  /\(\s*source:\s*[^)]*\.(pdf|docx?|txt|md)\s*\)/gi,
+];
+
+function escapeHtml(text = "") {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** Remove file_search citation markers. */
+function stripCitations(text = "") {
+  let out = String(text);
+  for (const re of CITATION_PATTERNS) out = out.replace(re, "");
+  return out.replace(/[ \t]+([.,;:!?])/g, "$1").replace(/[ \t]{2,}/g, " ");
+}
+
+/** Inline markdown → HTML (bold, italic, links). Safe to run on text between tags. */
+function inlineMarkdown(text = "") {
+  return String(text)
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+|mailto:[^\s)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/(\*\*|__)(?=\S)([^*_\n]+?)(?<=\S)\1/g, "<strong>$2</strong>")
+    .replace(/(^|[^*\w])\*(?=\S)([^*\n]+?)(?<=\S)\*(?!\*)/g, "$1<em>$2</em>")
+    .replace(/(^|[^_\w])_(?=\S)([^_\n]+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+const BULLET_RE = /^[-*•]\s+/;
+const NUMBERED_RE = /^\d+[.)]\s+/;
+const HEADING_RE = /^#{1,6}\s+/;
+
+const lineKind = (line) =>
+  BULLET_RE.test(line) ? "ul" : NUMBERED_RE.test(line) ? "ol" : HEADING_RE.test(line) ? "heading" : "text";
+
+/**
+ * Block markdown (paragraphs, headings, bullet/numbered lists) → HTML, for outputs with no
+ * block tags. Within a paragraph, runs of lines of one kind become their own block, so
+ * "Next steps:" followed by list lines gives a paragraph and a list.
+ */
+function markdownToHtml(text = "") {
+  const blocks = String(text).replace(/\r\n?/g, "\n").trim().split(/\n\s*\n/);
+  const html = [];
+  for (const block of blocks) {
+    const runs = [];
+    for (const line of block.split("\n").map((l) => l.trim()).filter(Boolean)) {
+      const kind = lineKind(line);
+      const last = runs[runs.length - 1];
+      if (last && last.kind === kind && kind !== "heading") last.lines.push(line);
+      else runs.push({ kind, lines: [line] });
+    }
+    for (const { kind, lines } of runs) {
+      if (kind === "ul" || kind === "ol") {
+        const marker = kind === "ul" ? BULLET_RE : NUMBERED_RE;
+        html.push(`<${kind}>${lines.map((l) => `<li>${inlineMarkdown(l.replace(marker, ""))}</li>`).join("")}</${kind}>`);
+      } else if (kind === "heading") {
+        html.push(`<p><strong>${inlineMarkdown(lines[0].replace(HEADING_RE, ""))}</strong></p>`);
+      } else {
+        html.push(`<p>${lines.map((l) => inlineMarkdown(l)).join("<br>")}</p>`);
+      }
+    }
+  }
+  return html.join("");
+}
+
+function hasBlockTags(html = "") {
+  return /<(p|ul|ol|li|blockquote|div|br|h[1-6]|table)\b/i.test(html);
+}
+
+/** Split HTML into tag and text tokens. */
+function tokenize(html) {
+  const tokens = [];
+  const re = /<!--[\s\S]*?-->|<\/?[a-z][a-z0-9:-]*\b[^>]*>/gi;
+  let last = 0;
+  let m;
+  while ((m = re.exec(html))) {
+    if (m.index > last) tokens.push({ type: "text", value: html.slice(last, m.index) });
+    tokens.push({ type: "tag", value: m[0] });
+    last = re.lastIndex;
+  }
+  if (last < html.length) tokens.push({ type: "text", value: html.slice(last) });
+  return tokens;
+}
+
+function hrefOf(attrs = "") {
+  const m = /\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attrs);
+  if (!m) return null;
+  const href = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "").trim();
+  return SAFE_HREF.test(href) ? href : null;
+}
+
+/** Link bare URLs in a (decoded) text run; returns HTML. */
+function linkifyText(text) {
+  const re = /\b(https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]])/g;
+  let out = "";
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    out += escapeHtml(text.slice(last, m.index)) + `<a href="${escapeHtml(m[1])}">${escapeHtml(m[1])}</a>`;
+    last = re.lastIndex;
+  }
+  return out + escapeHtml(text.slice(last));
+}
+
+/** Allowlist sanitiser; also links bare URLs outside <a>. */
+function sanitizeHtml(html = "") {
+  let src = String(html);
+  for (const tag of DROP_WITH_CONTENT) {
+    src = src.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?(<\\/${tag}\\s*>|$)`, "gi"), "");
+  }
+  // Headings become bold paragraphs; divs become paragraphs
+  src = src
+    .replace(/<h[1-6]\b[^>]*>/gi, "<p><strong>")
+    .replace(/<\/h[1-6]\s*>/gi, "</strong></p>")
+    .replace(/<div\b[^>]*>/gi, "<p>")
+    .replace(/<\/div\s*>/gi, "</p>");
+
+  let out = "";
+  let inLink = 0;
+  for (const token of tokenize(src)) {
+    if (token.type === "text") {
+      const text = decodeEntities(token.value);
+      out += inLink ? escapeHtml(text) : linkifyText(text);
+      continue;
+    }
+    const m = /^<(\/?)([a-z][a-z0-9:-]*)\b([^>]*)>$/i.exec(token.value);
+    if (!m) continue; // comments
+    const [, closing, rawTag, attrs] = m;
+    const tag = rawTag.toLowerCase();
+    if (!ALLOWED_TAGS.has(tag)) continue;
+    if (tag === "a") {
+      if (closing) {
+        if (inLink) {
+          inLink -= 1;
+          out += "</a>";
+        }
+        continue;
+      }
+      const href = hrefOf(attrs);
+      if (!href) continue;
+      inLink += 1;
+      out += `<a href="${escapeHtml(href)}">`;
+      continue;
+    }
+    out += tag === "br" ? "<br>" : `<${closing}${tag}>`;
+  }
+  return out + "</a>".repeat(inLink);
+}
+
+/** Add UTM parameters to every link that points at the profile website. */
+function applyUtms(html, profile) {
+  if (!profile) return html;
+  return html.replace(/<a href="([^"]*)">/g, (whole, href) => {
+    const url = decodeEntities(href);
+    return isSiteUrl(url, profile) ? `<a href="${escapeHtml(withUtms(url, profile))}">` : whole;
+  });
+}
+
+/** Wrap top-level inline content in <p> and drop empty paragraphs. */
+function ensureParagraphs(html) {
+  let out = "";
+  let inline = "";
+  let depth = 0;
+  const flush = () => {
+    if (inline.replace(/<br>/g, "").trim()) out += `<p>${inline.trim().replace(/^(<br>\s*)+|(\s*<br>)+$/g, "")}</p>`;
+    inline = "";
+  };
+  for (const token of tokenize(html)) {
+    const m = token.type === "tag" ? /^<(\/?)([a-z]+)/i.exec(token.value) : null;
+    const isBlock = m && BLOCK_TAGS.has(m[2].toLowerCase());
+    if (depth === 0 && !isBlock) {
+      inline += token.value;
+      continue;
+    }
+    if (depth === 0) flush();
+    out += token.value;
+    if (isBlock) depth += m[1] ? -1 : 1;
+    if (depth < 0) depth = 0;
+  }
+  flush();
+  return out.replace(/\s+<\/(p|li)>/g, "</$1>").replace(/<p>(\s|<br>)*<\/p>/g, "");
+}
+
+/**
+ * Markdown inside otherwise-HTML output: top-level text runs (outside any block tag) with
+ * list/heading lines get block conversion; everything else gets inline conversion.
+ */
+function markdownBetweenTags(html) {
+  let depth = 0;
+  return tokenize(html)
+    .map((t) => {
+      if (t.type === "tag") {
+        const m = /^<(\/?)([a-z0-9]+)/i.exec(t.value);
+        if (m && BLOCK_TAGS.has(m[2].toLowerCase())) depth = Math.max(0, depth + (m[1] ? -1 : 1));
+        return t.value;
+      }
+      const hasBlockMarkdown = /(^|\n)\s*([-*•]|\d+[.)]|#{1,6})\s+\S/.test(t.value);
+      return depth === 0 && hasBlockMarkdown ? markdownToHtml(t.value) : inlineMarkdown(t.value);
+    })
+    .join("");
+}
+
+/** Full post-processing pipeline for a model reply. */
+function postProcessHtml(html = "", { profile } = {}) {
+  let out = stripCitations(html);
+  out = hasBlockTags(out) ? markdownBetweenTags(out) : markdownToHtml(out);
+  out = sanitizeHtml(out);
+  out = applyUtms(out, profile);
+  return ensureParagraphs(out);
+}
+
+module.exports = {
+  escapeHtml,
+  stripCitations,
+  inlineMarkdown,
+  markdownToHtml,
+  sanitizeHtml,
+  applyUtms,
+  postProcessHtml,
+};
@@ -0,0 +1,178 @@
+// lib/inbox-config.js
+// Per-inbox settings (sender identity, signature, website + UTM parameters, per-language
+// wording), loaded from config/inboxes.json or INBOX_CONFIG_FILE. A profile is chosen from
+// the webhook payload by receiving address, then shared label, then Missive team (file order
+// breaks ties), falling back to defaultProfile.
+
+const fs = require("fs");
+const { LANGUAGES } = require("./language");
+const { CLASSIFICATIONS } = require("./draft-schema");
+
+class InboxConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid inbox config:\n- ${problems.join("\n- ")}`);
+    this.name = "InboxConfigError";
+    this.problems = problems;
+  }
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+const isStringArray = (v) => Array.isArray(v) && v.every(isNonEmptyString);
+
+function checkAutoSend(autoSend, where, problems) {
+  if (autoSend === undefined) return;
+  if (!autoSend || typeof autoSend !== "object") {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  if (autoSend.enabled !== undefined && typeof autoSend.enabled !== "boolean") {
+    problems.push(`${where}.enabled must be true or false`);
+  }
+  if (autoSend.enabled && !isNonEmptyString(autoSend.label)) {
+    problems.push(`${where}.label (Missive shared label ID) is required when auto-send is enabled`);
+  }
+  const { minConfidence, delayMinutes, classifications, blocklist } = autoSend;
+  if (minConfidence !== undefined && !(typeof minConfidence === "number" && minConfidence >= 0 && minConfidence <= 1)) {
+    problems.push(`${where}.minConfidence must be a number from 0 to 1`);
+  }
+  if (delayMinutes !== undefined && !(typeof delayMinutes === "number" && delayMinutes >= 0)) {
+    problems.push(`${where}.delayMinutes must be a number of minutes (0 sends at once)`);
+  }
+  const known = isStringArray(classifications) && classifications.every((c) => CLASSIFICATIONS.includes(c));
+  if (classifications !== undefined && !known) {
+    problems.push(`${where}.classifications must list classifications (${CLASSIFICATIONS.join(", ")})`);
+  }
+  if (blocklist !== undefined && !isStringArray(blocklist)) problems.push(`${where}.blocklist must be an array of strings`);
+}
+
+function checkSignature(signature, where, problems) {
+  if (signature === undefined) return;
+  if (typeof signature?.html !== "string") problems.push(`${where}.html must be a string`);
+  if (signature?.markers !== undefined && !isStringArray(signature.markers)) {
+    problems.push(`${where}.markers must be an array of strings`);
+  }
+}
+
+/** Validate a parsed config; throws InboxConfigError listing every problem found. */
+function validateInboxConfig(config) {
+  const problems = [];
+  if (!config || typeof config !== "object") throw new InboxConfigError(["config must be an object"]);
+  if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+    throw new InboxConfigError(["profiles must be a non-empty array"]);
+  }
+
+  const ids = new Set();
+  config.profiles.forEach((p, i) => {
+    const at = `profiles[${i}]${isNonEmptyString(p?.id) ? ` (${p.id})` : ""}`;
+    if (!isNonEmptyString(p?.id)) problems.push(`${at}.id is required`);
+    else if (ids.has(p.id)) problems.push(`${at}.id is duplicated`);
+    else ids.add(p.id);
+
+    for (const key of ["addresses", "teams", "sharedLabels"]) {
+      if (p?.match?.[key] !== undefined && !isStringArray(p.match[key])) {
+        problems.push(`${at}.match.${key} must be an array of strings`);
+      }
+    }
+    if (!isNonEmptyString(p?.from?.address) || !/^[^@\s]+@[^@\s]+$/.test(p.from.address)) {
+      problems.push(`${at}.from.address must be an email address`);
+    }
+    if (!isNonEmptyString(p?.from?.name)) problems.push(`${at}.from.name is required`);
+    checkSignature(p?.signature, `${at}.signature`, problems);
+    if (!/^https?:\/\/[^\s]+$/.test(p?.website || "")) problems.push(`${at}.website must be an http(s) URL`);
+    if (p?.utm !== undefined) {
+      const ok =
+        p.utm && typeof p.utm === "object" && Object.values(p.utm).every((v) => typeof v === "string");
+      if (!ok) problems.push(`${at}.utm must be an object of string values`);
+    }
+    for (const key of ["explainDrafts", "replyAll", "priority"]) {
+      if (p?.[key] !== undefined && typeof p[key] !== "boolean") problems.push(`${at}.${key} must be true or false`);
+    }
+    checkAutoSend(p?.autoSend, `${at}.autoSend`, problems);
+    if (p?.ownDomains !== undefined && !isStringArray(p.ownDomains)) {
+      problems.push(`${at}.ownDomains must be an array of strings`);
+    }
+    if (p?.priorityLabels !== undefined && !isStringArray(p.priorityLabels)) {
+      problems.push(`${at}.priorityLabels must be an array of shared label IDs or names`);
+    }
+    if (p?.cannedVariables !== undefined) {
+      const ok =
+        p.cannedVariables &&
+        typeof p.cannedVariables === "object" &&
+        Object.values(p.cannedVariables).every((v) => typeof v === "string");
+      if (!ok) problems.push(`${at}.cannedVariables must be an object of string values`);
+    }
+    if (p?.languages !== undefined) {
+      if (!p.languages || typeof p.languages !== "object") problems.push(`${at}.languages must be an object`);
+      for (const [lang, locale] of Object.entries(p.languages || {})) {
+        const where = `${at}.languages.${lang}`;
+        if (!LANGUAGES[lang]) problems.push(`${where}: unsupported language (use ${Object.keys(LANGUAGES).join(", ")})`);
+        for (const key of ["greeting", "greetingNoName", "cta", "whatsappAck", "whatsappAskNumber"]) {
+          if (locale?.[key] !== undefined && !isNonEmptyString(locale[key])) {
+            problems.push(`${where}.${key} must be a non-empty string`);
+          }
+        }
+        if (locale?.greeting !== undefined && !String(locale.greeting).includes("{name}")) {
+          problems.push(`${where}.greeting must contain {name}`);
+        }
+        if (locale?.whatsappAck !== undefined && !String(locale.whatsappAck).includes("{phone}")) {
+          problems.push(`${where}.whatsappAck must contain {phone}`);
+        }
+        checkSignature(locale?.signature, `${where}.signature`, problems);
+      }
+    }
+  });
+
+  if (!isNonEmptyString(config.defaultProfile) || !ids.has(config.defaultProfile)) {
+    problems.push("defaultProfile must name one of the profiles");
+  }
+  if (problems.length) throw new InboxConfigError(problems);
+  return config;
+}
+
+let cached;
+
+/** Load + validate the inbox config once per instance. */
+function loadInboxConfig() {
+  if (!cached) {
+    const raw = process.env.INBOX_CONFIG_FILE
+      ? JSON.parse(fs.readFileSync(process.env.INBOX_CONFIG_FILE, "utf8"))
+      : require("../config/inboxes.json");
+    cached = validateInboxConfig(raw);
+  }
+  return cached;
+}
+
+const lower = (v) => String(v || "").toLowerCase().trim();
+
+/** Values from the webhook payload that profiles can match on. */
+function payloadKeys(payload = {}) {
+  const convo = payload.conversation || {};
+  const msg = payload.latest_message || payload.message || {};
+  const addresses = [...(msg.to_fields || []), ...(msg.cc_fields || []), ...(msg.bcc_fields || [])]
+    .map((f) => lower(f?.address))
+    .filter(Boolean);
+  const labels = (convo.shared_labels || []).flatMap((l) => [lower(l?.id), lower(l?.name)]);
+  const teams = [convo.team?.id, convo.team?.name].map(lower);
+  return { addresses, labels: labels.filter(Boolean), teams: teams.filter(Boolean) };
+}
+
+/** Pick the profile for this delivery (receiving address, then shared label, then team). */
+function selectProfile(payload, config = loadInboxConfig()) {
+  const keys = payloadKeys(payload);
+  const hits = (list = [], values) => list.some((v) => values.includes(lower(v)));
+  const match =
+    config.profiles.find((p) => hits(p.match?.addresses, keys.addresses)) ||
+    config.profiles.find((p) => hits(p.match?.sharedLabels, keys.labels)) ||
+    config.profiles.find((p) => hits(p.match?.teams, keys.teams));
+  return match || config.profiles.find((p) => p.id === config.defaultProfile);
+}
+
+/** Profile by ID (queued jobs carry the ID chosen at delivery time), else the default. */
+function getProfile(id, config = loadInboxConfig()) {
+  return (
+    config.profiles.find((p) => p.id === id) ||
+    config.profiles.find((p) => p.id === config.defaultProfile)
+  );
+}
+
+module.exports = { InboxConfigError, validateInboxConfig, loadInboxConfig, selectProfile, getProfile };
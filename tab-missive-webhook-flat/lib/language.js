@@ -0,0 +1,147 @@
+// lib/language.js
+// Offline language detection for the customer's latest message, plus the greetings the
+// pipeline recognises and inserts. Supported: English, French, Spanish, German, Italian.
+// Per-inbox wording (greetings, signature, CTA sentence) can be overridden per language in
+// config/inboxes.json under a profile's "languages".
+
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Built-in wording per language. `greeting` gets {name}; `greetingNoName` is used when we
+ * have no first name; `greetings` are openings we recognise as the model already greeting.
+ * `whatsappAck` (gets {phone}) and `whatsappAskNumber` answer WhatsApp handoffs.
+ */
+const LANGUAGES = {
+  en: {
+    name: "English",
+    greeting: "Hi {name},",
+    greetingNoName: "Hi there,",
+    greetings: ["hi", "hello", "dear", "hey", "good morning", "good afternoon"],
+    whatsappAck: "Thanks for getting in touch. One of our team will message you on WhatsApp at {phone} shortly.",
+    whatsappAskNumber: "Thanks for getting in touch. We're happy to continue on WhatsApp: could you reply with your WhatsApp number, including the country code?",
+  },
+  fr: {
+    name: "French",
+    greeting: "Bonjour {name},",
+    greetingNoName: "Bonjour,",
+    greetings: ["bonjour", "bonsoir", "salut", "cher", "chère", "madame", "monsieur"],
+    whatsappAck: "Merci pour votre message. Un membre de notre équipe vous contactera très bientôt sur WhatsApp au {phone}.",
+    whatsappAskNumber: "Merci pour votre message. Nous pouvons tout à fait continuer sur WhatsApp : pourriez-vous nous indiquer votre numéro WhatsApp, avec l'indicatif du pays ?",
+  },
+  es: {
+    name: "Spanish",
+    greeting: "Hola {name},",
+    greetingNoName: "Hola,",
+    greetings: ["hola", "estimado", "estimada", "buenos días", "buenas tardes", "buenas"],
+    whatsappAck: "Gracias por escribirnos. Un miembro de nuestro equipo te escribirá por WhatsApp al {phone} en breve.",
+    whatsappAskNumber: "Gracias por escribirnos. Podemos seguir por WhatsApp: ¿podrías enviarnos tu número de WhatsApp con el prefijo del país?",
+  },
+  de: {
+    name: "German",
+    greeting: "Hallo {name},",
+    greetingNoName: "Hallo,",
+    greetings: ["hallo", "guten tag", "guten morgen", "liebe", "lieber", "sehr geehrte", "sehr geehrter"],
+    whatsappAck: "Vielen Dank für Ihre Nachricht. Jemand aus unserem Team meldet sich in Kürze per WhatsApp unter {phone} bei Ihnen.",
+    whatsappAskNumber: "Vielen Dank für Ihre Nachricht. Gerne machen wir per WhatsApp weiter: Könnten Sie uns Ihre WhatsApp-Nummer mit Ländervorwahl schicken?",
+  },
+  it: {
+    name: "Italian",
+    greeting: "Buongiorno {name},",
+    greetingNoName: "Buongiorno,",
+    greetings: ["buongiorno", "buonasera", "ciao", "salve", "gentile", "caro", "cara"],
+    whatsappAck: "Grazie per averci scritto. Un membro del nostro team ti scriverà a breve su WhatsApp al numero {phone}.",
+    whatsappAskNumber: "Grazie per averci scritto. Possiamo continuare su WhatsApp: potresti inviarci il tuo numero WhatsApp con il prefisso internazionale?",
+  },
+};
+
+/* Frequent function words per language; words shared between lists count for less. */
+const STOPWORDS = {
+  en: "the and is are you your to of for with have can please thanks this that would could what how do my we it not be",
+  fr: "le la les des est et je vous votre nous pour avec une pas que qui dans sur merci bonjour pouvez mais au du ce suis",
+  es: "el la los las es y que de por para con una usted su gracias hola quiero pero como está estoy muy más puedo tengo del",
+  de: "der die das und ist ich sie wir nicht mit für ein eine zu auf den dem danke hallo bitte können haben wie auch es mein",
+  it: "il lo la gli le è e che di per con una non sono grazie ciao vorrei come mi io della del anche ho posso buongiorno",
+};
+
+/* Letters that mostly occur in one language. */
+const LETTER_HINTS = { es: /[ñ¿¡]/g, de: /[ßäöü]/g, fr: /[çœêâû]/g, it: /[ìò]/g };
+
+const WEIGHTS = (() => {
+  const counts = {};
+  const lists = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(" "))])
+  );
+  for (const set of Object.values(lists)) for (const w of set) counts[w] = (counts[w] || 0) + 1;
+  return Object.fromEntries(
+    Object.entries(lists).map(([lang, set]) => [lang, new Map([...set].map((w) => [w, 1 / counts[w]]))])
+  );
+})();
+
+/**
+ * Best-guess language of a plain-text message: { language, confidence }.
+ * Falls back to DEFAULT_LANGUAGE when there is too little text to tell.
+ */
+function detectLanguage(text = "") {
+  const words = String(text).toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((lang) => [lang, 0]));
+  for (const word of words) {
+    for (const [lang, weights] of Object.entries(WEIGHTS)) scores[lang] += weights.get(word) || 0;
+  }
+  for (const [lang, re] of Object.entries(LETTER_HINTS)) {
+    scores[lang] += 0.5 * (String(text).toLowerCase().match(re) || []).length;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  if (best[1] < 2) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  return { language: best[0], confidence: Number(((best[1] - second[1]) / best[1]).toFixed(2)) };
+}
+
+/** Wording for one language in one inbox profile (profile overrides, then built-ins). */
+function localeFor(profile = {}, language = DEFAULT_LANGUAGE) {
+  const lang = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  const override = profile.languages?.[lang] || {};
+  return {
+    language: lang,
+    ...LANGUAGES[lang],
+    ...override,
+    signature: override.signature || profile.signature,
+    cta: override.cta || null,
+  };
+}
+
+/** Greeting paragraph text for a locale, e.g. "Bonjour Marie," or "Bonjour,". */
+function greetingFor(locale, firstName) {
+  return firstName ? locale.greeting.replace("{name}", firstName) : locale.greetingNoName;
+}
+
+const ALL_GREETINGS = [
+  ...new Set(
+    Object.values(LANGUAGES)
+      .flatMap((l) => l.greetings)
+      .sort((a, b) => b.length - a.length)
+  ),
+];
+const GREETING_RE = new RegExp(`^(?:${ALL_GREETINGS.join("|")})(?!\\p{L})`, "iu");
+
+/** True when text (or HTML) opens with a greeting in any supported language. */
+function startsWithGreeting(html = "") {
+  const txt = String(html).replace(/<[^>]*>/g, " ").trim().toLowerCase();
+  return GREETING_RE.test(txt);
+}
+
+/** True when a line is a name-less greeting in any language ("Hi there,", "Hola,"). */
+function isNamelessGreeting(line = "") {
+  const norm = (s) => String(s).toLowerCase().replace(/[\s,!.]+$/, "").trim();
+  return Object.values(LANGUAGES).some((l) => norm(l.greetingNoName) === norm(line));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  detectLanguage,
+  localeFor,
+  greetingFor,
+  startsWithGreeting,
+  isNamelessGreeting,
+};
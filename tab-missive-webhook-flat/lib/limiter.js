@@ -0,0 +1,61 @@
+// lib/limiter.js
+// Concurrency and request-rate limits for outbound API calls (Missive allows 5 concurrent
+// requests and 300 per minute per token).
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Limiter for one API budget: at most `concurrency` calls in flight and at most
+ * `perMinute` call starts in any sliding minute. limiter.run(fn) waits for a slot.
+ */
+function createLimiter({ concurrency = Infinity, perMinute = Infinity } = {}) {
+  let active = 0;
+  const waiting = [];
+  const starts = [];
+
+  async function acquire() {
+    if (active < concurrency) active += 1;
+    else await new Promise((r) => waiting.push(r)); // the releasing call hands its slot over
+
+    for (;;) {
+      const now = Date.now();
+      while (starts.length && starts[0] <= now - 60000) starts.shift();
+      if (starts.length < perMinute) break;
+      await sleep(starts[0] + 60000 - now);
+    }
+    starts.push(Date.now());
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  }
+
+  return {
+    async run(fn) {
+      await acquire();
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+/** Map over items with at most `concurrency` calls of fn in flight; keeps input order. */
+async function mapLimit(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+module.exports = { createLimiter, mapLimit };
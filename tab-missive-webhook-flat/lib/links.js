@@ -0,0 +1,45 @@
+// lib/links.js
+// Website links for an inbox profile: building CTA URLs and adding the profile's UTM
+// parameters to any link that points at the profile's website.
+
+/** Absolute URL on the profile website for a path. */
+function joinUrl(profile, path = "/") {
+  return `${profile.website.replace(/\/+$/, "")}${String(path || "/").replace(/^\/*/, "/")}`;
+}
+
+function siteHost(profile) {
+  try {
+    return new URL(profile.website).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/** True if the URL points at the profile website (any path, with or without www). */
+function isSiteUrl(url, profile) {
+  const host = siteHost(profile);
+  if (!host) return false;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "") === host;
+  } catch {
+    return false;
+  }
+}
+
+/** Add the profile's UTM parameters to a URL, keeping any parameters it already has. */
+function withUtms(url, profile) {
+  const utm = Object.entries(profile.utm || {});
+  if (!utm.length) return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  for (const [key, value] of utm) {
+    if (!parsed.searchParams.has(key)) parsed.searchParams.set(key, value);
+  }
+  return parsed.toString();
+}
+
+module.exports = { joinUrl, isSiteUrl, withUtms };
@@ -0,0 +1,37 @@
+// lib/llm/index.js
+// Provider interface for drafting: generate({ prompt, retrieval, schema, model }) →
+// { text, output, sources, fileSearchUsed, fileSearchCalls, usage, model, raw }.
+// LLM_PROVIDER picks the implementation: "openai" (default) or "mock" (offline fixtures).
+
+const { createOpenAIProvider, fileSearchDisabled } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+const PROVIDERS = { openai: createOpenAIProvider, mock: createMockProvider };
+
+function createProvider(name = process.env.LLM_PROVIDER || "openai", options) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  return factory(options);
+}
+
+let defaultProvider;
+
+/** Process-wide provider, created on first use. */
+function getProvider() {
+  if (!defaultProvider) defaultProvider = createProvider();
+  return defaultProvider;
+}
+
+/** Swap the process-wide provider (tests and local tooling). */
+function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+/** Retrieval settings for the knowledge base vector store (null when not configured or FILE_SEARCH=off). */
+function knowledgeRetrieval() {
+  return process.env.VECTOR_STORE_ID && !fileSearchDisabled()
+    ? { vectorStoreIds: [String(process.env.VECTOR_STORE_ID)], maxResults: 10 }
+    : null;
+}
+
+module.exports = { createProvider, getProvider, setProvider, knowledgeRetrieval, fileSearchDisabled };
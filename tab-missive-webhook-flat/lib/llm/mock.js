@@ -0,0 +1,61 @@
+// lib/llm/mock.js
+// Deterministic offline provider: replays recorded Responses payloads from a fixtures
+// directory (LLM_FIXTURES_DIR, default fixtures/llm). Lookup order for a prompt:
+//   1. <sha256(prompt)>.json           — exact recording (see LLM_RECORD_DIR)
+//   2. first file whose "match" string/regex occurs in the prompt (files sorted by name)
+//   3. default.json
+// Each fixture is { "prompt"?, "match"?, "response": <Responses API payload> }.
+// Fixtures can also be passed in directly ({ fixtures: [{ file, match?, response }] }).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { toResult } = require("./responses");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "..", "fixtures", "llm");
+
+/** File-name key for a recorded prompt. */
+function fixtureKey(prompt = "") {
+  return crypto.createHash("sha256").update(String(prompt)).digest("hex").slice(0, 24);
+}
+
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")) }));
+}
+
+function matches(fixture, prompt) {
+  if (!fixture.match) return false;
+  const m = /^\/(.+)\/([a-z]*)$/.exec(fixture.match);
+  return m ? new RegExp(m[1], m[2]).test(prompt) : prompt.includes(fixture.match);
+}
+
+function createMockProvider({
+  fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  fixtures = loadFixtures(fixturesDir),
+} = {}) {
+  const calls = [];
+
+  return {
+    name: "mock",
+    /** Every generate() call, for assertions. */
+    calls,
+
+    async generate({ prompt, retrieval = null, schema = null, model = "mock" }) {
+      calls.push({ prompt, retrieval, schema, model });
+      const key = fixtureKey(prompt);
+      const fixture =
+        fixtures.find((f) => f.file === `${key}.json`) ||
+        fixtures.find((f) => matches(f, prompt)) ||
+        fixtures.find((f) => f.file === "default.json");
+      if (!fixture) throw new Error(`No LLM fixture for prompt ${key} in ${fixturesDir}`);
+      return toResult(fixture.response, { schema });
+    },
+  };
+}
+
+module.exports = { fixtureKey, createMockProvider };
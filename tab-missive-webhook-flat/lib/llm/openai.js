@@ -0,0 +1,101 @@
+// lib/llm/openai.js
+// LLM provider backed by the OpenAI Responses API with file_search retrieval. It needs
+// VECTOR_STORE_ID unless FILE_SEARCH=off: drafts without the knowledge base would answer
+// from the model alone. Set LLM_RECORD_DIR to save every raw response as a fixture the
+// mock provider can replay.
+
+const fs = require("fs");
+const path = require("path");
+const { toResult } = require("./responses");
+const { fixtureKey } = require("./mock");
+const { httpError, withRetry } = require("../retry");
+const { getLogger, startTimer, body } = require("../log");
+
+const OPENAI_API = "https://api.openai.com/v1";
+
+function recordFixture(dir, prompt, response) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${fixtureKey(prompt)}.json`);
+  fs.writeFileSync(file, JSON.stringify({ prompt, response }, null, 2));
+  getLogger().info("llm.fixture_recorded", { file });
+}
+
+/** True when FILE_SEARCH turns file search off (off, false, 0 or no). */
+function fileSearchDisabled() {
+  return /^(off|false|0|no)$/i.test(String(process.env.FILE_SEARCH || "").trim());
+}
+
+function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  defaultModel = process.env.OPENAI_MODEL || "gpt-5",
+  recordDir = process.env.LLM_RECORD_DIR,
+  vectorStoreId = process.env.VECTOR_STORE_ID,
+} = {}) {
+  if (!vectorStoreId && !fileSearchDisabled()) {
+    throw new Error("VECTOR_STORE_ID is not set; set it, or set FILE_SEARCH=off to draft without file search");
+  }
+  return {
+    name: "openai",
+
+    /**
+     * prompt: string input; retrieval: { vectorStoreIds, maxResults } or null;
+     * schema: { name, schema } for strict JSON output, or null for free text.
+     */
+    async generate({ prompt, retrieval = null, schema = null, model = defaultModel }) {
+      const requestBody = {
+        model,
+        input: prompt,
+        // Note: temperature not supported with GPT-5 in Responses API
+      };
+      if (retrieval?.vectorStoreIds?.length) {
+        requestBody.tools = [
+          {
+            type: "file_search",
+            vector_store_ids: retrieval.vectorStoreIds.map(String),
+            max_num_results: retrieval.maxResults || 10,
+          },
+        ];
+        requestBody.tool_choice = "auto";
+        requestBody.include = ["file_search_call.results"];
+      }
+      if (schema) {
+        requestBody.text = {
+          format: { type: "json_schema", name: schema.name, schema: schema.schema, strict: true },
+        };
+      }
+      const log = getLogger();
+      log.debug("llm.request", { model, fileSearch: Boolean(requestBody.tools), body: body(requestBody) });
+
+      const elapsed = startTimer();
+      const response = await withRetry(
+        async () => {
+          const resp = await fetch(`${OPENAI_API}/responses`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${apiKey}`,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify(requestBody),
+          });
+          if (!resp.ok) throw await httpError("OpenAI response create error", resp);
+          return resp.json();
+        },
+        { attempts: 2, baseMs: 2000, label: "OpenAI responses" }
+      );
+      const result = toResult(response, { schema });
+      log.info("llm.response", {
+        model: result.model,
+        durationMs: elapsed(),
+        usage: result.usage,
+        fileSearchCalls: result.fileSearchCalls,
+        sources: result.sources.length,
+      });
+      log.debug("llm.response_body", { body: body(response) });
+      if (recordDir) recordFixture(recordDir, prompt, response);
+
+      return result;
+    },
+  };
+}
+
+module.exports = { OPENAI_API, fileSearchDisabled, createOpenAIProvider };
@@ -0,0 +1,56 @@
+// lib/llm/responses.js
+// Parsing shared by providers that speak the OpenAI Responses payload shape (the live
+// OpenAI provider and the mock, which replays recorded payloads).
+
+/** Concatenated output text of the first assistant message. */
+function outputText(response = {}) {
+  if (typeof response.output_text === "string" && response.output_text) return response.output_text;
+  const message = response.output?.find((item) => item.type === "message");
+  return (message?.content || [])
+    .filter((c) => c.type === "output_text" || typeof c.text === "string")
+    .map((c) => c.text)
+    .join("");
+}
+
+/** Retrieved knowledge passages from file_search_call items (needs include: file_search_call.results). */
+function retrievedSources(response = {}) {
+  return (response.output || [])
+    .filter((item) => item.type === "file_search_call")
+    .flatMap((item) => item.results || item.search_results || [])
+    .map((r) => ({
+      fileId: r.file_id || null,
+      filename: r.filename || null,
+      score: typeof r.score === "number" ? r.score : null,
+      text: r.text || "",
+    }));
+}
+
+/**
+ * Normalise a Responses payload into the provider result:
+ * { text, output, sources, fileSearchUsed, fileSearchCalls, usage, model, raw }.
+ * `output` is the parsed JSON when a schema was requested (null if it doesn't parse).
+ */
+function toResult(response, { schema } = {}) {
+  const text = outputText(response);
+  let output = null;
+  if (schema) {
+    try {
+      output = JSON.parse(text);
+    } catch {
+      output = null;
+    }
+  }
+  const fileSearchCalls = (response.output || []).filter((item) => item.type === "file_search_call").length;
+  return {
+    text,
+    output,
+    sources: retrievedSources(response),
+    fileSearchUsed: fileSearchCalls > 0,
+    fileSearchCalls,
+    usage: response.usage || null,
+    model: response.model || null,
+    raw: response,
+  };
+}
+
+module.exports = { outputText, retrievedSources, toResult };
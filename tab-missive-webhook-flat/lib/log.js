@@ -0,0 +1,80 @@
+// lib/log.js
+// Structured logging: one JSON line per event, { ts, level, event, runId, ...fields }.
+// A run (one webhook delivery, one job) gets a run ID; runWithLogger() binds a logger to the
+// async context, so getLogger() anywhere below (Missive client, LLM provider, retries) logs
+// with the same run ID. Message bodies, prompts and model output only appear when
+// LOG_BODIES=1 — see body(). LOG_LEVEL: debug, info (default), warn or error.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const METHODS = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+}
+
+/** Debug flag for customer content in logs. */
+function bodiesEnabled() {
+  return /^(1|true|yes)$/i.test(process.env.LOG_BODIES || "");
+}
+
+/** A value that may contain customer content: itself with LOG_BODIES, else a size marker. */
+function body(value) {
+  if (bodiesEnabled()) return value;
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? null);
+  return { redacted: true, chars: text.length };
+}
+
+/** Error → loggable fields (no stack unless debugging). */
+function errorFields(err) {
+  if (!err) return null;
+  return {
+    message: String(err.message || err),
+    ...(err.status ? { status: err.status } : {}),
+    ...(threshold() <= LEVELS.debug && err.stack ? { stack: err.stack } : {}),
+  };
+}
+
+/** Milliseconds since the timer started. */
+function startTimer() {
+  const started = process.hrtime.bigint();
+  return () => Number((process.hrtime.bigint() - started) / 1000000n);
+}
+
+/** Logger with fixed fields (runId and anything passed to child()). */
+function createLogger({ runId = crypto.randomUUID(), ...fields } = {}) {
+  const base = { runId, ...fields };
+  const emit = (level, event, extra = {}) => {
+    if (LEVELS[level] < threshold()) return;
+    const { error, ...rest } = extra;
+    const line = { ts: new Date().toISOString(), level, event, ...base, ...rest };
+    if (error) line.error = errorFields(error);
+    console[METHODS[level]](JSON.stringify(line));
+  };
+  return {
+    runId,
+    debug: (event, extra) => emit("debug", event, extra),
+    info: (event, extra) => emit("info", event, extra),
+    warn: (event, extra) => emit("warn", event, extra),
+    error: (event, extra) => emit("error", event, extra),
+    child: (extra) => createLogger({ ...base, ...extra }),
+  };
+}
+
+const rootLogger = createLogger({ runId: null });
+
+/** Run fn with logger as the current logger for everything it awaits. */
+function runWithLogger(logger, fn) {
+  return context.run(logger, fn);
+}
+
+/** The current run's logger, or a logger without a run ID outside any run. */
+function getLogger() {
+  return context.getStore() || rootLogger;
+}
+
+module.exports = { createLogger, runWithLogger, getLogger, startTimer, body, bodiesEnabled };
@@ -0,0 +1,46 @@
+// lib/message-cache.js
+// Hydrated Missive messages never change once delivered, so redeliveries and follow-ups in
+// an active conversation only fetch new messages. Only what the thread context and reply
+// need is cached (headers and the normalised body, no HTML, quotes or signatures), for
+// MESSAGE_CACHE_TTL_HOURS.
+
+const { getStore } = require("./store");
+const { normaliseEmailBody } = require("./email-body");
+
+const CACHE_TTL_SECONDS = Number(process.env.MESSAGE_CACHE_TTL_HOURS || 12) * 60 * 60;
+
+function cacheKey(messageId) {
+  return `message:${messageId}`;
+}
+
+/** The fields of a hydrated message the pipeline reads, with `text` the normalised body. */
+function cacheableMessage(message) {
+  const { id, subject, created_at, delivered_at, from_field, to_fields, cc_fields, reply_to_fields } = message;
+  return {
+    id,
+    subject,
+    created_at,
+    delivered_at,
+    from_field,
+    to_fields,
+    cc_fields,
+    reply_to_fields,
+    creator: message.creator ? { name: message.creator.name, email: message.creator.email } : undefined,
+    attachments: (message.attachments || []).map((a) => ({ id: a.id, filename: a.filename })),
+    text: normaliseEmailBody({ html: message.body, text: message.text }),
+  };
+}
+
+/** Cached messages for the given IDs, as a Map of ID → message (misses are absent). One batched read. */
+async function getCachedMessages(messageIds) {
+  if (!messageIds.length) return new Map();
+  const found = await getStore().getMany(messageIds.map(cacheKey));
+  return new Map(messageIds.map((id, i) => [id, found[i]]).filter(([, m]) => m));
+}
+
+async function cacheMessage(message) {
+  if (!message?.id) return;
+  await getStore().set(cacheKey(message.id), cacheableMessage(message), { ttlSeconds: CACHE_TTL_SECONDS });
+}
+
+module.exports = { getCachedMessages, cacheMessage, cacheableMessage };
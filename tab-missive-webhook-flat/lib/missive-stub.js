@@ -0,0 +1,74 @@
+// lib/missive-stub.js
+// In-memory Missive client with the same methods as lib/missive.js, backed by fixture
+// data: { conversation: {...}, messages: [...] } per conversation ID. Writes (drafts,
+// deleted drafts, posts) are recorded for assertions instead of being sent anywhere.
+
+function createStubMissiveClient(conversations = {}) {
+  const drafts = [];
+  const deletedDrafts = [];
+  const posts = [];
+  let nextDraft = 1;
+
+  const find = (conversationId) => {
+    const entry = conversations[conversationId];
+    if (!entry) {
+      const err = new Error(`Missive conversation fetch failed: unknown conversation ${conversationId}`);
+      err.status = 404;
+      throw err;
+    }
+    return entry;
+  };
+
+  return {
+    drafts,
+    deletedDrafts,
+    posts,
+
+    async listUsers() {
+      return [{ id: "stub-user", name: "Stub user" }];
+    },
+
+    async getConversation(conversationId) {
+      return { id: conversationId, ...find(conversationId).conversation };
+    },
+
+    /** Mirrors the API: newest → oldest, `until` excludes messages delivered after it. */
+    async listMessages(conversationId, { limit = 10, until } = {}) {
+      return find(conversationId)
+        .messages.filter((m) => until === undefined || until === null || m.delivered_at <= until)
+        .sort((a, b) => b.delivered_at - a.delivered_at)
+        .slice(0, limit)
+        .map((m) => ({ id: m.id, delivered_at: m.delivered_at }));
+    },
+
+    async getMessage(messageId) {
+      for (const entry of Object.values(conversations)) {
+        const m = entry.messages.find((msg) => msg.id === messageId);
+        if (m) return m;
+      }
+      const err = new Error(`Missive get message ${messageId} failed: not found`);
+      err.status = 404;
+      throw err;
+    },
+
+    async createDraft(draft) {
+      const id = `draft-${nextDraft++}`;
+      drafts.push({ id, ...draft });
+      return id;
+    },
+
+    async deleteDraft(draftId) {
+      const i = drafts.findIndex((d) => d.id === draftId);
+      if (i === -1) return false;
+      deletedDrafts.push(...drafts.splice(i, 1));
+      return true;
+    },
+
+    async createPost(conversationId, post = {}) {
+      posts.push({ conversation: conversationId, ...post });
+      return { posts: { id: `post-${posts.length}` } };
+    },
+  };
+}
+
+module.exports = { createStubMissiveClient };
@@ -0,0 +1,134 @@
+// lib/missive.js
+// Missive API client used by the drafting pipeline. Every call the pipeline makes goes
+// through this object, so tests and the eval harness can swap in a stub
+// (see lib/missive-stub.js) with the same methods. MISSIVE_API_URL points it at another
+// base URL, e.g. the fake API in lib/fake-missive.js. Calls share one limiter: at most
+// MISSIVE_CONCURRENCY in flight and MISSIVE_REQUESTS_PER_MINUTE per minute.
+
+const { httpError, withRetry } = require("./retry");
+const { createLimiter } = require("./limiter");
+
+const MISSIVE_API = "https://public.missiveapp.com/v1";
+
+/** Parallel Missive calls allowed (Missive's own limit is 5 per token). */
+function missiveConcurrency() {
+  return Number(process.env.MISSIVE_CONCURRENCY || 4);
+}
+
+function createMissiveClient({
+  baseUrl = process.env.MISSIVE_API_URL || MISSIVE_API,
+  token = process.env.MISSIVE_API_TOKEN,
+  concurrency = missiveConcurrency(),
+  perMinute = Number(process.env.MISSIVE_REQUESTS_PER_MINUTE || 240),
+} = {}) {
+  const limiter = createLimiter({ concurrency, perMinute });
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+  };
+
+  async function request(method, path, { body, query, what } = {}) {
+    const url = new URL(`${baseUrl.replace(/\/+$/, "")}${path}`);
+    for (const [k, v] of Object.entries(query || {})) {
+      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    }
+    return withRetry(
+      () =>
+        limiter.run(async () => {
+          const resp = await fetch(url.toString(), {
+            method,
+            headers,
+            ...(body ? { body: JSON.stringify(body) } : {}),
+          });
+          if (!resp.ok) throw await httpError(`Missive ${what} failed`, resp);
+          return resp.status === 204 ? null : resp.json();
+        }),
+      { label: `Missive ${what}` }
+    );
+  }
+
+  return {
+    /** Users the token can see; the health check calls it to validate the token. */
+    async listUsers() {
+      const json = await request("GET", "/users", { what: "list users" });
+      return Array.isArray(json?.users) ? json.users : [];
+    },
+
+    /** Conversation meta; the API wraps it in a conversations array. */
+    async getConversation(conversationId) {
+      const json = await request("GET", `/conversations/${encodeURIComponent(conversationId)}`, {
+        what: "conversation fetch",
+      });
+      return json?.conversations?.[0] || null;
+    },
+
+    /** One page of message stubs, newest → oldest (limit max 10, `until` = delivered_at cursor). */
+    async listMessages(conversationId, { limit = 10, until } = {}) {
+      const json = await request("GET", `/conversations/${encodeURIComponent(conversationId)}/messages`, {
+        query: { limit, until },
+        what: "list conversation messages",
+      });
+      return Array.isArray(json?.messages) ? json.messages : [];
+    },
+
+    /** Full message (body, attachments, fields). */
+    async getMessage(messageId) {
+      const j = await request("GET", `/messages/${encodeURIComponent(messageId)}`, {
+        what: `get message ${messageId}`,
+      });
+      // Single message object may be returned as { message: {...} } (most orgs) or { messages: {...} }
+      return j?.message || j?.messages || j;
+    },
+
+    /** Create a draft; returns its ID. */
+    async createDraft(draft) {
+      const json = await request("POST", "/drafts", { body: { drafts: draft }, what: "draft create" });
+      return json?.drafts?.id || json?.id || null;
+    },
+
+    /** Delete a draft we created earlier. Returns false if it no longer exists (sent or discarded). */
+    async deleteDraft(draftId) {
+      try {
+        await request("DELETE", `/drafts/${encodeURIComponent(draftId)}`, { what: "draft delete" });
+        return true;
+      } catch (err) {
+        if (err.status === 404) return false;
+        throw err;
+      }
+    },
+
+    /**
+     * Add a post to a conversation. Posts are how the public API applies shared labels
+     * and closes conversations: pass add_shared_labels / close alongside the text.
+     */
+    async createPost(conversationId, { markdown, notification, ...actions } = {}) {
+      return request("POST", "/posts", {
+        body: {
+          posts: {
+            conversation: conversationId,
+            username: "Tab drafting assistant",
+            markdown,
+            notification: notification || { title: "Tab drafting assistant", body: markdown },
+            ...actions,
+          },
+        },
+        what: "post create",
+      });
+    },
+  };
+}
+
+let defaultClient;
+
+/** Process-wide client, created on first use. */
+function getMissiveClient() {
+  if (!defaultClient) defaultClient = createMissiveClient();
+  return defaultClient;
+}
+
+/** Swap the process-wide client (tests and local tooling). */
+function setMissiveClient(client) {
+  defaultClient = client;
+}
+
+module.exports = { MISSIVE_API, missiveConcurrency, createMissiveClient, getMissiveClient, setMissiveClient };
@@ -0,0 +1,190 @@
+// lib/pdf-text.js
+// Plain text from the PDFs in knowledge/ (Google Docs exports), without a PDF library: it
+// inflates the content streams, maps glyph codes back to characters through each font's
+// ToUnicode CMap and rebuilds paragraphs from the text positions, joining soft-wrapped lines.
+// Enough for simple text documents; scanned or encrypted PDFs come back empty.
+
+const zlib = require("zlib");
+
+/** { number → body } for every "n 0 obj … endobj" in the file (latin1 string). */
+function readObjects(raw) {
+  const objects = new Map();
+  for (const m of raw.matchAll(/(\d+) 0 obj\s*([\s\S]*?)endobj/g)) objects.set(Number(m[1]), m[2]);
+  return objects;
+}
+
+function streamOf(body) {
+  const start = body.search(/stream\r?\n/);
+  if (start < 0) return "";
+  const from = body.indexOf("\n", start) + 1;
+  const data = body.slice(from, body.lastIndexOf("endstream")).replace(/\r?\n$/, "");
+  const bytes = Buffer.from(data, "latin1");
+  return /\/FlateDecode/.test(body.slice(0, start)) ? zlib.inflateSync(bytes).toString("latin1") : data;
+}
+
+const ref = (body, key) => Number((body.match(new RegExp(`/${key}\\s+(\\d+) 0 R`)) || [])[1]) || null;
+const refs = (text) => [...String(text).matchAll(/(\d+) 0 R/g)].map((m) => Number(m[1]));
+const hexToString = (hex) => String.fromCodePoint(...(hex.match(/.{4}/g) || []).map((h) => parseInt(h, 16)));
+
+/** ToUnicode CMap → Map(glyph code → text). */
+function parseCMap(cmap) {
+  const map = new Map();
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) map.set(parseInt(m[1], 16), hexToString(m[2]));
+  }
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) {
+      const [lo, hi, dst] = [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)];
+      for (let code = lo; code <= hi; code++) map.set(code, String.fromCodePoint(dst + code - lo));
+    }
+  }
+  return map;
+}
+
+/** Decode a string operand (<hex> or (literal)) with the current font's map. */
+function decodeString(token, cmap) {
+  if (token.startsWith("<")) {
+    const hex = token.slice(1, -1).replace(/\s+/g, "");
+    const width = cmap ? 4 : 2;
+    return (hex.match(new RegExp(`.{${width}}`, "g")) || [])
+      .map((h) => (cmap ? cmap.get(parseInt(h, 16)) ?? "" : String.fromCharCode(parseInt(h, 16))))
+      .join("");
+  }
+  return token.slice(1, -1).replace(/\\([nrt()\\])/g, (_, c) => ({ n: "\n", r: "", t: "\t" })[c] ?? c);
+}
+
+const TOKEN_RE = /\/[^\s/[\]()<>]+|<[0-9A-Fa-f\s]*>|\((?:\\.|[^\\)])*\)|\[|\]|-?\d*\.?\d+|[A-Za-z'"*]+/g;
+
+/**
+ * Text runs of one page: [{ x, y, size, mcid, text }] in content order. `mcid` is the marked
+ * content ID tagged PDFs (Google Docs) give each paragraph.
+ */
+function pageRuns(content, fonts) {
+  const runs = [];
+  let operands = [];
+  let cm = { a: 1, e: 0, f: 0 };
+  let line = { x: 0, y: 0 };
+  let font = null;
+  let size = 0;
+  let mcid = null;
+  let array = null;
+  const stack = [];
+
+  for (const [token] of content.matchAll(TOKEN_RE)) {
+    if (token === "[") array = [];
+    else if (token === "]") {
+      operands.push(array);
+      array = null;
+    } else if (array) array.push(token);
+    else if (/^[A-Za-z'"*]+$/.test(token)) {
+      const n = operands.map(Number);
+      if (token === "q") stack.push(cm);
+      else if (token === "Q") cm = stack.pop() || { a: 1, e: 0, f: 0 };
+      else if (token === "cm") cm = { a: n[0] * cm.a, e: cm.e + n[4] * cm.a, f: cm.f + n[5] * cm.a };
+      else if (token === "BDC") mcid = operands.includes("/MCID") ? n[operands.indexOf("/MCID") + 1] : mcid;
+      else if (token === "BT") line = { x: 0, y: 0 };
+      else if (token === "Tm") line = { x: n[4], y: n[5] };
+      else if (token === "Td" || token === "TD") line = { x: line.x + n[0], y: line.y + n[1] };
+      else if (token === "Tf") {
+        font = fonts.get(operands[0].slice(1)) || null;
+        size = n[1];
+      } else if (token === "Tj" || token === "'" || token === '"' || token === "TJ") {
+        const parts = token === "TJ" ? operands[0].filter((t) => /^[<(]/.test(t)) : [operands[operands.length - 1]];
+        const text = parts.map((t) => decodeString(t, font)).join("");
+        // The page is drawn top-down (y flipped by the first cm), so larger y is further down
+        runs.push({ x: cm.e + line.x * cm.a, y: cm.f - line.y * cm.a, size: size * Math.abs(cm.a), mcid, text });
+      }
+      operands = [];
+    } else operands.push(token);
+  }
+  return runs;
+}
+
+/** Group runs into lines: [{ y, size, mcid, runs }]. */
+function runsToLines(runs) {
+  const lines = [];
+  for (const run of runs) {
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(run.y - last.y) <= 1) last.runs.push(run);
+    else lines.push({ y: run.y, size: run.size, mcid: run.mcid, runs: [run] });
+  }
+  return lines;
+}
+
+/* Where a line's text ends, and where its first word ends (Google Docs draws spaces as runs). */
+const lineEnd = (line) => line.runs[line.runs.length - 1].x;
+function firstWordEnd(line) {
+  const space = line.runs.find((r, i) => i > 0 && /^\s/.test(r.text));
+  return (space ? space.x : lineEnd(line)) - line.runs[0].x;
+}
+
+/**
+ * Lines → text: a blank line or a wider gap than a line starts a paragraph. A line in the
+ * same marked content as the one before (or, untagged, one that ended because the next
+ * line's first word would not have fitted) is a soft wrap and is joined with a space.
+ */
+function linesToText(lines, right) {
+  let out = "";
+  let prev = null;
+  let blank = false;
+  for (const line of lines) {
+    const text = line.runs.map((r) => r.text).join("").trim();
+    if (!text) {
+      blank = true;
+      continue;
+    }
+    if (prev) {
+      const tagged = line.mcid !== null && prev.mcid !== null;
+      const wrapped = tagged ? line.mcid === prev.mcid : lineEnd(prev) + firstWordEnd(line) > right;
+      if (blank || Math.abs(line.y - prev.y) > line.size * 1.8) out += "\n\n";
+      else out += wrapped ? " " : "\n";
+    }
+    out += text;
+    prev = line;
+    blank = false;
+  }
+  return out;
+}
+
+/** Pages in document order (following the page tree from the catalog's /Pages). */
+function pageOrder(objects) {
+  const pages = [];
+  const walk = (id) => {
+    const body = objects.get(id) || "";
+    if (/\/Type\s*\/Pages\b/.test(body)) refs((body.match(/\/Kids\s*\[([^\]]*)\]/) || [])[1]).forEach(walk);
+    else if (/\/Type\s*\/Page\b/.test(body)) pages.push(id);
+  };
+  const root = [...objects.entries()].find(([, b]) => /\/Type\s*\/Pages\b/.test(b) && !/\/Parent\s/.test(b));
+  if (root) walk(root[0]);
+  return pages;
+}
+
+/** Text of a PDF file's contents (Buffer), pages separated by blank lines. */
+function pdfToText(buffer) {
+  const objects = readObjects(buffer.toString("latin1"));
+  const cmaps = new Map();
+  const fontMap = (id) => {
+    if (!cmaps.has(id)) {
+      const unicode = ref(objects.get(id) || "", "ToUnicode");
+      cmaps.set(id, unicode ? parseCMap(streamOf(objects.get(unicode) || "")) : null);
+    }
+    return cmaps.get(id);
+  };
+
+  const pages = pageOrder(objects).map((id) => {
+    const page = objects.get(id);
+    const fontDict = (page.match(/\/Font\s*<<([^>]*)>>/) || [])[1] || "";
+    const fonts = new Map([...fontDict.matchAll(/\/(\S+)\s+(\d+) 0 R/g)].map((m) => [m[1], fontMap(Number(m[2]))]));
+    const contents = page.match(/\/Contents\s*(\[[^\]]*\]|\d+ 0 R)/)?.[1] || "";
+    const content = refs(contents).map((r) => streamOf(objects.get(r) || "")).join("\n");
+    return runsToLines(pageRuns(content, fonts));
+  });
+  // The text column's right edge: the furthest any line reaches
+  const right = Math.max(0, ...pages.flat().map(lineEnd));
+  return pages
+    .map((lines) => linesToText(lines, right).trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+module.exports = { pdfToText };
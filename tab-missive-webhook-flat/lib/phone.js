@@ -0,0 +1,123 @@
+// lib/phone.js
+// Phone numbers written by customers → E.164 ("+447700900123"). International forms (+44,
+// 0044) stand on their own; national forms ("07700 900123") need a country, guessed from
+// hints in order: other international numbers and country names in the signature, the
+// sender's domain, the message language, then PHONE_DEFAULT_COUNTRY (default GB). A
+// national number must look like a mobile of that country (GB mobiles start with 7), so
+// booking references and other digit runs aren't taken for the customer's WhatsApp number.
+
+/**
+ * Countries we see most. `code` is the calling code, `trunk` the national prefix dropped
+ * after it (null when numbers are dialled as written), `nsn` the allowed lengths of the
+ * national significant number and `mobile` the mobile numbers among them.
+ */
+const COUNTRIES = {
+  GB: { code: "44", trunk: "0", nsn: [9, 10], mobile: /^7[1-57-9]\d{8}$/ },
+  IE: { code: "353", trunk: "0", nsn: [7, 8, 9], mobile: /^8[3-9]\d{7}$/ },
+  FR: { code: "33", trunk: "0", nsn: [9], mobile: /^[67]\d{8}$/ },
+  BE: { code: "32", trunk: "0", nsn: [8, 9], mobile: /^4[5-9]\d{7}$/ },
+  NL: { code: "31", trunk: "0", nsn: [9], mobile: /^6\d{8}$/ },
+  DE: { code: "49", trunk: "0", nsn: [7, 8, 9, 10, 11], mobile: /^1[5-7]\d{8,9}$/ },
+  AT: { code: "43", trunk: "0", nsn: [7, 8, 9, 10, 11, 12, 13], mobile: /^6[5-9]\d{7,10}$/ },
+  CH: { code: "41", trunk: "0", nsn: [9], mobile: /^7[5-9]\d{7}$/ },
+  ES: { code: "34", trunk: null, nsn: [9], mobile: /^[67]\d{8}$/ },
+  PT: { code: "351", trunk: null, nsn: [9], mobile: /^9[1236]\d{7}$/ },
+  IT: { code: "39", trunk: null, nsn: [6, 7, 8, 9, 10, 11], mobile: /^3\d{8,9}$/ },
+  // No separate mobile ranges: any valid area code and exchange
+  US: { code: "1", trunk: "1", nsn: [10], mobile: /^[2-9]\d{2}[2-9]\d{6}$/ },
+};
+
+/* Words in a signature that place the sender in a country. */
+const COUNTRY_WORDS = {
+  GB: ["united kingdom", "uk", "england", "scotland", "wales", "london", "manchester", "edinburgh"],
+  IE: ["ireland", "dublin"],
+  FR: ["france", "paris", "lyon", "marseille"],
+  BE: ["belgium", "belgique", "belgië", "bruxelles", "brussels"],
+  NL: ["netherlands", "nederland", "amsterdam", "rotterdam"],
+  DE: ["germany", "deutschland", "berlin", "münchen", "munich", "hamburg"],
+  AT: ["austria", "österreich", "wien", "vienna"],
+  CH: ["switzerland", "schweiz", "suisse", "zürich", "zurich", "genève", "geneva"],
+  ES: ["spain", "españa", "madrid", "barcelona"],
+  PT: ["portugal", "lisboa", "lisbon", "porto"],
+  IT: ["italy", "italia", "roma", "rome", "milano", "milan"],
+  US: ["usa", "united states", "new york", "california"],
+};
+
+const TLD_COUNTRIES = { uk: "GB", ie: "IE", fr: "FR", be: "BE", nl: "NL", de: "DE", at: "AT", ch: "CH", es: "ES", pt: "PT", it: "IT" };
+const LANGUAGE_COUNTRIES = { fr: "FR", de: "DE", es: "ES", it: "IT" };
+
+const PHONE_RE = /(?:\+|\b)\d[\d ().-]{5,20}\d\b/g;
+
+const digitsOf = (s) => String(s).replace(/\D/g, "");
+
+/** Country for an international number's digits (longest calling code wins). */
+function countryForDigits(digits) {
+  const hits = Object.entries(COUNTRIES).filter(([, c]) => digits.startsWith(c.code));
+  hits.sort((a, b) => b[1].code.length - a[1].code.length);
+  return hits[0]?.[0] || null;
+}
+
+/** Ordered, de-duplicated country guesses for national numbers. */
+function countryHints({ signature = "", address = "", language } = {}) {
+  const hints = [];
+  for (const match of String(signature).match(PHONE_RE) || []) {
+    if (/^\s*(\+|00)/.test(match)) hints.push(countryForDigits(digitsOf(match).replace(/^00/, "")));
+  }
+  const sig = String(signature).toLowerCase();
+  for (const [country, words] of Object.entries(COUNTRY_WORDS)) {
+    if (words.some((w) => new RegExp(`(^|[^\\p{L}])${w}([^\\p{L}]|$)`, "u").test(sig))) hints.push(country);
+  }
+  const tld = String(address).toLowerCase().split(".").pop();
+  hints.push(TLD_COUNTRIES[tld], LANGUAGE_COUNTRIES[language], process.env.PHONE_DEFAULT_COUNTRY || "GB");
+  return [...new Set(hints.filter((c) => COUNTRIES[c]))];
+}
+
+/**
+ * One written number → { e164, country, international } or null when it can't be the
+ * customer's number. `hints` are the countries to try, in order, for a national number,
+ * which must be a mobile of that country.
+ */
+function normalisePhone(raw, hints = []) {
+  // "+44 (0)7700 900123": the bracketed trunk prefix is not dialled internationally
+  const written = String(raw).replace(/\(0\)/g, "").trim();
+  let digits = digitsOf(written);
+
+  if (written.startsWith("+") || digits.startsWith("00")) {
+    digits = digits.replace(/^00/, "");
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith("0")) return null;
+    const country = countryForDigits(digits);
+    if (country && !COUNTRIES[country].nsn.includes(digits.length - COUNTRIES[country].code.length)) return null;
+    return { e164: `+${digits}`, country, international: true };
+  }
+
+  for (const country of hints) {
+    const { code, trunk, mobile } = COUNTRIES[country];
+    const national = trunk && digits.startsWith(trunk) ? digits.slice(trunk.length) : digits;
+    if (trunk && national === digits && country !== "US") continue; // written with the 0 at home
+    if (mobile.test(national)) return { e164: `+${code}${national}`, country, international: false };
+  }
+  return null;
+}
+
+/** Every distinct valid number in text, in order: [{ e164, country, international, raw }]. */
+function findPhones(text = "", hints = []) {
+  const found = new Map();
+  for (const raw of String(text).match(PHONE_RE) || []) {
+    const phone = normalisePhone(raw, hints);
+    if (phone && !found.has(phone.e164)) found.set(phone.e164, { ...phone, raw: raw.trim() });
+  }
+  return [...found.values()];
+}
+
+/**
+ * The customer's number among candidates from findPhones: numbers written in international
+ * form win over national ones (often references or order numbers). { phone, candidates },
+ * with phone null when there is none or more than one is left and it's unclear which.
+ */
+function pickPhone(candidates = []) {
+  const international = candidates.filter((c) => c.international);
+  const pool = international.length ? international : candidates;
+  return { phone: pool.length === 1 ? pool[0] : null, candidates: pool };
+}
+
+module.exports = { COUNTRIES, countryHints, normalisePhone, findPhones, pickPhone };
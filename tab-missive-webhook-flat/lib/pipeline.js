@@ -0,0 +1,690 @@
+// lib/pipeline.js
+// The drafting pipeline shared by the webhook and the offline tools:
+//   loadConversation  — subject + FULL thread via the Missive client (paginated, hydrated)
+//   draftReply        — thread text → canned response match (lib/canned.js) → prompt →
+//                       structured LLM draft → post-processed HTML; a confident canned match
+//                       the model classifies as a reply it answers is filled in without a
+//                       drafting call (no Missive writes; the eval harness scores this)
+//   processConversation — the webhook flow: suppression/dedup checks, the atomic claim on the
+//                       customer message (lib/dedup.js), the budget check
+//                       (lib/costs.js), draftReply and its recorded spend, then
+//                       classification routing (plus the acknowledgement draft for WhatsApp
+//                       handoffs) or resolving recipients (lib/recipients.js) and
+//                       creating/replacing the Missive draft
+
+const { routeClassification } = require("./classification");
+const { isSuppressed } = require("./suppression");
+const {
+  DraftInProgressError,
+  getDraftRecord,
+  saveDraftRecord,
+  alreadyHandled,
+  claimMessage,
+  markClaimDrafted,
+  releaseMessage,
+  lockConversation,
+  unlockConversation,
+} = require("./dedup");
+const { htmlToText, stripQuotedText, normaliseEmailBody } = require("./email-body");
+const { buildThreadContext } = require("./context");
+const { knowledgeRetrieval } = require("./llm");
+const { generateDraft, classifyMessage } = require("./draft-schema");
+const { postProcessHtml } = require("./html");
+const { buildPrompt, buildClassifyPrompt } = require("./prompt");
+const { chooseCanned, cannedIdForTitle } = require("./canned");
+const { createRedactor } = require("./redact");
+const { postExplanation } = require("./explain");
+const { recordDraft, markDraftReplaced } = require("./feedback");
+const { isOwnAddress, resolveRecipients } = require("./recipients");
+const { evaluateAutoSend, autoSendFields, recordAutoSend } = require("./auto-send");
+const { costOf, combineUsage, budgetDecision, recordSpend } = require("./costs");
+const { createLogger, runWithLogger, getLogger, startTimer, body } = require("./log");
+const {
+  detectLanguage,
+  localeFor,
+  greetingFor,
+  startsWithGreeting,
+  isNamelessGreeting,
+} = require("./language");
+const { whatsappHandoff, acknowledgementHtml } = require("./whatsapp");
+const { missiveConcurrency } = require("./missive");
+const { mapLimit } = require("./limiter");
+const { getCachedMessages, cacheMessage } = require("./message-cache");
+
+/** Build "Name <email>" best-effort label for a message. */
+function senderLabel(m) {
+  const name =
+    m.from_field?.name ||
+    m.creator?.name ||
+    (m.creator?.email ? m.creator.email.split("@")[0] : "") ||
+    "Unknown";
+  const email = m.from_field?.address || m.creator?.email || "";
+  return email ? `${name} <${email}>` : name;
+}
+
+/** Ensure proper paragraph spacing in Missive: single line between paragraphs. */
+function addParagraphSpacing(html) {
+  return String(html || "").replace(/<\/p>\s*<p>/g, "</p><p><br></p><p>");
+}
+
+/** Append the inbox's signature (for the reply language) if it's not already present. */
+function appendSignature(html, signature) {
+  const sig = signature?.html || "";
+  const markers = signature?.markers || [];
+  if (!sig || html.includes(sig)) return html;
+  if (markers.length && markers.every((m) => html.includes(m))) return html;
+  return html + sig;
+}
+
+/**
+ * Full messages for stubs: cached ones from the store (see lib/message-cache.js), the rest
+ * fetched (bounded). `fetchId` is always fetched: the newest message is the one the reply,
+ * canned matching and WhatsApp handoff read in full.
+ */
+async function hydrateMessages(client, stubs, { fetchId = null } = {}) {
+  const cached = await getCachedMessages(stubs.map((s) => s.id).filter((id) => id !== fetchId));
+  const missing = stubs.filter((s) => !cached.has(s.id));
+  const fetched = await mapLimit(missing, missiveConcurrency(), async (stub) => {
+    const message = await client.getMessage(stub.id);
+    await cacheMessage(message);
+    return message;
+  });
+  const byId = new Map([...cached, ...fetched.map((m, i) => [missing[i].id, m])]);
+  return { messages: stubs.map((s) => byId.get(s.id)), cachedCount: cached.size };
+}
+
+/** Fetch the newest THREAD_MAX_MESSAGES messages of a conversation, oldest → newest.
+ * Uses /v1/conversations/:id/messages (limit max 10) + ?until pagination, then hydrates
+ * each message via /v1/messages/:id (or the message cache) to get full bodies.
+ * Returns { messages, truncated, pages, cached, cap } — truncated when older messages exist
+ * beyond the cap.
+ */
+async function fetchConversationMessages(client, conversationId) {
+  const limit = 10; // Missive max for this endpoint
+  const maxMessages = Number(process.env.THREAD_MAX_MESSAGES || 60);
+  let until = undefined; // pagination cursor (oldest delivered_at from previous page)
+  let collected = [];
+  let pages = 0;
+  let cachedCount = 0;
+  let truncated = false;
+
+  for (;;) {
+    const page = await client.listMessages(conversationId, { limit, until });
+    pages += 1;
+    if (page.length === 0) break;
+
+    // `until` is inclusive, so the previous page's oldest message can come back again.
+    const seen = new Set(collected.map((m) => m.id));
+    const fresh = page.filter((stub) => !seen.has(stub.id));
+    const room = maxMessages - collected.length;
+    if (fresh.length > room) truncated = true;
+
+    const hydrated = await hydrateMessages(client, fresh.slice(0, room), { fetchId: pages === 1 ? page[0].id : null });
+    collected = collected.concat(hydrated.messages);
+    cachedCount += hydrated.cachedCount;
+
+    // API returns newest→oldest. Move cursor to the OLDEST delivered_at we just saw.
+    const deliveredAts = page.map((p) => p.delivered_at).filter((v) => v !== undefined && v !== null);
+    const oldestInPage = deliveredAts.length ? Math.min(...deliveredAts) : undefined;
+
+    // Stop if we got fewer than limit OR can't advance the cursor
+    if (truncated || page.length < limit || !oldestInPage || oldestInPage === until) break;
+    until = oldestInPage;
+
+    // Cap reached with a full page behind us: older messages are only there if the next page has any
+    if (collected.length >= maxMessages) {
+      const older = await client.listMessages(conversationId, { limit, until });
+      truncated = older.some((stub) => !collected.some((m) => m.id === stub.id));
+      break;
+    }
+  }
+
+  // Present oldest→newest for the model
+  collected.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  return { messages: collected, truncated, pages, cached: cachedCount, cap: maxMessages };
+}
+
+/** Conversation subject + full thread (oldest → newest). */
+async function loadConversation(client, conversationId) {
+  const elapsed = startTimer();
+  const conversation = await client.getConversation(conversationId);
+  const subject = (conversation?.subject || conversation?.latest_message_subject || "").trim();
+
+  const { messages, truncated, pages, cached, cap } = await fetchConversationMessages(client, conversationId);
+  getLogger().info("conversation.loaded", {
+    messages: messages.length,
+    pages,
+    cached,
+    cap,
+    truncated,
+    subject: body(subject),
+    durationMs: elapsed(),
+  });
+  return { conversation, subject, messages, truncated };
+}
+
+/* === Minimal helpers for reply target + greeting + CTA routing === */
+/** True for messages sent from one of our own domains (see lib/recipients.js). */
+function isFromTab(m = {}) {
+  const addr = m?.from_field?.address || m?.creator?.email || "";
+  return isOwnAddress(addr);
+}
+/** Latest message from the *external* sender (not Tab). */
+function getReplyTarget(messages = []) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (!isFromTab(m)) return m;
+  }
+  return messages[messages.length - 1];
+}
+function firstNameFrom(message) {
+  const full =
+    message?.from_field?.name ||
+    message?.creator?.name ||
+    (message?.from_field?.address || message?.creator?.email || "")
+      .split("@")[0]
+      .replace(/\./g, " ") ||
+    "";
+  const first = String(full).trim().split(/\s+/)[0];
+  return first ? first.charAt(0).toUpperCase() + first.slice(1) : "";
+}
+
+/** Don't add "Re:" if the subject already starts with "Re:". */
+function replySubject(subject = "") {
+  return subject ? (subject.toLowerCase().startsWith("re:") ? subject : `Re: ${subject}`) : "Re:";
+}
+
+/**
+ * Draft a reply for a loaded thread without touching Missive.
+ * Returns { prompt, thread, replyTarget, language, redactor, result, generation, usage, canned, html, handoff? }
+ * where `result` is the validated structured output (with PII placeholders, see
+ * lib/redact.js), `canned` the canned response used ({ id, mode: "filled" | "adapted" |
+ * "model", score }, id null when the model named one we don't know) or null, and `html` the
+ * final draft body: the reply, the WhatsApp acknowledgement (with `handoff` from
+ * lib/whatsapp.js), or null for other classifications. A filled canned response has the
+ * classify-only prompt and a synthetic `result` and `generation` (model "canned-match"); its
+ * `usage` and confidence come from the classify-only call.
+ * `model` overrides the provider's default model (the budget fallback).
+ */
+async function draftReply({ subject, messages, truncated = false, profile, provider, model }) {
+  // Counted with the model that drafts (the budget fallback's tokenizer can differ)
+  const thread = buildThreadContext(messages, {
+    model,
+    truncated,
+    isFromTab,
+    render: (m) => ({
+      header: `From: ${senderLabel(m)}\nDate: ${m.created_at || ""}`,
+      body: normaliseEmailBody({ html: m.body, text: m.text }),
+    }),
+  });
+  const log = getLogger();
+  log.info("thread.built", {
+    tokens: thread.tokens,
+    collapsed: thread.collapsed.length,
+    dropped: thread.dropped.length,
+    truncated,
+  });
+
+  const replyTarget = getReplyTarget(messages);
+  // Reply in the language of the customer's latest message
+  const latestText = normaliseEmailBody({ html: replyTarget?.body, text: replyTarget?.text });
+  const detected = detectLanguage(latestText);
+  const locale = localeFor(profile, detected.language);
+  log.info("language.detected", { language: locale.language, confidence: detected.confidence });
+
+  // Canned responses are matched before the LLM: a confident match on a first message is
+  // filled in directly, a weaker one goes to the model as the template to adapt
+  const match = chooseCanned({
+    subject,
+    text: latestText,
+    language: locale.language,
+    followUp: messages.some((m) => isFromTab(m)),
+    profile,
+  });
+  if (match.mode) {
+    log.info("canned.matched", {
+      id: match.entry.id,
+      mode: match.mode,
+      score: match.score,
+      trigger: match.trigger,
+      held: match.held || null,
+      runnerUp: match.runnerUp,
+    });
+  }
+  // Personal data never leaves for the LLM; placeholders are stable across subject and thread
+  const redactor = createRedactor();
+  const redacted = { subject: redactor.redact(subject), threadText: redactor.redact(thread.text) };
+
+  // A fill candidate is still classified by the model (no file_search, no reply), and is only
+  // sent as it is when the message is a plain "reply" the template fully answers; otherwise
+  // the model drafts without it (a complaint that mentions fees must not get the fees email)
+  const template = match.mode === "adapt" ? match : null;
+  let classified = null;
+  if (match.mode === "fill") {
+    const classifyPrompt = buildClassifyPrompt({ ...redacted, canned: match });
+    classified = await classifyMessage(provider, { prompt: classifyPrompt, model });
+    log.info("canned.checked", {
+      id: match.entry.id,
+      classification: classified?.classification || null,
+      confidence: classified?.confidence ?? null,
+      fits: classified?.cannedFits ?? null,
+    });
+    if (classified?.classification === "reply" && classified.cannedFits) {
+      return fillCanned(match, { prompt: classifyPrompt, thread, replyTarget, locale, redactor, profile, classified });
+    }
+  }
+
+  const retrieval = knowledgeRetrieval();
+  const prompt = buildPrompt({ ...redacted, profile, locale, canned: template, fileSearch: Boolean(retrieval) });
+  log.info("prompt.built", { redacted: redactor.summary(), promptChars: prompt.length });
+  log.debug("prompt", { prompt: body(prompt) });
+
+  // === LLM call (Responses API with file_search by default; see lib/llm) ===
+  const elapsed = startTimer();
+  let drafted;
+  try {
+    drafted = await generateDraft(provider, { prompt, retrieval, model });
+  } catch (err) {
+    // The classify-only call was paid for too
+    if (classified) err.usage = combineUsage([classified.usage, ...(err.usage ? [err.usage] : [])]);
+    throw err;
+  }
+  const { draft: result, generation, attempts } = drafted;
+  const usage = classified ? combineUsage([classified.usage, drafted.usage]) : drafted.usage;
+  const canned = cannedUsed(result, template);
+  log.info("draft.generated", {
+    model: generation.model,
+    attempts,
+    durationMs: elapsed(),
+    classification: result.classification,
+    confidence: result.confidence,
+    cannedResponse: result.canned_response?.used ? result.canned_response.title : null,
+    cannedResponseId: canned?.id || null,
+    unknownFacts: (result.unknown_facts || []).length,
+    fileSearchUsed: generation.fileSearchUsed,
+    vectorStoreIds: retrieval?.vectorStoreIds || [],
+    sources: generation.sources.map((src) => src.filename || src.fileId),
+    usage: generation.usage || null,
+    fileSearchCalls: usage.fileSearchCalls,
+    cost: costOf(usage)?.total ?? null,
+  });
+  if (retrieval && !generation.fileSearchUsed) log.warn("draft.no_file_search");
+
+  const base = { prompt, thread, replyTarget, language: locale.language, redactor, result, generation, usage, canned };
+
+  // WhatsApp handoff: the number comes from the customer's own message, the reply is our
+  // localised acknowledgement
+  if (result.classification === "whatsapp") {
+    const handoff = whatsappHandoff({ message: replyTarget, subject, language: locale.language });
+    log.info("whatsapp.number", {
+      found: Boolean(handoff.phone),
+      country: handoff.phone?.country || null,
+      candidates: handoff.candidates.length,
+      hints: handoff.hints,
+    });
+    const html = finishReply(acknowledgementHtml(locale, handoff.phone), { locale, replyTarget });
+    return { ...base, handoff, html };
+  }
+  if (result.classification !== "reply") return { ...base, html: null };
+
+  // Restore only the sender's own values of the configured PII types, sanitise model HTML
+  // (allowlist, citations, markdown, UTMs), then greeting, spacing and signature
+  const invented = redactor.unknownPlaceholders(result.reply_html);
+  if (invented.length) log.warn("redaction.unknown_placeholders", { placeholders: invented });
+  const html = postProcessHtml(redactor.restore(result.reply_html, { own: senderText(replyTarget) }), { profile });
+  return { ...base, html: finishReply(html, { locale, replyTarget }) };
+}
+
+/** What the customer wrote themselves: their addresses and latest message with its signature, without quotes. */
+function senderText(message) {
+  if (!message) return "";
+  const addresses = [message.from_field, ...(message.reply_to_fields || [])].map((f) => f?.address || "");
+  const text = stripQuotedText(message.body ? htmlToText(message.body) : String(message.text || ""));
+  return [...addresses, text].join("\n");
+}
+
+/** The canned response behind a model draft: the template it was given, or the entry it named. */
+function cannedUsed(result, template) {
+  if (!result.canned_response?.used) return null;
+  const id = cannedIdForTitle(result.canned_response.title) || template?.entry.id || null;
+  const adapted = Boolean(template) && id === template.entry.id;
+  return { id, mode: adapted ? "adapted" : "model", score: adapted ? template.score : null };
+}
+
+/**
+ * Draft from a confidently matched canned response the classify-only call confirmed, without
+ * the drafting model. The confidence is the model's, never the trigger match score.
+ */
+function fillCanned(match, { prompt, thread, replyTarget, locale, redactor, profile, classified }) {
+  const { entry, score } = match;
+  const result = {
+    classification: "reply",
+    confidence: classified.confidence,
+    reply_html: match.html,
+    canned_response: { used: true, title: entry.title },
+    knowledge_snippets: [],
+    unknown_facts: [],
+  };
+  const generation = { model: "canned-match", sources: [], fileSearchUsed: false, usage: classified.generation.usage };
+  getLogger().info("draft.generated", {
+    model: generation.model,
+    classifiedBy: classified.generation.model,
+    classification: result.classification,
+    confidence: result.confidence,
+    cannedResponse: entry.title,
+    cannedResponseId: entry.id,
+    cost: costOf(classified.usage)?.total ?? null,
+  });
+  const html = postProcessHtml(match.html, { profile });
+  return {
+    prompt,
+    thread,
+    replyTarget,
+    language: locale.language,
+    redactor,
+    result,
+    generation,
+    usage: classified.usage,
+    canned: { id: entry.id, mode: "filled", score },
+    html: finishReply(html, { locale, replyTarget }),
+  };
+}
+
+/** Add the localised greeting, paragraph spacing and the locale's signature to a reply body. */
+function finishReply(html, { locale, replyTarget }) {
+  let finalHtml = html;
+  const recipientFirst = firstNameFrom(replyTarget);
+  const greetingHtml = `<p>${greetingFor(locale, recipientFirst)}</p>`;
+
+  if (!startsWithGreeting(finalHtml)) {
+    finalHtml = greetingHtml + finalHtml;
+  } else if (recipientFirst) {
+    // If it's a name-less greeting ("Hi there,", "Bonjour,"), personalise it
+    finalHtml = finalHtml.replace(/^(\s*<p>)([^<]*)(<\/p>)/i, (whole, open, line) =>
+      isNamelessGreeting(line) ? greetingHtml : whole
+    );
+  }
+
+  return appendSignature(addParagraphSpacing(finalHtml), locale.signature);
+}
+
+/**
+ * Full webhook flow for one conversation (`attempt` is the job attempt, 1 for the first).
+ * Returns a summary for the HTTP response:
+ * { ok, skipped?, reason?, classification?, draftId?, autoSent? }. Runs under the current run's logger (the
+ * worker binds one per job), or a new run ID when there is none; the run ID is also linked
+ * from the explanation post.
+ */
+async function processConversation(options) {
+  const parent = getLogger();
+  const log = parent.runId
+    ? parent.child({ conversationId: options.conversationId })
+    : createLogger({ conversationId: options.conversationId });
+  return runWithLogger(log, async () => {
+    const elapsed = startTimer();
+    log.info("run.start", { profile: options.profile?.id });
+    const outcome = await handleConversation(options, log);
+    log.info("run.done", { ...outcome, durationMs: elapsed() });
+    return outcome;
+  });
+}
+
+async function handleConversation({ client, provider, conversationId, profile, attempt = 1 }, log) {
+  // One run per conversation at a time, from loading the thread to saving the draft record:
+  // a concurrent run makes this job retry later, when it sees what this one drafted
+  const { locked, lock } = await lockConversation(conversationId, { runId: log.runId });
+  if (!locked) throw new DraftInProgressError(lock, "this conversation");
+  try {
+    return await handleLockedConversation({ client, provider, conversationId, profile, attempt }, log);
+  } finally {
+    await unlockConversation(conversationId, { runId: log.runId }).catch(() => {});
+  }
+}
+
+async function handleLockedConversation({ client, provider, conversationId, profile, attempt }, log) {
+  const runId = log.runId;
+  const { conversation, subject, messages, truncated } = await loadConversation(client, conversationId);
+
+  // Choose reply target (latest external sender)
+  const replyTarget = getReplyTarget(messages);
+  if (await isSuppressed(replyTarget?.from_field?.address)) {
+    log.info("run.skipped", { reason: "suppressed" });
+    return { ok: true, skipped: "suppressed" };
+  }
+
+  // Skip if nothing new has arrived from the customer since our last draft
+  const previous = await getDraftRecord(conversationId);
+  if (alreadyHandled(previous, replyTarget?.id)) {
+    log.info("run.skipped", { reason: "already_handled", messageId: replyTarget.id });
+    return { ok: true, skipped: "already_handled" };
+  }
+
+  // One draft per customer message: a draft created by a run that failed before saving the
+  // draft record is never made again, and a run that died mid-way holds the message until
+  // its claim expires
+  const messageId = replyTarget?.id;
+  if (messageId) {
+    const { claimed, claim } = await claimMessage(conversationId, messageId, { runId });
+    if (!claimed && claim.draftId) {
+      log.info("run.skipped", { reason: "already_handled", messageId, draftId: claim.draftId, claimedBy: claim.runId });
+      return { ok: true, skipped: "already_handled" };
+    }
+    if (!claimed) throw new DraftInProgressError(claim);
+  }
+  const progress = { draftId: null };
+  try {
+    const outcome = await draftConversation(
+      { client, provider, conversationId, profile, attempt, conversation, subject, messages, truncated, replyTarget, previous },
+      log,
+      progress
+    );
+    // Give the message back when it was left for a later delivery
+    if (messageId && outcome.skipped === "budget") await releaseMessage(conversationId, messageId);
+    return outcome;
+  } catch (err) {
+    if (messageId && !progress.draftId) await releaseMessage(conversationId, messageId).catch(() => {});
+    throw err;
+  }
+}
+
+/** The claimed part of the webhook flow; sets progress.draftId as soon as the Missive draft exists. */
+async function draftConversation(
+  { client, provider, conversationId, profile, attempt, conversation, subject, messages, truncated, replyTarget, previous },
+  log,
+  progress
+) {
+  const runId = log.runId;
+
+  // Near a budget cap: a cheaper model, or priority conversations only. Nothing is saved when
+  // skipping, so the conversation is drafted by the next webhook once the budget allows it
+  const budget = await budgetDecision({ profile, conversation });
+  if (budget.level !== "ok") {
+    log.info("budget.limited", {
+      status: budget.level,
+      day: budget.day,
+      month: budget.month,
+      priority: budget.priority,
+      model: budget.model,
+      draft: budget.draft,
+    });
+  }
+  if (!budget.draft) {
+    log.info("run.skipped", { reason: "budget", status: budget.level });
+    return { ok: true, skipped: "budget" };
+  }
+
+  const spend = async (usage, classification) => {
+    try {
+      await recordSpend({ runId, conversationId, profileId: profile.id, classification, usage });
+    } catch (err) {
+      log.warn("spend.record_failed", { error: err });
+    }
+  };
+  let drafted;
+  try {
+    drafted = await draftReply({ subject, messages, truncated, profile, provider, model: budget.model || undefined });
+  } catch (err) {
+    // Calls answered before the failure (invalid output, a failed repair) still cost money
+    if (err.usage) await spend(err.usage, null);
+    throw err;
+  }
+  if (drafted.usage) await spend(drafted.usage, drafted.result.classification);
+
+  // Classifications are routed to Missive actions, never drafted — except WhatsApp handoffs,
+  // which post the number for the WhatsApp team and then draft the acknowledgement
+  const classification = drafted.result.classification;
+  if (classification === "whatsapp") {
+    const routed = await routeClassification(classification, {
+      client,
+      conversationId,
+      sender: replyTarget?.from_field,
+      markdown: drafted.handoff.markdown,
+    });
+    log.info("classification.routed", routed);
+  } else if (classification !== "reply") {
+    const routed = await routeClassification(classification, {
+      client,
+      conversationId,
+      sender: replyTarget?.from_field,
+    });
+    log.info("classification.routed", routed);
+    await saveDraftRecord(conversationId, { messageId: replyTarget?.id, classification });
+    return { ok: true, classification };
+  }
+
+  // Reply-To or sender, plus the customer's colleagues on copy; skip when nobody valid is left
+  const recipients = await resolveRecipients(replyTarget, profile);
+  if (recipients.removed.length) {
+    log.info("recipients.removed", { removed: recipients.removed.map(({ role, reason }) => ({ role, reason })) });
+  }
+  if (!recipients.to.length) {
+    log.info("run.skipped", { reason: "no_recipient", detail: recipients.reason });
+    await saveDraftRecord(conversationId, { messageId: replyTarget?.id, draftId: previous?.draftId || null });
+    return { ok: true, skipped: "no_recipient", reason: recipients.reason };
+  }
+
+  // Routine replies on inboxes that opted in go out without review when every guardrail passes;
+  // never on a job retry, and the claim on the message keeps a concurrent run from sending too
+  const autoSend = await evaluateAutoSend({
+    profile,
+    result: drafted.result,
+    canned: drafted.canned,
+    replyTarget,
+    recipients,
+    attempt,
+  });
+  if (!autoSend.failed.includes("disabled")) log.info("autosend.evaluated", autoSend);
+  const sendFields = autoSend.send ? autoSendFields(profile) : { send: false };
+
+  // 7) Create the email draft in Missive (From: the inbox profile's sender)
+  const draftSubject = replySubject(subject);
+  const elapsed = startTimer();
+  const draftId = await client.createDraft({
+    conversation: conversationId,
+    subject: draftSubject,
+    body: drafted.html,
+    quote_previous_message: false,
+    from_field: {
+      address: profile.from.address,
+      name: profile.from.name,
+    },
+    to_fields: recipients.to,
+    cc_fields: recipients.cc,
+    ...sendFields,
+  });
+  progress.draftId = draftId;
+  log.info("draft.created", {
+    draftId,
+    to: recipients.to.length,
+    cc: recipients.cc.length,
+    autoSent: autoSend.send,
+    durationMs: elapsed(),
+  });
+  log.debug("draft.body", { subject: body(draftSubject), html: body(drafted.html) });
+
+  // Replace (not stack) our earlier draft for this conversation
+  if (previous?.draftId && previous.draftId !== draftId) {
+    try {
+      const removed = await client.deleteDraft(previous.draftId);
+      log.info("draft.replaced", { previousDraftId: previous.draftId, deleted: removed });
+      if (removed) await markDraftReplaced(previous.draftId);
+    } catch (err) {
+      log.warn("draft.replace_failed", { previousDraftId: previous.draftId, error: err });
+    }
+  }
+  // The draft exists (and may already be on its way): nothing throws from here on, or the
+  // job retry would draft or send it again. The claim is recorded first: it alone stops that
+  // if the draft record can't be saved
+  const cannedResponseId = drafted.canned?.id || null;
+  try {
+    if (replyTarget?.id) {
+      await markClaimDrafted(conversationId, replyTarget.id, { runId, draftId, autoSent: autoSend.send });
+    }
+    await saveDraftRecord(conversationId, { messageId: replyTarget?.id, draftId, cannedResponseId });
+  } catch (err) {
+    log.error("draft.record_failed", { draftId, error: err });
+  }
+
+  if (autoSend.send) {
+    try {
+      await recordAutoSend({
+        draftId,
+        conversationId,
+        messageId: replyTarget?.id,
+        profile,
+        recipients,
+        result: drafted.result,
+        checks: autoSend.checks,
+        cannedResponseId,
+        runId,
+        sendAt: sendFields.send_at,
+      });
+    } catch (err) {
+      log.error("autosend.audit_failed", { draftId, error: err });
+    }
+  }
+
+  // Snapshot for the edit feedback loop (not for auto-sent replies, which nobody edited),
+  // then the internal post telling agents why the draft says what it says (both best effort)
+  try {
+    if (!autoSend.send) {
+      await recordDraft({
+        draftId,
+        conversationId,
+        html: drafted.html,
+        result: drafted.result,
+        cannedResponseId,
+        language: drafted.language,
+        profileId: profile.id,
+        runId,
+      });
+    }
+  } catch (err) {
+    log.warn("feedback.snapshot_failed", { draftId, error: err });
+  }
+  try {
+    await postExplanation(client, conversationId, {
+      profile,
+      result: drafted.result,
+      generation: drafted.generation,
+      canned: drafted.canned,
+      language: drafted.language,
+      autoSend,
+      runId,
+    });
+  } catch (err) {
+    log.warn("explanation.failed", { draftId, error: err });
+  }
+
+  return { ok: true, classification, language: drafted.language, draftId, ...(autoSend.send ? { autoSent: true } : {}) };
+}
+
+module.exports = {
+  isFromTab,
+  getReplyTarget,
+  firstNameFrom,
+  replySubject,
+  loadConversation,
+  draftReply,
+  processConversation,
+};
@@ -0,0 +1,126 @@
+// lib/preview.js
+// Dry run of the drafting pipeline for api/preview.js. It loads a Missive conversation, or
+// takes a raw thread, then drafts the reply and works out the recipients, the auto-send
+// decision and the classification actions. It writes nothing to Missive: no draft, post,
+// label or suppression. It also leaves the per-conversation draft record alone. Its model
+// spend is real, so it is recorded (source "preview") and counts toward the budget.
+
+const { loadConversation, draftReply, getReplyTarget } = require("./pipeline");
+const { classificationActions } = require("./classification");
+const { isSuppressed } = require("./suppression");
+const { getDraftRecord, alreadyHandled } = require("./dedup");
+const { resolveRecipients } = require("./recipients");
+const { evaluateAutoSend } = require("./auto-send");
+const { buildExplanation } = require("./explain");
+const { costOf, budgetDecision, recordSpend } = require("./costs");
+const { getLogger } = require("./log");
+
+/** Error carrying the HTTP status the preview route should answer with. */
+class PreviewRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PreviewRequestError";
+    this.status = status;
+  }
+}
+
+/** A raw thread ({ conversation: { subject }, messages }, the eval fixture shape) → pipeline input. */
+function threadInput(thread) {
+  if (!thread || typeof thread !== "object" || !Array.isArray(thread.messages) || !thread.messages.length) {
+    throw new PreviewRequestError("thread.messages must be a non-empty array");
+  }
+  // Oldest → newest, as loadConversation returns them
+  const messages = [...thread.messages].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const subject = String(thread.conversation?.subject || thread.subject || "").trim();
+  return { subject, messages, truncated: false };
+}
+
+/**
+ * Run the pipeline for `conversationId` (read through `client`) or `thread` without side
+ * effects. Returns what the bot would do: classification, prompt, retrieved sources, final
+ * HTML, recipients, auto-send decision and the explanation post, plus notes on why the
+ * webhook would skip the conversation. The preview drafts even when the budget would skip
+ * it (notes.budget), with the model the budget allows.
+ */
+async function previewConversation({ client, provider, profile, conversationId, thread }) {
+  const input = thread ? threadInput(thread) : await loadConversation(client, conversationId);
+  const replyTarget = getReplyTarget(input.messages);
+  const sender = replyTarget?.from_field?.address;
+  const notes = {
+    suppressed: await isSuppressed(sender),
+    alreadyHandled: conversationId ? alreadyHandled(await getDraftRecord(conversationId), replyTarget?.id) : false,
+    truncated: Boolean(input.truncated),
+  };
+  const budget = await budgetDecision({ profile, conversation: input.conversation });
+  notes.budget = { level: budget.level, draft: budget.draft, model: budget.model };
+
+  const log = getLogger();
+  let drafted;
+  try {
+    drafted = await draftReply({ ...input, profile, provider, model: budget.model || undefined });
+  } catch (err) {
+    if (err.usage) {
+      await recordSpend({
+        runId: log.runId,
+        conversationId: conversationId || null,
+        profileId: profile.id,
+        classification: null,
+        usage: err.usage,
+        source: "preview",
+      });
+    }
+    throw err;
+  }
+  const { result, generation } = drafted;
+  if (drafted.usage) {
+    await recordSpend({
+      runId: log.runId,
+      conversationId: conversationId || null,
+      profileId: profile.id,
+      classification: result.classification,
+      usage: drafted.usage,
+      source: "preview",
+    });
+  }
+  const recipients = drafted.html ? await resolveRecipients(replyTarget, profile) : null;
+  const autoSend = recipients?.to.length
+    ? await evaluateAutoSend({ profile, result, canned: drafted.canned, replyTarget, recipients })
+    : null;
+  log.info("preview.drafted", { classification: result.classification, source: thread ? "thread" : "missive" });
+
+  return {
+    profile: profile.id,
+    conversationId: conversationId || null,
+    subject: input.subject,
+    notes,
+    classification: result.classification,
+    confidence: result.confidence,
+    language: drafted.language,
+    canned: drafted.canned,
+    model: generation.model,
+    prompt: drafted.prompt,
+    fileSearchUsed: generation.fileSearchUsed,
+    sources: generation.sources,
+    knowledgeSnippets: result.knowledge_snippets,
+    unknownFacts: result.unknown_facts,
+    usage: drafted.usage,
+    cost: drafted.usage ? costOf(drafted.usage) : null,
+    html: drafted.html,
+    handoff: drafted.handoff ? { phone: drafted.handoff.phone, markdown: drafted.handoff.markdown } : null,
+    actions: result.classification === "reply" ? null : classificationActions()[result.classification] || null,
+    recipients,
+    autoSend,
+    explanation: drafted.html
+      ? buildExplanation({
+          result,
+          generation,
+          canned: drafted.canned,
+          runId: log.runId,
+          language: drafted.language,
+          autoSend,
+        })
+      : null,
+  };
+}
+
+module.exports = { PreviewRequestError, previewConversation };
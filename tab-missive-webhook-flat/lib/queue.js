@@ -0,0 +1,219 @@
+// lib/queue.js
+// Job queue between the webhook (enqueue + ack) and the worker (lib/worker.js). Jobs are
+// { id, type, payload, attempts, createdAt, runAt, lastError }; a claimed job is leased by
+// pushing its runAt forward, so a worker that dies mid-job just lets it come due again.
+// Jobs that fail for good move to the dead-letter list. Drivers:
+//   memory — per process (tests, the dev server)
+//   file   — JSON file, survives restarts on one machine (QUEUE_FILE)
+//   kv     — Vercel KV / Upstash Redis (sorted set of due times; a claim moves the job's due
+//            time to the end of its lease in one script, so only one worker gets it and a
+//            worker that dies right after still leaves it queued)
+// QUEUE_DRIVER picks one; default is kv when KV_REST_API_URL is set, else file (refused on
+// Vercel, where the webhook and worker don't share /tmp). Anything with the same methods can
+// be swapped in with setQueue().
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createKvCommand, assertSharedDriver } = require("./store");
+
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+function newJob(type, payload, { delayMs = 0, id = crypto.randomUUID() } = {}) {
+  const now = Date.now();
+  return { id, type, payload, attempts: 0, createdAt: now, runAt: now + delayMs, lastError: null };
+}
+
+/** Memory and file drivers: the whole queue is one { jobs, dead } object. */
+function createLocalQueue(load, save) {
+  return {
+    async enqueue(type, payload, options) {
+      const state = load();
+      const job = newJob(type, payload, options);
+      state.jobs[job.id] = job;
+      save(state);
+      return job;
+    },
+    async claim({ now = Date.now(), leaseMs = DEFAULT_LEASE_MS } = {}) {
+      const state = load();
+      const due = Object.values(state.jobs)
+        .filter((j) => j.runAt <= now)
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!due) return null;
+      due.attempts += 1;
+      due.runAt = now + leaseMs;
+      save(state);
+      return { ...due };
+    },
+    async complete(job) {
+      const state = load();
+      delete state.jobs[job.id];
+      save(state);
+    },
+    async reschedule(job, { runAt, error }) {
+      const state = load();
+      state.jobs[job.id] = { ...job, runAt, lastError: error };
+      save(state);
+    },
+    async deadLetter(job, error) {
+      const state = load();
+      delete state.jobs[job.id];
+      state.dead[job.id] = { ...job, lastError: error, failedAt: Date.now() };
+      save(state);
+    },
+    async listDead() {
+      return Object.values(load().dead).sort((a, b) => a.failedAt - b.failedAt);
+    },
+    async requeue(id) {
+      const state = load();
+      const dead = state.dead[id];
+      if (!dead) return null;
+      delete state.dead[id];
+      const job = { ...newJob(dead.type, dead.payload, { id }), createdAt: dead.createdAt };
+      state.jobs[id] = job;
+      save(state);
+      return job;
+    },
+    async pending() {
+      return Object.values(load().jobs).sort((a, b) => a.runAt - b.runAt);
+    },
+  };
+}
+
+const emptyState = () => ({ jobs: {}, dead: {} });
+
+function createMemoryQueue() {
+  let state = emptyState();
+  return createLocalQueue(
+    () => state,
+    (next) => {
+      state = next;
+    }
+  );
+}
+
+function createFileQueue(file = process.env.QUEUE_FILE || path.join(os.tmpdir(), "tab-missive-queue.json")) {
+  return createLocalQueue(
+    () => {
+      try {
+        return { ...emptyState(), ...JSON.parse(fs.readFileSync(file, "utf8")) };
+      } catch {
+        return emptyState();
+      }
+    },
+    (state) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(state, null, 2));
+    }
+  );
+}
+
+// Push a due job's time to the end of its lease: 1 when this call did, 0 when it wasn't due
+const LEASE_SCRIPT = `
+local due = redis.call("ZSCORE", KEYS[1], ARGV[1])
+if not due or tonumber(due) > tonumber(ARGV[2]) then return 0 end
+redis.call("ZADD", KEYS[1], ARGV[3], ARGV[1])
+return 1`;
+
+function createKvQueue(options) {
+  const command = createKvCommand(options);
+  const getJson = async (key) => {
+    const raw = await command(["GET", key]);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  };
+  const putJob = async (job) => {
+    await command.transaction([
+      ["SET", `job:${job.id}`, JSON.stringify(job)],
+      ["ZADD", "queue:due", String(job.runAt), job.id],
+    ]);
+  };
+
+  return {
+    async enqueue(type, payload, options) {
+      const job = newJob(type, payload, options);
+      await putJob(job);
+      return job;
+    },
+    async claim({ now = Date.now(), leaseMs = DEFAULT_LEASE_MS } = {}) {
+      const ids = await command(["ZRANGEBYSCORE", "queue:due", "-inf", String(now), "LIMIT", "0", "5"]);
+      for (const id of ids || []) {
+        // Only one worker finds the job still due; the rest move on to the next ID
+        const leased = await command(["EVAL", LEASE_SCRIPT, "1", "queue:due", id, String(now), String(now + leaseMs)]);
+        if (Number(leased) !== 1) continue;
+        const job = await getJson(`job:${id}`);
+        if (!job) {
+          await command(["ZREM", "queue:due", id]);
+          continue;
+        }
+        job.attempts += 1;
+        job.runAt = now + leaseMs;
+        await command(["SET", `job:${id}`, JSON.stringify(job)]);
+        return job;
+      }
+      return null;
+    },
+    async complete(job) {
+      await command(["ZREM", "queue:due", job.id]);
+      await command(["DEL", `job:${job.id}`]);
+    },
+    async reschedule(job, { runAt, error }) {
+      await putJob({ ...job, runAt, lastError: error });
+    },
+    async deadLetter(job, error) {
+      const failedAt = Date.now();
+      await command(["SET", `dead:${job.id}`, JSON.stringify({ ...job, lastError: error, failedAt })]);
+      await command(["ZADD", "queue:dead", String(failedAt), job.id]);
+      await this.complete(job);
+    },
+    async listDead() {
+      const ids = (await command(["ZRANGE", "queue:dead", "0", "-1"])) || [];
+      return (await Promise.all(ids.map((id) => getJson(`dead:${id}`)))).filter(Boolean);
+    },
+    async requeue(id) {
+      const dead = await getJson(`dead:${id}`);
+      if (!dead) return null;
+      const job = { ...newJob(dead.type, dead.payload, { id }), createdAt: dead.createdAt };
+      await putJob(job);
+      await command(["ZREM", "queue:dead", id]);
+      await command(["DEL", `dead:${id}`]);
+      return job;
+    },
+    async pending() {
+      const ids = (await command(["ZRANGE", "queue:due", "0", "-1"])) || [];
+      return (await Promise.all(ids.map((id) => getJson(`job:${id}`)))).filter(Boolean);
+    },
+  };
+}
+
+const DRIVERS = { memory: createMemoryQueue, file: createFileQueue, kv: createKvQueue };
+
+function createQueue(driver = process.env.QUEUE_DRIVER || (process.env.KV_REST_API_URL ? "kv" : "file")) {
+  const factory = DRIVERS[driver];
+  if (!factory) throw new Error(`Unknown QUEUE_DRIVER: ${driver}`);
+  assertSharedDriver("QUEUE_DRIVER", driver);
+  return factory();
+}
+
+let defaultQueue;
+
+/** Process-wide queue, created on first use. */
+function getQueue() {
+  if (!defaultQueue) defaultQueue = createQueue();
+  return defaultQueue;
+}
+
+/** Swap the process-wide queue (tests, local tooling, or another queue service). */
+function setQueue(queue) {
+  defaultQueue = queue;
+}
+
+module.exports = {
+  DEFAULT_LEASE_MS,
+  createMemoryQueue,
+  createFileQueue,
+  createKvQueue,
+  createQueue,
+  getQueue,
+  setQueue,
+};
@@ -0,0 +1,93 @@
+// lib/recipients.js
+// Who a draft goes to. The reply goes to the last external message's Reply-To (else its
+// sender); a profile with `"replyAll": true` also copies the other people on that message's
+// To and Cc (off by default, since auto-sent replies would reach them unreviewed). Our own
+// domains (OWN_DOMAINS, every profile's sender domain, a profile's `ownDomains`), suppressed
+// addresses and malformed addresses are dropped. When nobody is left, resolveRecipients says
+// why and the pipeline skips drafting.
+
+const { isSuppressed } = require("./suppression");
+const { loadInboxConfig } = require("./inbox-config");
+
+const EMAIL_RE = /^[^@\s<>()[\],;:"]+@[^@\s<>()[\],;:"]+\.[^@\s<>()[\],;:"]+$/;
+
+const SKIP_REASONS = {
+  missing: "the last external message has no sender address",
+  invalid: "the sender address is not a valid email address",
+  own_domain: "the sender is one of our own addresses",
+  suppressed: "the sender has unsubscribed",
+};
+
+const lower = (v) => String(v || "").toLowerCase().trim();
+const domainOf = (addr) => lower(addr).split("@")[1] || "";
+
+/** Domains whose addresses are ours: OWN_DOMAINS (default tab.travel) plus profile senders. */
+function ownDomains(profile) {
+  const profiles = profile ? [profile] : loadInboxConfig().profiles;
+  const domains = [
+    ...String(process.env.OWN_DOMAINS || "tab.travel").split(","),
+    ...profiles.flatMap((p) => [domainOf(p.from?.address), ...(p.ownDomains || [])]),
+  ];
+  return [...new Set(domains.map(lower).filter(Boolean))];
+}
+
+/** True for an address on one of our domains (or a subdomain of one). */
+function isOwnAddress(addr, domains = ownDomains()) {
+  const domain = domainOf(addr);
+  return Boolean(domain) && domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+/** Missive address fields → { address, name } with the address trimmed and lower-cased. */
+function fieldsOf(list) {
+  return (Array.isArray(list) ? list : [list])
+    .filter((f) => f && typeof f === "object")
+    .map((f) => ({ address: lower(f.address), name: f.name || undefined }));
+}
+
+/**
+ * Recipients for a reply to `replyTarget` (the last external message).
+ * Returns { to, cc, removed: [{ address, role, reason }] } or, when no valid recipient is left,
+ * { to: [], cc: [], removed, reason } (reason is a sentence for logs). Removed entries have
+ * role "to" or "cc" and reason missing, invalid, own_domain or suppressed.
+ */
+async function resolveRecipients(replyTarget, profile = {}) {
+  const domains = [...new Set([...ownDomains(), ...ownDomains(profile)])];
+  const replyAll = profile.replyAll === true;
+
+  const replyTo = fieldsOf(replyTarget?.reply_to_fields);
+  const primary = replyTo.length ? replyTo : fieldsOf(replyTarget?.from_field);
+  const copied = replyAll ? fieldsOf([...(replyTarget?.to_fields || []), ...(replyTarget?.cc_fields || [])]) : [];
+
+  const removed = [];
+  const seen = new Set();
+  async function keep(field, role) {
+    const { address } = field;
+    let reason = null;
+    if (!address) reason = "missing";
+    else if (seen.has(address)) return false;
+    else if (!EMAIL_RE.test(address)) reason = "invalid";
+    else if (isOwnAddress(address, domains)) reason = "own_domain";
+    else if (await isSuppressed(address)) reason = "suppressed";
+    if (address) seen.add(address);
+    if (reason) removed.push({ address: address || null, role, reason });
+    return !reason;
+  }
+
+  const to = [];
+  for (const field of primary) if (await keep(field, "to")) to.push(field);
+  const cc = [];
+  for (const field of copied) if (await keep(field, "cc")) cc.push(field);
+
+  // No usable Reply-To/sender address but a colleague is on copy: reply to them instead.
+  // Not when the sender unsubscribed — writing to their colleagues would get round it.
+  const senderSuppressed = removed.some((r) => r.role === "to" && r.reason === "suppressed");
+  if (!to.length && cc.length && !senderSuppressed) to.push(cc.shift());
+
+  if (!to.length) {
+    const why = removed.find((r) => r.role === "to");
+    return { to, cc, removed, reason: why ? SKIP_REASONS[why.reason] : SKIP_REASONS.missing };
+  }
+  return { to, cc, removed };
+}
+
+module.exports = { ownDomains, isOwnAddress, resolveRecipients };
@@ -0,0 +1,199 @@
+// lib/redact.js
+// Replaces personal data in text bound for the LLM (thread, subject) with stable
+// placeholders such as [PHONE_1], and puts values back into the draft only for the types
+// configured as `restore`, and only when the value is the sender's own (their address, a
+// number in their own message); other placeholders the model echoes are masked, and ones it
+// made up are removed. Detectors, restore types and the allowlist come from
+// config/redaction.json or REDACTION_CONFIG_FILE. fixtures/pii/corpus.json holds the samples
+// test/redact.test.js checks.
+
+const fs = require("fs");
+
+/** Luhn checksum, so order numbers and timestamps are not taken for card numbers. */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** ISO 13616 mod-97 check. */
+function ibanValid(iban) {
+  const s = iban.slice(4) + iban.slice(0, 4);
+  const numeric = s.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let rem = 0;
+  for (const ch of numeric) rem = (rem * 10 + Number(ch)) % 97;
+  return rem === 1;
+}
+
+const digitsOf = (s) => s.replace(/\D/g, "");
+const compact = (s) => s.replace(/\s+/g, "").toUpperCase();
+
+const STREET_TYPES = [
+  "Street", "St", "Road", "Rd", "Avenue", "Ave", "Lane", "Ln", "Drive", "Dr", "Boulevard", "Blvd",
+  "Way", "Place", "Pl", "Court", "Ct", "Square", "Sq", "Rue", "Calle", "Avenida", "Plaza",
+  "Straße", "Strasse", "Str", "Weg", "Platz", "Via", "Viale", "Piazza", "Corso",
+].flatMap((t) => [t, t.toLowerCase()]).join("|");
+const NAME_WORD = "[\\p{Lu}][\\p{L}'-]*";
+const HOUSE_NUMBER = "\\d{1,5}[A-Za-z]?";
+
+/**
+ * Detectors in the order they run; earlier matches win. Each has a global `pattern`,
+ * an optional `valid(match)` and `normalise(match)` (values that normalise alike share a
+ * placeholder), and `mask(value)` for drafts where the value is not restored.
+ */
+const DETECTORS = {
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    valid: (m) => ibanValid(compact(m)),
+    normalise: compact,
+    mask: (v) => `${compact(v).slice(0, 2)}•• •••• ${compact(v).slice(-4)}`,
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: (m) => luhnValid(digitsOf(m)),
+    normalise: digitsOf,
+    mask: (v) => `•••• ${digitsOf(v).slice(-4)}`,
+  },
+  email: {
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+    normalise: (m) => m.toLowerCase(),
+    mask: () => "[email address]",
+  },
+  phone: {
+    pattern: /(?:\+|\(?\b0)\d[\d ().-]{6,17}\d\b/g,
+    valid: (m) => digitsOf(m).length >= 8 && digitsOf(m).length <= 15,
+    normalise: (m) => digitsOf(m).replace(/^00/, ""),
+    mask: (v) => `•••• ${digitsOf(v).slice(-3)}`,
+  },
+  postcode: {
+    pattern: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/g,
+    normalise: compact,
+    mask: () => "[postcode]",
+  },
+  street: {
+    // "221B Baker Street", "12 rue de la Paix", "Calle Mayor 5", "Hauptstraße 10"
+    pattern: new RegExp(
+      [
+        `\\b${HOUSE_NUMBER}\\s+(?:${NAME_WORD}\\s+){1,4}(?:${STREET_TYPES})\\b\\.?`,
+        `\\b${HOUSE_NUMBER},?\\s+(?:${STREET_TYPES})\\s+(?:(?:de|del|la|le|les|des|du|di|della|the)\\s+)*${NAME_WORD}(?:\\s+${NAME_WORD}){0,3}`,
+        `\\b(?:${STREET_TYPES})\\.?\\s+(?:${NAME_WORD}\\s+){1,4}${HOUSE_NUMBER}\\b`,
+        `${NAME_WORD}(?:straße|strasse|weg|platz|gasse)\\s+${HOUSE_NUMBER}\\b`,
+      ].join("|"),
+      "gu"
+    ),
+    normalise: (m) => m.toLowerCase().replace(/\s+/g, " "),
+    mask: () => "[address]",
+  },
+};
+
+const PLACEHOLDER_RE = /\[([A-Z]+)_(\d+)\]/g;
+
+let cachedConfig;
+
+/** Redaction settings: { detectors: [names], restore: [names], allowlist: [values or @domains] }. */
+function loadRedactionConfig() {
+  if (!cachedConfig) {
+    cachedConfig = process.env.REDACTION_CONFIG_FILE
+      ? JSON.parse(fs.readFileSync(process.env.REDACTION_CONFIG_FILE, "utf8"))
+      : require("../config/redaction.json");
+    const unknown = [...(cachedConfig.detectors || []), ...(cachedConfig.restore || [])].filter(
+      (name) => !DETECTORS[name]
+    );
+    if (unknown.length) throw new Error(`Unknown redaction detector(s): ${unknown.join(", ")}`);
+  }
+  return cachedConfig;
+}
+
+/** Values of one detector's type found in text, edge separators trimmed and checked. */
+function findValues(type, text = "") {
+  const { pattern, valid } = DETECTORS[type];
+  return (String(text).match(pattern) || [])
+    .map((match) => match.replace(/^[\s.,-]+|[\s.,(-]+$/g, ""))
+    .filter((value) => value && (!valid || valid(value)));
+}
+
+function isAllowed(value, allowlist) {
+  const v = value.toLowerCase().replace(/\s+/g, " ").trim();
+  return allowlist.some((entry) => {
+    const e = String(entry).toLowerCase().trim();
+    return e.startsWith("@") ? v.endsWith(e) : v === e || compact(v) === compact(e);
+  });
+}
+
+/**
+ * One redactor per conversation, so the same value always gets the same placeholder in the
+ * subject and the thread. redact(text) → text; restore(html, { own }) → html;
+ * unknownPlaceholders(html) → placeholders the model made up; summary() → counts.
+ */
+function createRedactor(config = loadRedactionConfig()) {
+  const enabled = config.detectors || Object.keys(DETECTORS);
+  const detectors = Object.keys(DETECTORS).filter((name) => enabled.includes(name));
+  const restorable = new Set(config.restore || []);
+  const allowlist = config.allowlist || [];
+  const byKey = new Map(); // `${type}:${normalised}` → placeholder
+  const values = new Map(); // placeholder → { type, value }
+  const counts = {};
+
+  function placeholderFor(type, value) {
+    const key = `${type}:${DETECTORS[type].normalise(value)}`;
+    if (!byKey.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${counts[type]}]`;
+      byKey.set(key, placeholder);
+      values.set(placeholder, { type, value });
+    }
+    return byKey.get(key);
+  }
+
+  return {
+    redact(text = "") {
+      let out = String(text);
+      for (const type of detectors) {
+        const { pattern, valid } = DETECTORS[type];
+        out = out.replace(pattern, (match) => {
+          // Trim separators the loose patterns can pick up at the edges
+          const value = match.replace(/^[\s.,-]+|[\s.,(-]+$/g, "");
+          if (!value || (valid && !valid(value)) || isAllowed(value, allowlist)) return match;
+          return match.replace(value, placeholderFor(type, value));
+        });
+      }
+      return out;
+    },
+
+    /**
+     * Put back restorable values that appear in `own` (text the sender wrote: their address
+     * and their message), mask the others and remove placeholders we never handed out, so
+     * no placeholder reaches the customer.
+     */
+    restore(html = "", { own = "" } = {}) {
+      const isOwn = ({ type, value }) => {
+        const { normalise } = DETECTORS[type];
+        return findValues(type, own).some((v) => normalise(v) === normalise(value));
+      };
+      return String(html).replace(PLACEHOLDER_RE, (placeholder) => {
+        const entry = values.get(placeholder);
+        if (!entry) return "";
+        return restorable.has(entry.type) && isOwn(entry) ? entry.value : DETECTORS[entry.type].mask(entry.value);
+      });
+    },
+
+    /** Placeholders in html that this redactor never handed out. */
+    unknownPlaceholders(html = "") {
+      return [...new Set(String(html).match(PLACEHOLDER_RE) || [])].filter((p) => !values.has(p));
+    },
+
+    /** Counts per type, safe to log. */
+    summary() {
+      return { ...counts };
+    },
+  };
+}
+
+module.exports = { DETECTORS, loadRedactionConfig, findValues, createRedactor };
@@ -0,0 +1,57 @@
+// lib/retry.js
+// Retry policy for Missive/OpenAI/KV calls and queued jobs: retry on 429, 5xx and network
+// failures with exponential backoff and full jitter, never sooner than Retry-After.
+
+const { getLogger } = require("./log");
+
+/** Retry-After header (seconds or HTTP date) → milliseconds, or null. */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/** Error for a non-OK fetch response, carrying status and Retry-After for the retry policy. */
+async function httpError(message, resp) {
+  const t = await resp.text();
+  const err = new Error(`${message}: ${t}`);
+  err.status = resp.status;
+  err.retryAfterMs = parseRetryAfter(resp.headers?.get?.("retry-after"));
+  return err;
+}
+
+/** Transient failures worth retrying: rate limits, server errors, network errors, and errors marked `retryable`. */
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.retryable === true) return true;
+  if (typeof err.status === "number") return err.status === 429 || err.status >= 500;
+  // fetch() network failures (DNS, reset, timeout) have no status
+  return err.name === "TypeError" || err.name === "AbortError" || Boolean(err.cause?.code);
+}
+
+/** Delay before retry number `attempt` (0-based): full jitter, floored by Retry-After. */
+function backoffDelay(attempt, { baseMs = 500, maxMs = 30000, retryAfterMs = null, random = Math.random } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  const jittered = Math.round(random() * ceiling);
+  return retryAfterMs !== null && retryAfterMs !== undefined ? Math.max(retryAfterMs, jittered) : jittered;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Run fn, retrying transient failures up to `attempts` times in total. */
+async function withRetry(fn, { attempts = 3, baseMs = 500, maxMs = 8000, label = "request" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt + 1 >= attempts || !isRetryable(err)) throw err;
+      const delay = backoffDelay(attempt, { baseMs, maxMs, retryAfterMs: err.retryAfterMs });
+      getLogger().warn("request.retry", { label, attempt: attempt + 1, delayMs: delay, error: err });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { parseRetryAfter, httpError, isRetryable, backoffDelay, withRetry };
@@ -0,0 +1,279 @@
+// lib/store.js
+// Small async key-value store with TTLs, shared by the replay window, the suppression
+// list and draft dedup. setIfAbsent is the atomic claim (SET NX in KV); getMany reads a
+// batch of keys in one go (MGET in KV); incrementFields adds to numeric fields of a hash
+// without reading it first (HINCRBYFLOAT in KV), for totals several runs update at once;
+// addToIndex/getIndex keep a capped, ordered list of IDs (a sorted set in KV). Drivers:
+//   memory — per function instance (tests, local runs)
+//   file   — JSON file, survives restarts on one machine (STORE_FILE)
+//   kv     — Vercel KV / Upstash Redis REST API (KV_REST_API_URL + KV_REST_API_TOKEN)
+// STORE_DRIVER picks one; default is kv when KV_REST_API_URL is set, else file. On Vercel
+// (VERCEL set) every function instance has its own memory and /tmp, so memory and file are
+// refused there unless KV is configured: production needs KV.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { httpError, withRetry } = require("./retry");
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function toEntry(value, ttlSeconds) {
+  return { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+}
+
+/** Index (member → score) with a member added, trimmed to the `limit` highest scores. */
+function indexWith(index = {}, member, score, limit) {
+  const entries = Object.entries({ ...index, [member]: score }).sort((a, b) => a[1] - b[1]);
+  return Object.fromEntries(limit ? entries.slice(-limit) : entries);
+}
+
+/** Index members, lowest score first. */
+function indexMembers(index) {
+  return Object.entries(index || {})
+    .sort((a, b) => a[1] - b[1])
+    .map(([member]) => member);
+}
+
+function createMemoryStore() {
+  const data = new Map();
+  return {
+    async get(key) {
+      const entry = data.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        data.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async getMany(keys) {
+      return Promise.all(keys.map((key) => this.get(key)));
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      data.set(key, toEntry(value, ttlSeconds));
+    },
+    // No await between the check and the write, so it is atomic
+    async setIfAbsent(key, value, { ttlSeconds } = {}) {
+      const entry = data.get(key);
+      if (entry && !isExpired(entry)) return false;
+      data.set(key, toEntry(value, ttlSeconds));
+      return true;
+    },
+    async incrementFields(key, increments, { ttlSeconds } = {}) {
+      const entry = data.get(key);
+      const fields = entry && !isExpired(entry) ? entry.value : {};
+      for (const [field, by] of Object.entries(increments)) fields[field] = (fields[field] || 0) + by;
+      data.set(key, toEntry(fields, ttlSeconds));
+    },
+    async getFields(key) {
+      return this.get(key);
+    },
+    async addToIndex(key, member, { score = Date.now(), limit } = {}) {
+      const entry = data.get(key);
+      data.set(key, toEntry(indexWith(entry && !isExpired(entry) ? entry.value : {}, member, score, limit)));
+    },
+    async getIndex(key) {
+      return indexMembers(await this.get(key));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+  };
+}
+
+function createFileStore(file = process.env.STORE_FILE || path.join(os.tmpdir(), "tab-missive-store.json")) {
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      return {};
+    }
+  };
+  const write = (data) => {
+    const now = Date.now();
+    for (const [k, entry] of Object.entries(data)) if (isExpired(entry, now)) delete data[k];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  };
+  return {
+    async get(key) {
+      const entry = read()[key];
+      return entry && !isExpired(entry) ? entry.value : null;
+    },
+    async getMany(keys) {
+      const data = read();
+      return keys.map((key) => (data[key] && !isExpired(data[key]) ? data[key].value : null));
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      const data = read();
+      data[key] = toEntry(value, ttlSeconds);
+      write(data);
+    },
+    // Atomic within one process (reads and writes are synchronous), which is all a file allows
+    async setIfAbsent(key, value, { ttlSeconds } = {}) {
+      const data = read();
+      if (data[key] && !isExpired(data[key])) return false;
+      data[key] = toEntry(value, ttlSeconds);
+      write(data);
+      return true;
+    },
+    async incrementFields(key, increments, { ttlSeconds } = {}) {
+      const data = read();
+      const fields = data[key] && !isExpired(data[key]) ? data[key].value : {};
+      for (const [field, by] of Object.entries(increments)) fields[field] = (fields[field] || 0) + by;
+      data[key] = toEntry(fields, ttlSeconds);
+      write(data);
+    },
+    async getFields(key) {
+      return this.get(key);
+    },
+    async addToIndex(key, member, { score = Date.now(), limit } = {}) {
+      const data = read();
+      data[key] = toEntry(indexWith(data[key] && !isExpired(data[key]) ? data[key].value : {}, member, score, limit));
+      write(data);
+    },
+    async getIndex(key) {
+      return indexMembers(await this.get(key));
+    },
+    async delete(key) {
+      const data = read();
+      delete data[key];
+      write(data);
+    },
+  };
+}
+
+/**
+ * Upstash/Vercel KV REST command runner: command(["SET", key, value]) → result, and
+ * command.transaction([[...], [...]]) → results, run as one MULTI/EXEC.
+ */
+function createKvCommand({
+  url = process.env.KV_REST_API_URL,
+  token = process.env.KV_REST_API_TOKEN,
+} = {}) {
+  if (!url || !token) throw new Error("KV store needs KV_REST_API_URL and KV_REST_API_TOKEN");
+  const send = async (body, { path = "", label }) => {
+    const resp = await fetch(`${url.replace(/\/+$/, "")}${path}`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) throw await httpError(`${label} failed`, resp);
+    return resp.json();
+  };
+  const command = (args) =>
+    withRetry(async () => (await send(args, { label: `KV ${args[0]}` })).result, { label: `KV ${args[0]}` });
+  command.transaction = (commands) =>
+    withRetry(
+      async () => {
+        const replies = await send(commands, { path: "/multi-exec", label: "KV MULTI" });
+        const failed = replies.find((r) => r.error);
+        if (failed) throw new Error(`KV MULTI failed: ${failed.error}`);
+        return replies.map((r) => r.result);
+      },
+      { label: "KV MULTI" }
+    );
+  return command;
+}
+
+const MGET_BATCH = 100;
+
+function createKvStore(options) {
+  const command = createKvCommand(options);
+  const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+  return {
+    async get(key) {
+      return parse(await command(["GET", key]));
+    },
+    // One MGET per MGET_BATCH keys, sent one after another
+    async getMany(keys) {
+      const values = [];
+      for (let i = 0; i < keys.length; i += MGET_BATCH) {
+        const batch = keys.slice(i, i + MGET_BATCH);
+        values.push(...(await command(["MGET", ...batch])).map(parse));
+      }
+      return values;
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      const args = ["SET", key, JSON.stringify(value)];
+      if (ttlSeconds) args.push("EX", String(Math.ceil(ttlSeconds)));
+      await command(args);
+    },
+    async setIfAbsent(key, value, { ttlSeconds } = {}) {
+      const args = ["SET", key, JSON.stringify(value), "NX"];
+      if (ttlSeconds) args.push("EX", String(Math.ceil(ttlSeconds)));
+      return (await command(args)) === "OK";
+    },
+    async incrementFields(key, increments, { ttlSeconds } = {}) {
+      const commands = Object.entries(increments).map(([field, by]) => ["HINCRBYFLOAT", key, field, String(by)]);
+      if (ttlSeconds) commands.push(["EXPIRE", key, String(Math.ceil(ttlSeconds))]);
+      await command.transaction(commands);
+    },
+    async getFields(key) {
+      const flat = (await command(["HGETALL", key])) || [];
+      if (!flat.length) return null;
+      const fields = {};
+      for (let i = 0; i < flat.length; i += 2) fields[flat[i]] = Number(flat[i + 1]);
+      return fields;
+    },
+    async addToIndex(key, member, { score = Date.now(), limit } = {}) {
+      const commands = [["ZADD", key, String(score), member]];
+      if (limit) commands.push(["ZREMRANGEBYRANK", key, "0", String(-(limit + 1))]);
+      await command.transaction(commands);
+    },
+    async getIndex(key) {
+      return (await command(["ZRANGE", key, "0", "-1"])) || [];
+    },
+    async delete(key) {
+      await command(["DEL", key]);
+    },
+  };
+}
+
+const DRIVERS = { memory: createMemoryStore, file: createFileStore, kv: createKvStore };
+
+/**
+ * Throw when `driver` (of the store or queue) would silently lose data: memory and file on
+ * Vercel without KV, where the webhook and the worker run in separate instances.
+ */
+function assertSharedDriver(name, driver) {
+  if (process.env.VERCEL && !process.env.KV_REST_API_URL && (driver === "memory" || driver === "file")) {
+    throw new Error(
+      `${name}=${driver} is not shared between Vercel function instances; set KV_REST_API_URL and KV_REST_API_TOKEN (KV is required in production)`
+    );
+  }
+}
+
+function createStore(driver = process.env.STORE_DRIVER || (process.env.KV_REST_API_URL ? "kv" : "file")) {
+  const factory = DRIVERS[driver];
+  if (!factory) throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+  assertSharedDriver("STORE_DRIVER", driver);
+  return factory();
+}
+
+let defaultStore;
+
+/** Process-wide store, created on first use. */
+function getStore() {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+}
+
+/** Swap the process-wide store (tests and local tooling). */
+function setStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  createKvCommand,
+  assertSharedDriver,
+  createStore,
+  getStore,
+  setStore,
+};
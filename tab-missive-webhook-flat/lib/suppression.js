@@ -0,0 +1,25 @@
+// lib/suppression.js
+// Addresses that asked to be removed, kept in the shared store (see lib/store.js).
+
+const { getStore } = require("./store");
+
+function suppressionKey(addr = "") {
+  const a = String(addr).toLowerCase().trim();
+  return a ? `suppressed:${a}` : null;
+}
+
+/** True if this address has unsubscribed. */
+async function isSuppressed(addr) {
+  const key = suppressionKey(addr);
+  return Boolean(key && (await getStore().get(key)));
+}
+
+/** Add an address to the suppression list (no-op for empty addresses). */
+async function suppress(addr, meta = {}) {
+  const key = suppressionKey(addr);
+  if (!key) return false;
+  await getStore().set(key, { ...meta, suppressed_at: new Date().toISOString() });
+  return true;
+}
+
+module.exports = { isSuppressed, suppress };
@@ -0,0 +1,133 @@
+// lib/webhook-auth.js
+// Verifies Missive webhook deliveries: HMAC-SHA256 signature over the raw body
+// (X-Hook-Signature: sha256=<hex>), a timestamp tolerance that refuses stale deliveries, and
+// an ID-based replay window so the same delivery is only processed once. A payload without
+// event timestamps can't be checked for age, so the replay key alone stops its replays.
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+
+const SIGNATURE_HEADER = "x-hook-signature";
+const DEFAULT_TOLERANCE_SECONDS = 60 * 60; // Missive retries well within an hour
+const REPLAY_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+/** Error carrying the HTTP status the webhook should answer with. */
+class WebhookAuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "WebhookAuthError";
+    this.status = status;
+  }
+}
+
+/** Read the untouched request body (signatures are computed over the exact bytes Missive sent). */
+async function readRawBody(req) {
+  if (typeof req.rawBody === "string" || Buffer.isBuffer(req.rawBody)) {
+    return Buffer.from(req.rawBody);
+  }
+  // Stream already consumed by a body parser — best effort; the signature check will catch mismatches.
+  if (req.readableEnded || typeof req.on !== "function") {
+    if (req.body === undefined || req.body === null) return Buffer.alloc(0);
+    return Buffer.from(typeof req.body === "string" ? req.body : JSON.stringify(req.body));
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/** Compute the header value Missive would send for this body. */
+function signPayload(rawBody, secret) {
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/** Constant-time comparison of the received signature against our own. */
+function verifySignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = Buffer.from(signPayload(rawBody, secret));
+  const received = Buffer.from(String(signature).trim());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/** Event times (unix seconds) the payload carries, newest activity first. */
+function eventTimestamps(payload = {}) {
+  return [
+    payload?.comment?.created_at,
+    payload?.latest_message?.delivered_at,
+    payload?.message?.delivered_at,
+    payload?.conversation?.last_activity_at,
+  ]
+    .map(Number)
+    .filter((v) => Number.isFinite(v) && v > 0)
+    .sort((a, b) => b - a);
+}
+
+/** Stable ID for a delivery: identical bodies (i.e. replays) share the same signature. */
+function deliveryId(signature) {
+  return crypto.createHash("sha256").update(String(signature)).digest("hex").slice(0, 32);
+}
+
+function replayKey(id) {
+  return `delivery:${id}`;
+}
+
+/** Forget a delivery so Missive's retry is accepted (used when processing fails). */
+async function releaseDelivery(id) {
+  await getStore().delete(replayKey(id));
+}
+
+/**
+ * Authenticate a webhook delivery. Returns { payload, deliveryId, dated } or throws
+ * WebhookAuthError (401 bad/missing signature or stale, 409 replay). A payload with event
+ * timestamps is stale when none is within the tolerance; `dated` is false when it has none,
+ * and only the replay key stands between it and a replay.
+ */
+async function authenticateDelivery(
+  rawBody,
+  headers = {},
+  {
+    secret = process.env.MISSIVE_WEBHOOK_SECRET,
+    toleranceSeconds = Number(process.env.MISSIVE_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+    now = Date.now(),
+  } = {}
+) {
+  if (!secret) throw new Error("MISSIVE_WEBHOOK_SECRET is not configured");
+
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature) throw new WebhookAuthError(401, "Missing webhook signature");
+  if (!verifySignature(rawBody, signature, secret)) {
+    throw new WebhookAuthError(401, "Invalid webhook signature");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8") || "{}");
+  } catch {
+    throw new WebhookAuthError(401, "Webhook body is not valid JSON");
+  }
+
+  const timestamps = eventTimestamps(payload);
+  const dated = timestamps.length > 0;
+  if (dated && !timestamps.some((ts) => Math.abs(now / 1000 - ts) <= toleranceSeconds)) {
+    throw new WebhookAuthError(401, "Stale webhook delivery");
+  }
+
+  const id = deliveryId(signature);
+  // Kept well past Missive's retries, since undated deliveries aren't refused by age
+  const accepted = await getStore().setIfAbsent(replayKey(id), { accepted_at: now, dated }, {
+    ttlSeconds: Math.max(REPLAY_WINDOW_SECONDS, toleranceSeconds * 2),
+  });
+  if (!accepted) throw new WebhookAuthError(409, "Duplicate webhook delivery");
+
+  return { payload, deliveryId: id, dated };
+}
+
+module.exports = {
+  WebhookAuthError,
+  readRawBody,
+  signPayload,
+  verifySignature,
+  eventTimestamps,
+  authenticateDelivery,
+  releaseDelivery,
+};
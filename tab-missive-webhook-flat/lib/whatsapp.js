@@ -0,0 +1,73 @@
+// lib/whatsapp.js
+// WhatsApp handoffs: when the model classifies a conversation as "whatsapp", the customer's
+// number is read from their latest message (never from model output — phone numbers are
+// redacted before the LLM), normalised to E.164 (lib/phone.js), and the WhatsApp team gets
+// an internal post with the number and a short summary (CLASSIFICATION_ACTIONS.whatsapp
+// assigns it). The customer gets a localised acknowledgement draft, or a request for their
+// number when none was found or it's unclear which of several numbers is theirs.
+
+const { htmlToText, stripQuotedText, normaliseEmailBody } = require("./email-body");
+const { escapeHtml } = require("./html");
+const { countryHints, findPhones, pickPhone } = require("./phone");
+
+const SUMMARY_CHARS = 300;
+
+function clip(text, max = SUMMARY_CHARS) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length <= max ? t : `${t.slice(0, max).trimEnd()}…`;
+}
+
+/** The message text with its signature (quoted history removed), and the signature alone. */
+function messageParts(message = {}) {
+  const body = normaliseEmailBody({ html: message.body, text: message.text });
+  const full = stripQuotedText(message.body ? htmlToText(message.body) : String(message.text || ""));
+  const bodyLines = new Set(body.split("\n").map((l) => l.trim()));
+  const rest = full
+    .split("\n")
+    .filter((l) => l.trim() && !bodyLines.has(l.trim()))
+    .join("\n");
+  // No separate signature found: its last lines are the best guess
+  return { body, signature: rest || body.split("\n").slice(-4).join("\n") };
+}
+
+/**
+ * Everything the handoff needs from the customer's latest message.
+ * Returns { phone: { e164, country, raw, source } | null, candidates, hints, markdown } where
+ * markdown is the internal post for the WhatsApp team. The signature is only read when the
+ * message itself has no number; phone is null when the source has more than one candidate.
+ */
+function whatsappHandoff({ message, subject, language }) {
+  const { body, signature } = messageParts(message);
+  const hints = countryHints({ signature, address: message?.from_field?.address, language });
+  const inBody = findPhones(body, hints);
+  const source = inBody.length ? "message" : "signature";
+  const { phone: picked, candidates } = pickPhone(inBody.length ? inBody : findPhones(signature, hints));
+  const phone = picked ? { ...picked, source } : null;
+
+  const from = message?.from_field || {};
+  let number = "- Number: not found — the draft asks the customer for it";
+  if (phone) {
+    number = `- Number: **${phone.e164}** (${phone.country || "unknown country"}, from the ${phone.source}, written "${phone.raw}")`;
+  } else if (candidates.length) {
+    const written = candidates.map((c) => `${c.e164} ("${c.raw}")`).join(", ");
+    number = `- Number: unclear — the ${source} has ${candidates.length} numbers (${written}); the draft asks the customer for theirs`;
+  }
+  const lines = [
+    "**WhatsApp handoff** — the customer asked to continue on WhatsApp.",
+    "",
+    number,
+    `- Customer: ${[from.name, from.address && `<${from.address}>`].filter(Boolean).join(" ") || "unknown"}`,
+    `- Language: ${language || "n/a"}`,
+    `- Subject: ${clip(subject, 120) || "(none)"}`,
+    `- Latest message: ${clip(body) || "(empty)"}`,
+  ];
+  return { phone, candidates, hints, markdown: lines.join("\n") };
+}
+
+/** Acknowledgement paragraph in the reply language (greeting and signature are added later). */
+function acknowledgementHtml(locale, phone) {
+  const text = phone ? locale.whatsappAck.replace("{phone}", phone.e164) : locale.whatsappAskNumber;
+  return `<p>${escapeHtml(text)}</p>`;
+}
+
+module.exports = { whatsappHandoff, acknowledgementHtml };
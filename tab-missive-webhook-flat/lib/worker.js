@@ -0,0 +1,121 @@
+// lib/worker.js
+// Runs queued jobs (lib/queue.js). A job that throws a transient error (429, 5xx, network)
+// is rescheduled with exponential backoff and jitter, never sooner than Retry-After; any
+// other error, or running out of attempts, moves it to the dead-letter list. A draft job
+// waiting for another run's conversation lock is rescheduled for when the lock expires,
+// and the wait doesn't count as an attempt.
+
+const { getQueue } = require("./queue");
+const { backoffDelay, isRetryable } = require("./retry");
+const { getProfile } = require("./inbox-config");
+const { getMissiveClient } = require("./missive");
+const { getProvider } = require("./llm");
+const { processConversation } = require("./pipeline");
+const { DraftInProgressError, getDraftRecord } = require("./dedup");
+const { findDraftFor, recordSent } = require("./feedback");
+const { budgetSettings } = require("./costs");
+const { createLogger, runWithLogger, startTimer } = require("./log");
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+/** Handlers by job type. Each gets the job payload and the job, and returns a JSON-able outcome. */
+const HANDLERS = {
+  async draft({ conversationId, profileId }, job) {
+    return processConversation({
+      client: getMissiveClient(),
+      provider: getProvider(),
+      conversationId,
+      profile: getProfile(profileId),
+      attempt: job?.attempts || 1,
+    });
+  },
+
+  /** Match an outgoing message to our draft and store how much the agent changed it. */
+  async feedback({ conversationId, messageId }) {
+    const client = getMissiveClient();
+    const message = await client.getMessage(messageId);
+    const snapshot = await findDraftFor(message, conversationId, await getDraftRecord(conversationId));
+    if (!snapshot) return { ok: true, matched: false };
+    const updated = await recordSent(snapshot, message);
+    return { ok: true, matched: true, draftId: updated.draftId, outcome: updated.outcome, editRatio: updated.editRatio };
+  },
+};
+
+/** Queue a draft job for a verified delivery. */
+function enqueueDraft({ conversationId, profileId, deliveryId, requestId }, queue = getQueue()) {
+  return queue.enqueue("draft", { conversationId, profileId, deliveryId, requestId });
+}
+
+/** Queue a feedback job for a verified outgoing-message delivery. */
+function enqueueFeedback({ conversationId, messageId, deliveryId, requestId }, queue = getQueue()) {
+  return queue.enqueue("feedback", { conversationId, messageId, deliveryId, requestId });
+}
+
+/**
+ * Run one claimed job and record the result on the queue. Each attempt is one run in the
+ * logs, with run ID "<job id>.<attempt>".
+ */
+function runJob(job, options = {}) {
+  const log = createLogger({ runId: `${job.id}.${job.attempts}`, jobId: job.id, jobType: job.type });
+  return runWithLogger(log, () => attemptJob(job, log, options));
+}
+
+async function attemptJob(job, log, { queue = getQueue(), handlers = HANDLERS, maxAttempts = MAX_ATTEMPTS }) {
+  const handler = handlers[job.type];
+  const elapsed = startTimer();
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    log.info("job.start", {
+      attempt: job.attempts,
+      queuedMs: Date.now() - job.createdAt,
+      requestId: job.payload?.requestId || null,
+    });
+    const outcome = await handler(job.payload, job);
+    await queue.complete(job);
+    log.info("job.done", { outcome, durationMs: elapsed() });
+    return { id: job.id, status: "done", outcome };
+  } catch (err) {
+    const error = { message: String(err?.message || err), status: err?.status || null, at: Date.now() };
+    if (err instanceof DraftInProgressError) {
+      const delay = err.retryAfterMs;
+      await queue.reschedule({ ...job, attempts: job.attempts - 1 }, { runAt: Date.now() + delay, error });
+      log.info("job.waiting", { attempt: job.attempts, delayMs: delay, heldBy: err.claim.runId, durationMs: elapsed() });
+      return { id: job.id, status: "waiting", error: error.message, delayMs: delay };
+    }
+    if (isRetryable(err) && job.attempts < maxAttempts) {
+      const delay = backoffDelay(job.attempts - 1, {
+        baseMs: RETRY_BASE_MS,
+        maxMs: RETRY_MAX_MS,
+        retryAfterMs: err.retryAfterMs,
+      });
+      await queue.reschedule(job, { runAt: Date.now() + delay, error });
+      log.warn("job.retry", { attempt: job.attempts, delayMs: delay, durationMs: elapsed(), error: err });
+      return { id: job.id, status: "retrying", error: error.message, delayMs: delay };
+    }
+    await queue.deadLetter(job, error);
+    log.error("job.dead", { attempts: job.attempts, durationMs: elapsed(), error: err });
+    return { id: job.id, status: "dead", error: error.message };
+  }
+}
+
+/**
+ * Claim and run due jobs until the queue is empty, maxJobs ran, or the time budget is spent.
+ * Throws before claiming anything when the budget settings or the LLM provider's settings
+ * are invalid, so a typo in them leaves the jobs queued instead of dead-lettering every one.
+ */
+async function drainQueue({ queue = getQueue(), maxJobs = Infinity, budgetMs = Infinity, ...options } = {}) {
+  budgetSettings();
+  getProvider();
+  const started = Date.now();
+  const results = [];
+  while (results.length < maxJobs && Date.now() - started < budgetMs) {
+    const job = await queue.claim();
+    if (!job) break;
+    results.push(await runJob(job, { queue, ...options }));
+  }
+  return results;
+}
+
+module.exports = { HANDLERS, enqueueDraft, enqueueFeedback, runJob, drainQueue };
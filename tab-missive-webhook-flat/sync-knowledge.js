@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Sync the knowledge/ directory into the OpenAI vector store used by file search.
+ *
+ * Compares content hashes against knowledge/.manifest.json and only uploads new or
+ * changed files; files that were deleted or replaced are removed from the store.
+ * Waits for indexing to finish, then prints the readiness report.
+ *
+ * Usage:
+ *   node sync-knowledge.js            # sync
+ *   node sync-knowledge.js --dry-run  # show what would change
+ *   node sync-knowledge.js --check    # readiness report only
+ *
+ * The store is VECTOR_STORE_ID if set, else the one recorded in the manifest;
+ * a new store is only created when neither exists. Untracked store files with the
+ * same name as a knowledge file (uploads from before the manifest) are replaced.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { OpenAI } = require('openai');
+
+const KNOWLEDGE_DIR = path.join(__dirname, 'knowledge');
+const MANIFEST_FILE = path.join(KNOWLEDGE_DIR, '.manifest.json');
+const INDEX_TIMEOUT_MS = 10 * 60 * 1000;
+const POLL_MS = 3000;
+
+const args = new Set(process.argv.slice(2));
+const dryRun = args.has('--dry-run');
+const checkOnly = args.has('--check');
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  } catch {
+    return { vectorStoreId: null, files: {} };
+  }
+}
+
+function writeManifest(manifest) {
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/** All knowledge files (relative paths), skipping dotfiles like .DS_Store and the manifest. */
+function scanKnowledge(dir = KNOWLEDGE_DIR, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith('.')) return [];
+    const rel = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) return scanKnowledge(path.join(dir, entry.name), rel);
+    return entry.isFile() ? [rel] : [];
+  });
+}
+
+function hashFile(rel) {
+  return crypto.createHash('sha256').update(fs.readFileSync(path.join(KNOWLEDGE_DIR, rel))).digest('hex');
+}
+
+/**
+ * Store files the manifest doesn't know about but whose filename matches a knowledge
+ * file — i.e. copies uploaded before the manifest existed. They are replaced on sync.
+ */
+async function findStaleCopies(vectorStoreId, manifest) {
+  if (!vectorStoreId) return [];
+  const tracked = new Set(Object.values(manifest.files).map((f) => f.fileId));
+  const localNames = new Set(scanKnowledge().map((rel) => path.posix.basename(rel)));
+  const stale = [];
+  for (const file of await listStoreFiles(vectorStoreId)) {
+    if (tracked.has(file.id)) continue;
+    const meta = await openai.files.retrieve(file.id).catch(() => null);
+    if (meta && localNames.has(meta.filename)) stale.push({ rel: meta.filename, fileId: file.id });
+  }
+  return stale;
+}
+
+/** Work out what needs uploading and removing. */
+function planSync(manifest) {
+  const onDisk = scanKnowledge().map((rel) => ({ rel, sha256: hashFile(rel) }));
+  const plan = { added: [], changed: [], unchanged: [], removed: [] };
+
+  for (const file of onDisk) {
+    const known = manifest.files[file.rel];
+    if (!known) plan.added.push(file);
+    else if (known.sha256 !== file.sha256) plan.changed.push({ ...file, previous: known });
+    else plan.unchanged.push(file);
+  }
+  const present = new Set(onDisk.map((f) => f.rel));
+  for (const [rel, known] of Object.entries(manifest.files)) {
+    if (!present.has(rel)) plan.removed.push({ rel, previous: known });
+  }
+  return plan;
+}
+
+function printPlan(plan) {
+  console.log('📋 Sync plan:');
+  for (const f of plan.added) console.log(`  + ${f.rel}`);
+  for (const f of plan.changed) console.log(`  ~ ${f.rel}`);
+  for (const f of plan.removed) console.log(`  - ${f.rel}`);
+  for (const f of plan.stale) console.log(`  - ${f.rel} (untracked copy ${f.fileId})`);
+  console.log(`  = ${plan.unchanged.length} unchanged`);
+  console.log('');
+}
+
+async function resolveVectorStore(manifest) {
+  const id = process.env.VECTOR_STORE_ID || manifest.vectorStoreId;
+  if (id) return String(id);
+  if (dryRun) return null;
+
+  console.log('🚀 Creating vector store...');
+  const vectorStore = await openai.vectorStores.create({ name: 'tab_knowledge_base' });
+  console.log('✅ Vector store created!');
+  console.log('📋 VECTOR_STORE_ID:', vectorStore.id);
+  console.log('');
+  return vectorStore.id;
+}
+
+async function uploadFile(vectorStoreId, rel) {
+  console.log(`📁 Uploading file: ${rel}`);
+  const file = await openai.files.create({
+    file: fs.createReadStream(path.join(KNOWLEDGE_DIR, rel)),
+    purpose: 'assistants'
+  });
+  await openai.vectorStores.files.create(vectorStoreId, { file_id: file.id });
+  console.log(`✅ Added ${rel} as ${file.id}`);
+  return file.id;
+}
+
+async function removeFile(vectorStoreId, rel, fileId) {
+  console.log(`🗑️  Removing ${rel} (${fileId})`);
+  try {
+    await openai.vectorStores.files.del(vectorStoreId, fileId);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  try {
+    await openai.files.del(fileId);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+}
+
+async function listStoreFiles(vectorStoreId) {
+  const files = [];
+  for await (const file of openai.vectorStores.files.list(vectorStoreId)) files.push(file);
+  return files;
+}
+
+async function waitForIndexing(vectorStoreId) {
+  const started = Date.now();
+  while (Date.now() - started < INDEX_TIMEOUT_MS) {
+    const files = await listStoreFiles(vectorStoreId);
+    const processing = files.filter((f) => f.status === 'in_progress');
+    if (processing.length === 0) return;
+    console.log(`⏳ Waiting for ${processing.length} file(s) to finish indexing...`);
+    await sleep(POLL_MS);
+  }
+  console.log('⚠️  Timed out waiting for indexing; run with --check later.');
+}
+
+/** Readiness report (formerly check-vector-store.js). Returns true when every file is searchable. */
+async function reportReadiness(vectorStoreId, manifest) {
+  console.log('🔍 Checking Vector Store...');
+  console.log('Vector Store ID:', vectorStoreId);
+  console.log('');
+
+  const files = await listStoreFiles(vectorStoreId);
+  const names = Object.fromEntries(Object.entries(manifest.files).map(([rel, f]) => [f.fileId, rel]));
+
+  console.log(`📁 Vector store has ${files.length} files:`);
+  files.forEach((file, index) => {
+    console.log(`  ${index + 1}. ${names[file.id] || file.id} (status: ${file.status})`);
+  });
+
+  if (files.length === 0) {
+    console.log('❌ No files found in vector store!');
+    return false;
+  }
+
+  const readyFiles = files.filter((f) => f.status === 'completed');
+  const processingFiles = files.filter((f) => f.status === 'in_progress');
+  const failedFiles = files.filter((f) => f.status === 'failed' || f.status === 'cancelled');
+  const untracked = files.filter((f) => !names[f.id]);
+
+  console.log('');
+  console.log(`✅ Ready files: ${readyFiles.length}`);
+  console.log(`⏳ Processing files: ${processingFiles.length}`);
+  if (failedFiles.length > 0) {
+    console.log(`❌ Failed files: ${failedFiles.length}`);
+    failedFiles.forEach((f) => console.log(`   - ${names[f.id] || f.id}: ${f.last_error?.message || f.status}`));
+  }
+  if (untracked.length > 0) {
+    console.log(`⚠️  ${untracked.length} file(s) in the store are not in the manifest (added outside this script?)`);
+  }
+
+  if (processingFiles.length > 0) {
+    console.log('⚠️  Some files are still processing. File search may not work until they are completed.');
+  }
+
+  if (readyFiles.length === 0) {
+    console.log('❌ No files are ready for search!');
+  } else {
+    console.log('✅ Files are ready for search!');
+  }
+  return readyFiles.length === files.length;
+}
+
+async function main() {
+  console.log('🎯 Tab Knowledge Sync');
+  console.log('====================');
+  console.log('');
+
+  let manifest = readManifest();
+  const vectorStoreId = await resolveVectorStore(manifest);
+  if (vectorStoreId && manifest.vectorStoreId && manifest.vectorStoreId !== vectorStoreId) {
+    // The manifest's file IDs belong to another store, so every file counts as new
+    console.log('⚠️  VECTOR_STORE_ID differs from the manifest; treating every file as new.');
+    console.log('');
+    manifest = { vectorStoreId, files: {} };
+  }
+
+  if (checkOnly) {
+    if (!vectorStoreId) {
+      console.error('❌ No VECTOR_STORE_ID set and none recorded in the manifest');
+      process.exit(1);
+    }
+    const ready = await reportReadiness(vectorStoreId, manifest);
+    process.exit(ready ? 0 : 1);
+  }
+
+  const plan = planSync(manifest);
+  plan.stale = await findStaleCopies(vectorStoreId, manifest);
+  printPlan(plan);
+
+  if (dryRun) {
+    console.log(`ℹ️  Dry run: nothing uploaded or removed (store: ${vectorStoreId || 'would be created'}).`);
+    return;
+  }
+
+  manifest.vectorStoreId = vectorStoreId;
+  writeManifest(manifest);
+
+  for (const file of [...plan.added, ...plan.changed]) {
+    const fileId = await uploadFile(vectorStoreId, file.rel);
+    manifest.files[file.rel] = { sha256: file.sha256, fileId, syncedAt: new Date().toISOString() };
+    writeManifest(manifest);
+    if (file.previous) await removeFile(vectorStoreId, file.rel, file.previous.fileId);
+  }
+  for (const file of plan.removed) {
+    await removeFile(vectorStoreId, file.rel, file.previous.fileId);
+    delete manifest.files[file.rel];
+    writeManifest(manifest);
+  }
+  for (const file of plan.stale) {
+    await removeFile(vectorStoreId, file.rel, file.fileId);
+  }
+
+  if (plan.added.length || plan.changed.length) await waitForIndexing(vectorStoreId);
+
+  console.log('');
+  const ready = await reportReadiness(vectorStoreId, manifest);
+
+  console.log('');
+  console.log('🎉 Sync complete!');
+  if (!process.env.VECTOR_STORE_ID) {
+    console.log('');
+    console.log('📋 Add this to your Vercel environment variables (once):');
+    console.log(`   VECTOR_STORE_ID=${vectorStoreId}`);
+  }
+  if (!ready) process.exit(1);
+}
+
+// Check environment variables
+if (!process.env.OPENAI_API_KEY) {
+  console.error('❌ OPENAI_API_KEY not set');
+  console.log('Please set it with: export OPENAI_API_KEY=your_api_key');
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('💥 Sync failed:', error.message);
+  process.exit(1);
+});
@@ -2,13 +2,10 @@
 
 /**
  * Test script to verify file search is working with your vector store
+ * Uses the same LLM provider as the webhook (LLM_PROVIDER=mock runs offline)
  */
 
-const { OpenAI } = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { getProvider, knowledgeRetrieval } = require('./lib/llm');
 
 async function testFileSearch() {
   try {
@@ -21,50 +18,47 @@ async function testFileSearch() {
     console.log('Test Query:', testQuery);
     console.log('');
     
-    const response = await openai.responses.create({
-      model: "gpt-5",
-      input: testQuery,
-      tools: [{
-        type: "file_search",
-        vector_store_ids: [String(process.env.VECTOR_STORE_ID)]
-      }],
-      // Note: temperature not supported with GPT-5 in Responses API
+    const provider = getProvider();
+    console.log('Provider:', provider.name);
+    const result = await provider.generate({
+      prompt: testQuery,
+      retrieval: knowledgeRetrieval()
     });
     
     console.log('📊 Response Output:');
-    console.log(JSON.stringify(response, null, 2));
+    console.log(JSON.stringify(result.raw, null, 2));
     
     // Check if file search was used
-    const fileSearchOutput = response.output?.find(item => item.type === "file_search_call");
-    if (fileSearchOutput) {
+    if (result.fileSearchUsed) {
       console.log('');
       console.log('✅ File search was used!');
-      console.log('File search details:', fileSearchOutput);
+      result.sources.forEach((source, index) => {
+        console.log(`  ${index + 1}. ${source.filename || source.fileId} (score: ${source.score})`);
+      });
     } else {
       console.log('');
       console.log('❌ No file search was used');
     }
     
     // Get the message content
-    const messageOutput = response.output?.find(item => item.type === "message");
-    if (messageOutput) {
-      console.log('');
-      console.log('📝 AI Response:');
-      console.log(messageOutput.content?.[0]?.text || 'No text content');
-    }
+    console.log('');
+    console.log('📝 AI Response:');
+    console.log(result.text || 'No text content');
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
 }
 
-// Check environment variables
-if (!process.env.OPENAI_API_KEY) {
+// Check environment variables (the mock provider needs neither)
+const offline = process.env.LLM_PROVIDER === 'mock';
+
+if (!offline && !process.env.OPENAI_API_KEY) {
   console.error('❌ OPENAI_API_KEY not set');
   process.exit(1);
 }
 
-if (!process.env.VECTOR_STORE_ID) {
+if (!offline && !process.env.VECTOR_STORE_ID) {
   console.error('❌ VECTOR_STORE_ID not set');
   process.exit(1);
 }
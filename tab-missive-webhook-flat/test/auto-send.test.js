@@ -0,0 +1,124 @@
+// test/auto-send.test.js
+// The auto-send guardrails (lib/auto-send.js), alone and on replies drafted by draftReply with
+// the mock provider: only a canned response we matched ourselves may go out unreviewed.
+
+process.env.LOG_LEVEL = "error";
+delete process.env.VECTOR_STORE_ID;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateAutoSend } = require("../lib/auto-send");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createMockProvider } = require("../lib/llm/mock");
+const { getProfile } = require("../lib/inbox-config");
+const { draftReply } = require("../lib/pipeline");
+
+const profile = { ...getProfile(), autoSend: { enabled: true, label: "label-auto", minConfidence: 0.9 } };
+const recipients = { to: [{ address: "marco@rossi-travel.example" }], cc: [] };
+const replyTarget = { id: "m1", attachments: [] };
+
+/** A reply the model drafted, claiming (or not) a canned response. */
+const result = (overrides = {}) => ({
+  classification: "reply",
+  confidence: 0.95,
+  reply_html: "<p>Thanks for your message.</p>",
+  canned_response: { used: true, title: "Fees" },
+  knowledge_snippets: [],
+  unknown_facts: [],
+  ...overrides,
+});
+
+const evaluate = (fields) => evaluateAutoSend({ profile, replyTarget, recipients, result: result(), ...fields });
+
+/** Mock fixture answering with this JSON output. */
+const fixture = (file, output, match) => ({
+  file,
+  match,
+  response: {
+    model: "mock",
+    output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text: JSON.stringify(output) }] }],
+    usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 },
+  },
+});
+
+const message = (text) => ({
+  id: "m1",
+  created_at: 1717408800,
+  from_field: { name: "Marco Rossi", address: "marco@rossi-travel.example" },
+  to_fields: [{ address: "hello@tab.travel" }],
+  body: `<p>${text}</p>`,
+});
+
+/** Draft one customer message with the mock provider and evaluate the result. */
+async function draftAndEvaluate(text, fixtures) {
+  const drafted = await draftReply({
+    subject: "Question",
+    messages: [message(text)],
+    profile,
+    provider: createMockProvider({ fixtures }),
+  });
+  const decision = await evaluateAutoSend({
+    profile,
+    result: drafted.result,
+    canned: drafted.canned,
+    replyTarget: drafted.replyTarget,
+    recipients,
+  });
+  return { drafted, decision };
+}
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("sends a confident reply adapted from a matched canned response", async () => {
+  const decision = await evaluate({ canned: { id: "fees", mode: "adapted", score: 0.85 } });
+  assert.deepEqual(decision.failed, []);
+  assert.equal(decision.send, true);
+});
+
+test("sends a filled canned response", async () => {
+  const decision = await evaluate({ canned: { id: "fees", mode: "filled", score: 1 } });
+  assert.equal(decision.send, true);
+});
+
+test("does not send when the model claims a canned response that none matched", async () => {
+  for (const canned of [null, { id: null, mode: "model", score: null }, { id: "fees", mode: "model", score: null }]) {
+    const decision = await evaluate({ canned });
+    assert.equal(decision.send, false);
+    assert.equal(decision.checks.canned_response, false);
+    // The model's confidence says nothing about a reply it wrote on its own
+    assert.equal(decision.checks.confidence, false);
+  }
+});
+
+test("does not send a matched canned response below the confidence threshold", async () => {
+  const decision = await evaluate({ canned: { id: "fees", mode: "adapted" }, result: result({ confidence: 0.89 }) });
+  assert.deepEqual(decision.failed, ["confidence"]);
+});
+
+test("a drafted reply naming an unknown canned response is left for review", async () => {
+  const { drafted, decision } = await draftAndEvaluate("Could you send me more information about Tab?", [
+    fixture("default.json", result({ confidence: 0.99, canned_response: { used: true, title: "Made-up title" } })),
+  ]);
+  assert.equal(drafted.canned.id, null);
+  assert.equal(decision.send, false);
+  assert.ok(decision.failed.includes("canned_response"));
+});
+
+test("a drafted reply naming a known entry no trigger matched is left for review", async () => {
+  const { drafted, decision } = await draftAndEvaluate("Could you send me more information about Tab?", [
+    fixture("default.json", result({ confidence: 0.99, canned_response: { used: true, title: "Fees" } })),
+  ]);
+  assert.deepEqual(drafted.canned, { id: "fees", mode: "model", score: null });
+  assert.equal(decision.send, false);
+  assert.ok(decision.failed.includes("canned_response"));
+});
+
+test("a canned response filled after the classify-only check can be sent", async () => {
+  const { drafted, decision } = await draftAndEvaluate("Hello, how much does it cost to use Tab?", [
+    fixture("classify.json", { classification: "reply", confidence: 0.95, canned_fits: true }, "You do not write a reply"),
+    fixture("default.json", result()),
+  ]);
+  assert.equal(drafted.canned.mode, "filled");
+  assert.equal(drafted.canned.id, "fees");
+  assert.equal(decision.send, true);
+});
@@ -0,0 +1,97 @@
+// test/canned.test.js
+// Canned response matching (lib/canned.js): trigger scores, and where chooseCanned switches
+// between filling a template, handing it to the model to adapt, and no match at all.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { matchCanned, chooseCanned } = require("../lib/canned");
+
+const entry = (id, triggers) => ({ id, title: id, language: "en", triggers, body: `<p>${id}</p>`, variables: {} });
+const ENTRIES = [
+  entry("fees", ["transaction fees", "your fees"]),
+  entry("refunds", ["refunds"]),
+  // Six content words: five of them score exactly 0.5, four about 0.4
+  entry("virtual-cards", ["charge expedia virtual card booking guest"]),
+];
+
+const choose = (text) => chooseCanned({ text, language: "en", profile: {}, entries: ENTRIES });
+
+/** Run fn with env variables set, restoring them afterwards. */
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+const SCORES = [
+  // [message, entry, trigger, score]
+  ["What are your transaction fees?", "fees", "transaction fees", 1],
+  ["Are the fees per transaction?", "fees", "transaction fees", 0.85],
+  ["What are your fees?", "fees", "your fees", 0.75],
+  ["How do refunds work?", "refunds", "refunds", 0.75],
+  ["Is a refund possible?", "refunds", "refunds", 0.75],
+  ["Can I charge a guest's Expedia virtual card for the booking?", "virtual-cards", null, 0.85],
+  ["Can I charge an Expedia virtual card for a booking?", "virtual-cards", null, 0.5],
+];
+
+for (const [text, id, trigger, score] of SCORES) {
+  test(`"${text}" scores ${score} for ${id}`, () => {
+    const [best] = matchCanned(text, ENTRIES);
+    assert.equal(best.entry.id, id);
+    if (trigger) assert.equal(best.trigger, trigger);
+    assert.equal(best.score, score);
+  });
+}
+
+test("a whole trigger of two content words fills; all its words out of order only adapt", () => {
+  const fill = choose("What are your transaction fees?");
+  assert.equal(fill.mode, "fill");
+  assert.equal(fill.html, "<p>fees</p>");
+  assert.equal(fill.held, undefined);
+
+  const adapt = choose("Are the fees per transaction?");
+  assert.equal(adapt.mode, "adapt");
+  assert.equal(adapt.held, "score");
+});
+
+test("a score exactly at CANNED_FILL_SCORE fills", () => {
+  withEnv({ CANNED_FILL_SCORE: "0.85" }, () => {
+    assert.equal(choose("Are the fees per transaction?").mode, "fill");
+  });
+  withEnv({ CANNED_FILL_SCORE: "0.86" }, () => {
+    assert.equal(choose("Are the fees per transaction?").held, "score");
+  });
+});
+
+test("a score exactly at CANNED_ADAPT_SCORE adapts, below it nothing matches", () => {
+  const atThreshold = choose("Can I charge an Expedia virtual card for a booking?");
+  assert.equal(atThreshold.mode, "adapt");
+  assert.equal(atThreshold.entry.id, "virtual-cards");
+
+  const below = choose("Can I charge an Expedia virtual card?");
+  assert.equal(below.mode, null);
+  assert.ok(below.score > 0.39 && below.score < 0.5);
+  assert.deepEqual(choose("Do you sell gift vouchers?"), { mode: null, score: 0 });
+
+  withEnv({ CANNED_ADAPT_SCORE: "0.51" }, () => {
+    assert.equal(choose("Can I charge an Expedia virtual card for a booking?").mode, null);
+  });
+});
+
+test("a one-word trigger never fills, even when it scores above the fill threshold", () => {
+  for (const text of ["How do refunds work?", "What are your fees?"]) {
+    assert.equal(choose(text).mode, "adapt");
+    withEnv({ CANNED_FILL_SCORE: "0.7" }, () => {
+      const chosen = choose(text);
+      assert.equal(chosen.mode, "adapt");
+      assert.equal(chosen.held, "trigger");
+    });
+  }
+});
@@ -0,0 +1,207 @@
+// test/costs.test.js
+// Pricing, spend totals and budget decisions (lib/costs.js), the store's atomic field
+// increments, and the spend of model calls whose output never validated.
+
+process.env.LOG_LEVEL = "error";
+process.env.BUDGET_DAILY = "1";
+process.env.BUDGET_MONTHLY = "10";
+process.env.BUDGET_NEAR = "0.8";
+process.env.BUDGET_ACTION = "fallback";
+process.env.BUDGET_FALLBACK_MODEL = "gpt-5-mini";
+delete process.env.VECTOR_STORE_ID;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  ratesFor,
+  usageOf,
+  combineUsage,
+  costOf,
+  recordSpend,
+  budgetStatus,
+  budgetDecision,
+  listSpend,
+  dailySpend,
+} = require("../lib/costs");
+const { createMemoryStore, createFileStore, setStore } = require("../lib/store");
+const { createMockProvider } = require("../lib/llm/mock");
+const { createStubMissiveClient } = require("../lib/missive-stub");
+const { getProfile } = require("../lib/inbox-config");
+const { draftReply, processConversation } = require("../lib/pipeline");
+
+const NOW = Date.parse("2026-03-15T12:00:00Z");
+
+/** Usage of one call, as usageOf returns it. */
+const usage = (fields = {}) => ({
+  model: "gpt-5",
+  inputTokens: 0,
+  cachedInputTokens: 0,
+  outputTokens: 0,
+  reasoningTokens: 0,
+  fileSearchCalls: 0,
+  ...fields,
+});
+
+/** A run that cost `amount` with gpt-5 output tokens alone (10 per million). */
+const spendOf = (amount) => usage({ outputTokens: amount * 100000 });
+
+/** Mock fixture answering every prompt with this text and usage. */
+const answering = (text, model = "gpt-5") => ({
+  file: "default.json",
+  response: {
+    model,
+    output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text }] }],
+    usage: { input_tokens: 1000, output_tokens: 100, total_tokens: 1100 },
+  },
+});
+
+/** A thread of one customer message. */
+const customer = (text) => [
+  { id: "m1", created_at: 1717408800, from_field: { address: "marco@rossi-travel.example" }, body: `<p>${text}</p>` },
+];
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("rates match the longest model-name prefix", () => {
+  assert.equal(ratesFor("gpt-5").input, 1.25);
+  assert.equal(ratesFor("gpt-5-mini-2025-08-07").input, 0.25);
+  assert.equal(ratesFor("gpt-5-2025-08-07").input, 1.25);
+  assert.equal(ratesFor("gpt-5x"), null);
+  assert.equal(ratesFor("claude"), null);
+});
+
+test("costOf prices cached input, output and file search calls", () => {
+  const cost = costOf(
+    usage({ inputTokens: 1000000, cachedInputTokens: 200000, outputTokens: 100000, fileSearchCalls: 4 })
+  );
+  assert.deepEqual(cost, { input: 1.025, output: 1, fileSearch: 0.01, total: 2.035 });
+  assert.equal(costOf(usage({ model: "unknown-model", inputTokens: 10 })), null);
+});
+
+test("usageOf reads a Responses payload, and combineUsage adds calls up", () => {
+  const one = usageOf({
+    model: "gpt-5",
+    fileSearchCalls: 1,
+    usage: {
+      input_tokens: 100,
+      input_tokens_details: { cached_tokens: 40 },
+      output_tokens: 20,
+      output_tokens_details: { reasoning_tokens: 5 },
+    },
+  });
+  assert.deepEqual(one, usage({ inputTokens: 100, cachedInputTokens: 40, outputTokens: 20, reasoningTokens: 5, fileSearchCalls: 1 }));
+  const total = combineUsage([one, usage({ model: "gpt-5-mini", inputTokens: 10 })]);
+  assert.equal(total.inputTokens, 110);
+  assert.equal(total.model, "gpt-5-mini");
+});
+
+for (const [name, create] of [
+  ["memory", () => createMemoryStore()],
+  ["file", () => createFileStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "costs-test-")), "store.json"))],
+]) {
+  test(`the ${name} store adds increments to a hash's fields`, async () => {
+    const store = create();
+    assert.equal(await store.getFields("totals"), null);
+    await store.incrementFields("totals", { cost: 0.5, runs: 1 });
+    await Promise.all([store.incrementFields("totals", { cost: 0.25, runs: 1 }), store.incrementFields("totals", { runs: 1 })]);
+    assert.deepEqual(await store.getFields("totals"), { cost: 0.75, runs: 3 });
+  });
+}
+
+test("recordSpend adds each run to the day and month totals by inbox and classification", async () => {
+  await recordSpend({ runId: "r1", conversationId: "c1", profileId: "main", classification: "reply", usage: spendOf(0.3), now: NOW });
+  await recordSpend({ runId: "r2", conversationId: "c2", profileId: "main", classification: "spam", usage: spendOf(0.2), now: NOW });
+  await recordSpend({ runId: "r3", conversationId: "c3", profileId: "other", usage: usage({ model: "unknown" }), now: NOW });
+
+  const [day] = await dailySpend(1, NOW);
+  assert.equal(day.day, "2026-03-15");
+  assert.equal(day.cost, 0.5);
+  assert.equal(day.runs, 3);
+  assert.deepEqual(day.byProfile, { main: { cost: 0.5, runs: 2 }, other: { cost: 0, runs: 1 } });
+  assert.deepEqual(day.byClassification.reply, { cost: 0.3, runs: 1 });
+  assert.deepEqual(day.byClassification["(none)"], { cost: 0, runs: 1 });
+
+  const runs = await listSpend();
+  assert.deepEqual(runs.map((r) => [r.runId, r.cost]), [["r1", 0.3], ["r2", 0.2], ["r3", null]]);
+});
+
+test("the budget is ok, near or over against the daily and monthly caps", async () => {
+  assert.equal((await budgetStatus(NOW)).level, "ok");
+  await recordSpend({ runId: "r1", usage: spendOf(0.79), now: NOW });
+  assert.equal((await budgetStatus(NOW)).level, "ok");
+  await recordSpend({ runId: "r2", usage: spendOf(0.01), now: NOW });
+  assert.equal((await budgetStatus(NOW)).level, "near");
+  await recordSpend({ runId: "r3", usage: spendOf(0.2), now: NOW });
+  const over = await budgetStatus(NOW);
+  assert.equal(over.level, "over");
+  assert.deepEqual(over.day, { spent: 1, cap: 1 });
+
+  // The next day starts again, within the same month
+  const nextDay = await budgetStatus(NOW + 86400000);
+  assert.equal(nextDay.level, "ok");
+  assert.deepEqual(nextDay.month, { spent: 1, cap: 10 });
+});
+
+test("near a cap the fallback model drafts; over it only priority conversations are drafted", async () => {
+  const profile = { id: "main", priorityLabels: ["VIP"] };
+  const vip = { shared_labels: [{ id: "l1", name: "VIP" }] };
+  assert.deepEqual(
+    (({ draft, model }) => ({ draft, model }))(await budgetDecision({ profile, conversation: {}, now: NOW })),
+    { draft: true, model: null }
+  );
+
+  await recordSpend({ runId: "r1", usage: spendOf(0.9), now: NOW });
+  const near = await budgetDecision({ profile, conversation: {}, now: NOW });
+  assert.equal(near.level, "near");
+  assert.equal(near.draft, true);
+  assert.equal(near.model, "gpt-5-mini");
+
+  await recordSpend({ runId: "r2", usage: spendOf(0.1), now: NOW });
+  assert.equal((await budgetDecision({ profile, conversation: {}, now: NOW })).draft, false);
+  const priority = await budgetDecision({ profile, conversation: vip, now: NOW });
+  assert.equal(priority.draft, true);
+  assert.equal(priority.model, "gpt-5-mini");
+});
+
+test("a draft that fails validation twice still reports both calls' usage", async () => {
+  const provider = createMockProvider({ fixtures: [answering("not json")] });
+  const messages = customer("Hello, could you send me more information?");
+  await assert.rejects(draftReply({ subject: "Info", messages, profile: getProfile(), provider }), (err) => {
+    assert.match(err.message, /failed validation after repair/);
+    assert.equal(err.usage.inputTokens, 2000);
+    assert.equal(err.usage.outputTokens, 200);
+    return true;
+  });
+});
+
+test("an invalid classify-only answer and a failed draft after it are all counted", async () => {
+  const provider = createMockProvider({ fixtures: [answering("{}")] });
+  const messages = customer("Hello, how much does it cost to use Tab?");
+  await assert.rejects(draftReply({ subject: "Question", messages, profile: getProfile(), provider }), (err) => {
+    // The classify-only call, the draft and its repair
+    assert.equal(err.usage.inputTokens, 3000);
+    return true;
+  });
+  assert.equal(provider.calls.length, 3);
+});
+
+test("a run that fails on invalid output records its spend against the budget", async () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "missive", "demo-single.json"), "utf8"));
+  const client = createStubMissiveClient({ [fixture.id]: fixture });
+  const provider = createMockProvider({ fixtures: [answering("not json")] });
+
+  await assert.rejects(
+    processConversation({ client, provider, conversationId: fixture.id, profile: getProfile() }),
+    /failed validation after repair/
+  );
+  const [run] = await listSpend();
+  assert.equal(run.conversationId, fixture.id);
+  assert.equal(run.classification, null);
+  assert.equal(run.usage.inputTokens, 2000);
+  // 2000 input and 200 output tokens of gpt-5
+  assert.equal(run.cost, 0.0045);
+  assert.equal((await budgetStatus()).day.spent, 0.0045);
+});
@@ -0,0 +1,140 @@
+// test/dedup.test.js
+// The conversation lock, the per-message claim and the draft record (lib/dedup.js), alone
+// and through processConversation with the stub Missive client and the mock provider.
+
+process.env.LOG_LEVEL = "error";
+delete process.env.VECTOR_STORE_ID;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  DraftInProgressError,
+  lockConversation,
+  unlockConversation,
+  claimMessage,
+  markClaimDrafted,
+  releaseMessage,
+  getDraftRecord,
+  saveDraftRecord,
+  alreadyHandled,
+} = require("../lib/dedup");
+const { DEFAULT_LEASE_MS } = require("../lib/queue");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createStubMissiveClient } = require("../lib/missive-stub");
+const { createMockProvider } = require("../lib/llm/mock");
+const { getProfile } = require("../lib/inbox-config");
+const { processConversation } = require("../lib/pipeline");
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "missive", "demo-single.json"), "utf8"));
+const CONVERSATION = fixture.id;
+const MESSAGE = fixture.messages[0].id;
+
+/** Run the whole flow for the fixture conversation against this stub client. */
+const run = (client) =>
+  processConversation({ client, provider: createMockProvider(), conversationId: CONVERSATION, profile: getProfile() });
+
+const newClient = () => createStubMissiveClient({ [CONVERSATION]: fixture });
+
+/** Run fn as if `ms` had passed since now. */
+async function later(ms, fn) {
+  const realNow = Date.now;
+  Date.now = () => realNow() + ms;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("only one run holds a conversation's lock, and only the holder releases it", async () => {
+  assert.deepEqual(await lockConversation("c1", { runId: "a.1" }), { locked: true });
+  const second = await lockConversation("c1", { runId: "b.1" });
+  assert.equal(second.locked, false);
+  assert.equal(second.lock.runId, "a.1");
+
+  await unlockConversation("c1", { runId: "b.1" });
+  assert.equal((await lockConversation("c1", { runId: "b.1" })).locked, false);
+  await unlockConversation("c1", { runId: "a.1" });
+  assert.equal((await lockConversation("c1", { runId: "b.1" })).locked, true);
+});
+
+test("a message is claimed once, and can be given back before its draft exists", async () => {
+  assert.deepEqual(await claimMessage("c1", "m1", { runId: "a.1" }), { claimed: true });
+  const second = await claimMessage("c1", "m1", { runId: "b.1" });
+  assert.equal(second.claimed, false);
+  assert.equal(second.claim.draftId, null);
+
+  await releaseMessage("c1", "m1");
+  assert.equal((await claimMessage("c1", "m1", { runId: "b.1" })).claimed, true);
+});
+
+test("a drafted claim outlives the pending claim's expiry", async () => {
+  await claimMessage("c1", "m1", { runId: "a.1" });
+  await markClaimDrafted("c1", "m1", { runId: "a.1", draftId: "d1" });
+  const { claimed, claim } = await later(DEFAULT_LEASE_MS + 1000, () => claimMessage("c1", "m1", { runId: "b.1" }));
+  assert.equal(claimed, false);
+  assert.equal(claim.draftId, "d1");
+});
+
+test("alreadyHandled compares the record's message with the latest customer message", async () => {
+  await saveDraftRecord("c1", { messageId: "m1", draftId: "d1" });
+  const record = await getDraftRecord("c1");
+  assert.equal(alreadyHandled(record, "m1"), true);
+  assert.equal(alreadyHandled(record, "m2"), false);
+  assert.equal(alreadyHandled(null, "m1"), false);
+  assert.equal(alreadyHandled(record, undefined), false);
+});
+
+test("two concurrent runs on one conversation create one draft", async () => {
+  const client = newClient();
+  const [first, second] = await Promise.allSettled([run(client), run(client)]);
+
+  assert.equal(first.status, "fulfilled");
+  assert.ok(first.value.draftId);
+  assert.equal(second.status, "rejected");
+  assert.ok(second.reason instanceof DraftInProgressError);
+  assert.ok(second.reason.retryAfterMs <= DEFAULT_LEASE_MS);
+  assert.equal(client.drafts.length, 1);
+
+  // Its retry, once the lock is free, sees what the first run drafted
+  assert.deepEqual(await run(client), { ok: true, skipped: "already_handled" });
+  assert.equal(client.drafts.length, 1);
+});
+
+test("a run after a crash mid-draft waits for the lock to expire, then drafts once", async () => {
+  // The crashed run took the lock and claimed the message, and never released either
+  await lockConversation(CONVERSATION, { runId: "crashed.1" });
+  await claimMessage(CONVERSATION, MESSAGE, { runId: "crashed.1" });
+  const client = newClient();
+
+  await assert.rejects(run(client), (err) => err instanceof DraftInProgressError && err.claim.runId === "crashed.1");
+  assert.equal(client.drafts.length, 0);
+
+  const outcome = await later(DEFAULT_LEASE_MS + 1000, () => run(client));
+  assert.ok(outcome.draftId);
+  assert.equal(client.drafts.length, 1);
+  assert.equal((await getDraftRecord(CONVERSATION)).messageId, MESSAGE);
+});
+
+test("a redelivery after the draft was created but before the record was saved drafts nothing", async () => {
+  // The earlier run created its draft and marked the claim, then died before saveDraftRecord
+  await markClaimDrafted(CONVERSATION, MESSAGE, { runId: "earlier.1", draftId: "draft-earlier" });
+  const client = newClient();
+
+  assert.deepEqual(await run(client), { ok: true, skipped: "already_handled" });
+  assert.equal(client.drafts.length, 0);
+  assert.equal(await getDraftRecord(CONVERSATION), null);
+});
+
+test("a run that fails before creating its draft gives the conversation and the message back", async () => {
+  const client = newClient();
+  client.createDraft = async () => Promise.reject(Object.assign(new Error("Missive draft failed"), { status: 400 }));
+  await assert.rejects(run(client), /Missive draft failed/);
+
+  assert.equal((await lockConversation(CONVERSATION, { runId: "next.1" })).locked, true);
+  assert.equal((await claimMessage(CONVERSATION, MESSAGE, { runId: "next.1" })).claimed, true);
+});
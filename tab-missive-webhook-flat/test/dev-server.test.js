@@ -0,0 +1,72 @@
+// test/dev-server.test.js
+// End to end through the dev server: a signed webhook to /api/missive-inbound, the queued
+// job run by the worker, and the draft the fake Missive API (lib/fake-missive.js) received.
+
+process.env.MISSIVE_WEBHOOK_SECRET = "test-secret";
+process.env.STORE_DRIVER = "memory";
+process.env.QUEUE_DRIVER = "memory";
+process.env.LLM_PROVIDER = "mock";
+process.env.LOG_LEVEL = "error";
+delete process.env.MISSIVE_API_URL;
+delete process.env.KV_REST_API_URL;
+delete process.env.VERCEL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startDevServer, triggerWebhook } = require("../dev-server");
+const { drainQueue } = require("../lib/worker");
+const { signPayload } = require("../lib/webhook-auth");
+
+let dev;
+
+test.before(async () => {
+  dev = await startDevServer();
+});
+
+test.after(() => dev.close());
+
+const post = (body, signature) =>
+  fetch(`${dev.url}/api/missive-inbound`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Hook-Signature": signature },
+    body,
+  });
+
+test("a signed webhook is queued and drafted into the conversation", async () => {
+  const { status, body } = await triggerWebhook(dev.url, "demo-single");
+  assert.equal(status, 202);
+  assert.ok(body.queued);
+
+  const jobs = await drainQueue();
+  assert.deepEqual(
+    jobs.map((j) => [j.id, j.status]),
+    [[body.queued, "done"]]
+  );
+
+  const [draft] = dev.fake.drafts;
+  assert.equal(dev.fake.drafts.length, 1);
+  assert.equal(draft.conversation, "demo-single");
+  assert.equal(draft.subject, "Re: More info please");
+  assert.equal(draft.send, false);
+  assert.deepEqual(draft.to_fields, [{ address: "marco@rossi-travel.example", name: "Marco Rossi" }]);
+  assert.equal(draft.from_field.address, "hello@tab.travel");
+  assert.match(draft.body, /^<p>Hi Marco,<\/p>/);
+  assert.match(draft.body, /utm_source=Missive/);
+});
+
+test("a second delivery for the same message does not draft again", async () => {
+  const { status } = await triggerWebhook(dev.url, "demo-single");
+  // Within the same second as the first delivery the body is identical, so it is a replay
+  if (status === 202) await drainQueue();
+  assert.ok([202, 409].includes(status));
+  assert.equal(dev.fake.drafts.length, 1);
+});
+
+test("answers 401 to a bad signature and 409 to a replayed delivery", async () => {
+  const body = JSON.stringify({ conversation: { id: "demo-long-thread" }, latest_message: { delivered_at: Math.floor(Date.now() / 1000) } });
+  assert.equal((await post(body, signPayload(body, "wrong-secret"))).status, 401);
+  assert.equal((await post(body, signPayload(body, "test-secret"))).status, 202);
+  assert.equal((await post(body, signPayload(body, "test-secret"))).status, 409);
+  await drainQueue();
+  assert.equal(dev.fake.drafts.filter((d) => d.conversation === "demo-long-thread").length, 1);
+});
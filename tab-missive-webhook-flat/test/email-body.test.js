@@ -0,0 +1,69 @@
+// test/email-body.test.js
+// normaliseEmailBody on real client bodies (fixtures/email) and the edge cases of its
+// quote, signature and disclaimer rules.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { decodeEntities, normaliseEmailBody, stripSignature } = require("../lib/email-body");
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "..", "fixtures", "email", name), "utf8");
+
+test("Gmail: drops the gmail_quote history and the gmail_signature block", () => {
+  const body = normaliseEmailBody({ html: fixture("gmail.html") });
+  assert.match(body, /Could guests pay the 30% deposit through a Tab payment link and the rest on arrival\?/);
+  assert.match(body, /Thanks,\s+Sam$/);
+  assert.doesNotMatch(body, /wrote:|in person|Fellside Glamping|7700|fellsideglamping/);
+});
+
+test("Outlook: cuts at the reply header, keeps a divider <hr> and drops the disclaimer after the sign-off", () => {
+  const body = normaliseEmailBody({ html: fixture("outlook.html") });
+  assert.match(body, /Our company is registered in France/);
+  assert.match(body, /account reference shown in the app: TAB-4821/);
+  assert.match(body, /Kind regards,\s+Claire Martin\s+Hôtel Les Marmottes – Chamonix\s+\+33 4 50 12 34 56$/);
+  assert.doesNotMatch(body, /confidential|From:|under Settings/);
+});
+
+test("Apple Mail: drops the signature and the cited history", () => {
+  const body = normaliseEmailBody({ html: fixture("apple-mail.html") });
+  assert.equal(body, "Bonjour,\n\nEst-ce que Tab accepte les cartes virtuelles de Booking.com ? Nous avons un gîte de quatre chambres.\n\nMerci !");
+});
+
+test("Outlook plain text: cuts at Original Message and drops the legal footer", () => {
+  const body = normaliseEmailBody({ text: fixture("outlook-plain.txt") });
+  assert.equal(
+    body,
+    "Hi,\n\nLast Friday's payout hasn't reached our bank account yet. Could you check it for us? Thanks!\n\nBest regards,\nTom Baker\nBaker Boat Tours Ltd"
+  );
+});
+
+test("a bare <hr> without an Outlook header after it is not quoted history", () => {
+  const body = normaliseEmailBody({ html: "<p>Card reader question:</p><hr><p>Does the Tab reader work without Wi-Fi?</p>" });
+  assert.equal(body, "Card reader question:\n\nDoes the Tab reader work without Wi-Fi?");
+});
+
+test("an <hr> followed by From:/Sent: is quoted history", () => {
+  const html =
+    "<p>Yes, Thursday at 3pm works.</p><hr><p><b>From:</b> Tab &lt;hello@tab.travel&gt;<br><b>Sent:</b> Monday</p><p>Would Thursday at 3pm suit you for a demo?</p>";
+  assert.equal(normaliseEmailBody({ html }), "Yes, Thursday at 3pm works.");
+});
+
+test("ordinary sentences that mention legal words are kept", () => {
+  const text = "Hello,\n\nWhich documents do you need?\n\nKind regards,\nAnna\n\nOur company is registered in France.";
+  assert.equal(stripSignature(text), text);
+});
+
+test("legal boilerplate is kept when there is no sign-off before it", () => {
+  const text =
+    "Please read our terms. This message is confidential and intended for the named recipient only. If you are not the intended recipient, please delete it.";
+  assert.equal(stripSignature(text), text);
+});
+
+test("a signature marker cuts everything below it", () => {
+  assert.equal(stripSignature("See you at the demo on Thursday.\n--\nJo\nSent from my iPhone"), "See you at the demo on Thursday.");
+});
+
+test("decodes named, decimal and hex entities and leaves unknown ones", () => {
+  assert.equal(decodeEntities("caf&eacute; &#8217;&#x2019; &bogus;"), "café ’’ &bogus;");
+});
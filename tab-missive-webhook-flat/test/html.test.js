@@ -0,0 +1,88 @@
+// test/html.test.js
+// postProcessHtml on the kinds of model output that reach a Missive draft: unsafe markup,
+// citation markers, leftover markdown, bare URLs and links that get the inbox's UTMs.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { postProcessHtml } = require("../lib/html");
+
+const profile = {
+  website: "https://business.tab.travel",
+  utm: { utm_source: "Missive", utm_medium: "email" },
+};
+const clean = (html) => postProcessHtml(html, { profile });
+
+test("removes scripts, styles and iframes with their contents", () => {
+  assert.equal(
+    clean("<p>Hi</p><script>alert(1)</script><style>p{color:red}</style><iframe src=x>frame</iframe><p>Bye</p>"),
+    "<p>Hi</p><p>Bye</p>"
+  );
+});
+
+test("unwraps unknown tags and drops every attribute except a safe href", () => {
+  assert.equal(clean('<div onclick="x" class="a">Hi <img src=x onerror=y><span style="color:red">there</span></div>'), "<p>Hi there</p>");
+});
+
+test("drops javascript: and other unsafe hrefs but keeps the link text", () => {
+  assert.equal(
+    clean('<p><a href="javascript:alert(1)">one</a>, <a href=" JaVaScRiPt:x">two</a>, <a href="data:text/html,x">three</a></p>'),
+    "<p>one, two, three</p>"
+  );
+  assert.equal(clean('<p><a href="mailto:hi@tab.travel">mail us</a></p>'), '<p><a href="mailto:hi@tab.travel">mail us</a></p>');
+});
+
+test("strips file_search citation markers", () => {
+  assert.equal(
+    clean("<p>Fees are 2% 【4:0†source】 per card [4:0†Canned responses.pdf] (source: fees.pdf).</p>"),
+    "<p>Fees are 2% per card.</p>"
+  );
+  assert.equal(clean("Apply online citeturn0file1 today citeturn0file2."), "<p>Apply online today.</p>");
+});
+
+test("converts leftover markdown to HTML", () => {
+  assert.equal(
+    clean("Thanks for asking.\n\n**Fees:**\n- 2% per card\n- _no_ monthly fee\n\n## Next steps\n1. Apply\n2. Wait"),
+    "<p>Thanks for asking.</p><p><strong>Fees:</strong></p><ul><li>2% per card</li><li><em>no</em> monthly fee</li></ul>" +
+      "<p><strong>Next steps</strong></p><ol><li>Apply</li><li>Wait</li></ol>"
+  );
+});
+
+test("converts markdown between HTML blocks", () => {
+  assert.equal(
+    clean("<p>Hello</p>\n- one\n- two\n<p>See [pricing](https://example.com/p) *now*.</p>"),
+    '<p>Hello</p><ul><li>one</li><li>two</li></ul><p>See <a href="https://example.com/p">pricing</a> <em>now</em>.</p>'
+  );
+});
+
+test("links bare URLs, leaving trailing punctuation outside the link", () => {
+  assert.equal(
+    clean("<p>Read https://example.com/guide.</p>"),
+    '<p>Read <a href="https://example.com/guide">https://example.com/guide</a>.</p>'
+  );
+});
+
+test("adds the inbox's UTMs to links to its website only", () => {
+  assert.equal(
+    clean('<p>Apply at https://www.business.tab.travel/apply or <a href="https://example.com/x">elsewhere</a>.</p>'),
+    '<p>Apply at <a href="https://www.business.tab.travel/apply?utm_source=Missive&amp;utm_medium=email">' +
+      'https://www.business.tab.travel/apply</a> or <a href="https://example.com/x">elsewhere</a>.</p>'
+  );
+});
+
+test("keeps parameters a link already has when merging UTMs", () => {
+  assert.equal(
+    clean('<p><a href="https://business.tab.travel/apply?utm_source=Partner&amp;ref=1">apply</a></p>'),
+    '<p><a href="https://business.tab.travel/apply?utm_source=Partner&amp;ref=1&amp;utm_medium=email">apply</a></p>'
+  );
+});
+
+test("leaves links alone without a profile", () => {
+  assert.equal(
+    postProcessHtml('<p><a href="https://business.tab.travel/apply">apply</a></p>'),
+    '<p><a href="https://business.tab.travel/apply">apply</a></p>'
+  );
+});
+
+test("wraps loose text in paragraphs and drops empty ones", () => {
+  assert.equal(clean("Hello there<br><p></p><p> <br> </p><ul><li>item</li></ul>Bye"), "<p>Hello there</p><ul><li>item</li></ul><p>Bye</p>");
+});
@@ -0,0 +1,71 @@
+// test/limiter.test.js
+// The outbound call limiter (lib/limiter.js): concurrent calls, calls per sliding minute
+// (with mocked timers), and mapLimit.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLimiter, mapLimit } = require("../lib/limiter");
+
+/** Let every pending promise callback run. */
+const flush = () => new Promise((r) => setImmediate(r));
+
+/** A promise with its resolve and reject exposed. */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => ((resolve = res), (reject = rej)));
+  return { promise, resolve, reject };
+}
+
+test("no more than `concurrency` calls run at once, and waiting calls start in order", async () => {
+  const limiter = createLimiter({ concurrency: 2 });
+  const calls = [deferred(), deferred(), deferred(), deferred()];
+  const started = [];
+  const runs = calls.map((call, i) => limiter.run(() => (started.push(i), call.promise)));
+
+  await flush();
+  assert.deepEqual(started, [0, 1]);
+  calls[1].resolve("b");
+  await flush();
+  assert.deepEqual(started, [0, 1, 2]);
+  calls[0].resolve("a");
+  calls[2].resolve("c");
+  calls[3].resolve("d");
+  assert.deepEqual(await Promise.all(runs), ["a", "b", "c", "d"]);
+});
+
+test("a failed call gives its slot back", async () => {
+  const limiter = createLimiter({ concurrency: 1 });
+  await assert.rejects(limiter.run(async () => Promise.reject(new Error("boom"))), /boom/);
+  assert.equal(await limiter.run(async () => "next"), "next");
+});
+
+test("no more than `perMinute` calls start in any sliding minute", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1_000_000 });
+  const limiter = createLimiter({ perMinute: 2 });
+  const startedAt = [];
+  const runs = [0, 1, 2].map(() => limiter.run(async () => startedAt.push(Date.now())));
+
+  await flush();
+  assert.deepEqual(startedAt, [1_000_000, 1_000_000]);
+  t.mock.timers.tick(59_999);
+  await flush();
+  assert.equal(startedAt.length, 2);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(startedAt, [1_000_000, 1_000_000, 1_060_000]);
+  await Promise.all(runs);
+});
+
+test("mapLimit keeps input order with at most `concurrency` calls in flight", async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapLimit([30, 10, 20, 0, 5], 2, async (ms, i) => {
+    peak = Math.max(peak, ++active);
+    await new Promise((r) => setTimeout(r, ms));
+    active -= 1;
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(results, ["0:30", "1:10", "2:20", "3:0", "4:5"]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapLimit([], 3, async () => "never"), []);
+});
@@ -0,0 +1,90 @@
+// test/message-cache.test.js
+// The hydrated message cache (lib/message-cache.js): what is kept, batched reads, expiry,
+// and a reload of a conversation fetching only its newest message again.
+
+process.env.LOG_LEVEL = "error";
+delete process.env.MESSAGE_CACHE_TTL_HOURS;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getCachedMessages, cacheMessage, cacheableMessage } = require("../lib/message-cache");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createStubMissiveClient } = require("../lib/missive-stub");
+const { loadConversation } = require("../lib/pipeline");
+
+/** A hydrated message as Missive returns it. */
+const message = (id, n, fields = {}) => ({
+  id,
+  subject: "Card reader",
+  created_at: 1717408800 + n * 600,
+  delivered_at: 1717408800 + n * 600,
+  from_field: { name: "Marco Rossi", address: "marco@rossi-travel.example" },
+  to_fields: [{ address: "hello@tab.travel" }],
+  cc_fields: [],
+  body: `<div><p>Message ${n}</p><p>--<br>Marco</p></div>`,
+  attachments: [],
+  ...fields,
+});
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("only the headers, attachment names and normalised text are kept", () => {
+  const cached = cacheableMessage(
+    message("m1", 1, {
+      body: "<p>Is the card reader waterproof?</p><p>On Mon, Tab wrote:</p><blockquote>Hello Marco</blockquote>",
+      attachments: [{ id: "a1", filename: "photo.jpg", url: "https://files.example/a1", size: 1024 }],
+      creator: { id: "u1", name: "Marco", email: "marco@rossi-travel.example", avatar_url: "https://x.example" },
+      references: ["<ref@example>"],
+    })
+  );
+  assert.equal(cached.text, "Is the card reader waterproof?");
+  assert.equal(cached.body, undefined);
+  assert.equal(cached.references, undefined);
+  assert.deepEqual(cached.attachments, [{ id: "a1", filename: "photo.jpg" }]);
+  assert.deepEqual(cached.creator, { name: "Marco", email: "marco@rossi-travel.example" });
+  assert.deepEqual(cached.from_field, { name: "Marco Rossi", address: "marco@rossi-travel.example" });
+});
+
+test("cached messages come back by ID; misses and messages without an ID are left out", async () => {
+  await cacheMessage(message("m1", 1));
+  await cacheMessage(message("m2", 2));
+  await cacheMessage({ subject: "no id" });
+  await cacheMessage(null);
+
+  const found = await getCachedMessages(["m2", "m3", "m1"]);
+  assert.deepEqual([...found.keys()], ["m2", "m1"]);
+  assert.equal(found.get("m1").text, "Message 1");
+  assert.deepEqual(await getCachedMessages([]), new Map());
+});
+
+test("cached messages expire after MESSAGE_CACHE_TTL_HOURS (12 by default)", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-15T12:00:00Z") });
+  await cacheMessage(message("m1", 1));
+  t.mock.timers.tick(12 * 60 * 60 * 1000 - 1);
+  assert.equal((await getCachedMessages(["m1"])).size, 1);
+  t.mock.timers.tick(1);
+  assert.equal((await getCachedMessages(["m1"])).size, 0);
+});
+
+test("reloading a conversation fetches only its newest message again", async () => {
+  const client = createStubMissiveClient({
+    c1: { conversation: { subject: "Card reader" }, messages: [message("m1", 1), message("m2", 2), message("m3", 3)] },
+  });
+  const fetched = [];
+  const getMessage = client.getMessage;
+  client.getMessage = async (id) => {
+    fetched.push(id);
+    return getMessage(id);
+  };
+
+  const first = await loadConversation(client, "c1");
+  assert.deepEqual(first.messages.map((m) => m.id), ["m1", "m2", "m3"]);
+  assert.deepEqual(fetched.sort(), ["m1", "m2", "m3"]);
+
+  fetched.length = 0;
+  const again = await loadConversation(client, "c1");
+  assert.deepEqual(fetched, ["m3"]);
+  assert.deepEqual(again.messages.map((m) => m.id), ["m1", "m2", "m3"]);
+  assert.equal(again.messages[0].text, "Message 1");
+  assert.equal(again.messages[2].body, message("m3", 3).body);
+});
@@ -0,0 +1,85 @@
+// test/phone.test.js
+// Phone numbers as customers write them → E.164 (lib/phone.js): international and 00
+// prefixes, national numbers with a country hint, separators, and what is refused.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalisePhone, countryHints, findPhones, pickPhone } = require("../lib/phone");
+
+const NUMBERS = [
+  // [written, hints, e164 or null, international]
+  ["+44 7700 900123", [], "+447700900123", true],
+  ["0044 7700 900123", [], "+447700900123", true],
+  ["00 44 7700 900 123", [], "+447700900123", true],
+  ["+44 (0)7700 900123", [], "+447700900123", true],
+  ["+33 6 12 34 56 78", [], "+33612345678", true],
+  ["0034 612 345 678", [], "+34612345678", true],
+  ["+49 1512 3456789", [], "+4915123456789", true],
+  ["+1 415 555 2671", [], "+14155552671", true],
+  ["07700 900123", ["GB"], "+447700900123", false],
+  ["07700900123", ["GB"], "+447700900123", false],
+  ["07700.900.123", ["GB"], "+447700900123", false],
+  ["07700-900-123", ["GB"], "+447700900123", false],
+  ["06 12 34 56 78", ["FR"], "+33612345678", false],
+  ["06.12.34.56.78", ["FR"], "+33612345678", false],
+  ["612 345 678", ["ES"], "+34612345678", false],
+  ["333 1234567", ["IT"], "+393331234567", false],
+  ["0151 23456789", ["DE"], "+4915123456789", false],
+  ["087 123 4567", ["IE"], "+353871234567", false],
+  ["(415) 555-2671", ["US"], "+14155552671", false],
+  // The first hint it is a mobile of wins
+  ["07700 900123", ["FR", "GB"], "+447700900123", false],
+  // Not a mobile: a landline, a reference, a national number without its trunk prefix
+  ["020 7946 0958", ["GB"], null],
+  ["12345678", ["GB"], null],
+  ["7700 900123", ["GB"], null],
+  ["06 12 34 56 78", ["GB"], null],
+  // Too short or too long, or a 0 after the country code
+  ["+44 123", [], null],
+  ["+44 7700 900123 4567", [], null],
+  ["+0044 7700", [], null],
+  ["+44 0 7700 900123", [], null],
+];
+
+for (const [written, hints, e164, international] of NUMBERS) {
+  test(`normalisePhone(${JSON.stringify(written)}, ${JSON.stringify(hints)}) → ${e164}`, () => {
+    const phone = normalisePhone(written, hints);
+    if (e164 === null) return assert.equal(phone, null);
+    assert.equal(phone.e164, e164);
+    assert.equal(phone.international, international);
+  });
+}
+
+test("country hints: signature numbers and place names, then domain, language and the default", () => {
+  assert.deepEqual(countryHints({ signature: "Tel +34 612 345 678", address: "x@gmail.com", language: "en" }), ["ES", "GB"]);
+  assert.deepEqual(countryHints({ signature: "Hôtel du Lac\nAnnecy, France", address: "m@hotel.fr", language: "fr" }), ["FR", "GB"]);
+  assert.deepEqual(countryHints({ signature: "", address: "info@agriturismo.it", language: "en" }), ["IT", "GB"]);
+  assert.deepEqual(countryHints({ language: "de" }), ["DE", "GB"]);
+  assert.deepEqual(countryHints({}), ["GB"]);
+});
+
+test("the default country comes from PHONE_DEFAULT_COUNTRY", () => {
+  process.env.PHONE_DEFAULT_COUNTRY = "IE";
+  try {
+    assert.deepEqual(countryHints({}), ["IE"]);
+  } finally {
+    delete process.env.PHONE_DEFAULT_COUNTRY;
+  }
+});
+
+test("findPhones keeps each valid number once and skips references", () => {
+  const found = findPhones("Call 07700 900123 or 07700900123. Booking ref 20240611, invoice 123456789.", ["GB"]);
+  assert.deepEqual(found, [{ e164: "+447700900123", country: "GB", international: false, raw: "07700 900123" }]);
+});
+
+test("pickPhone prefers an international number, and gives up when several are left", () => {
+  const national = { e164: "+447700900123", international: false };
+  const international = { e164: "+33612345678", international: true };
+  const other = { e164: "+34612345678", international: true };
+  assert.equal(pickPhone([national, international]).phone, international);
+  assert.equal(pickPhone([national]).phone, national);
+  const unclear = pickPhone([national, international, other]);
+  assert.equal(unclear.phone, null);
+  assert.deepEqual(unclear.candidates, [international, other]);
+  assert.deepEqual(pickPhone([]), { phone: null, candidates: [] });
+});
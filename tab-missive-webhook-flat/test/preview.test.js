@@ -0,0 +1,116 @@
+// test/preview.test.js
+// The dry-run preview through the dev server (/api/preview): which profile drafts, and the
+// prompt it returns for a canned response filled in after the classify-only check.
+
+process.env.ADMIN_TOKEN = "test-admin";
+process.env.STORE_DRIVER = "memory";
+process.env.QUEUE_DRIVER = "memory";
+process.env.LLM_PROVIDER = "mock";
+process.env.LOG_LEVEL = "error";
+delete process.env.MISSIVE_API_URL;
+delete process.env.KV_REST_API_URL;
+delete process.env.VECTOR_STORE_ID;
+delete process.env.VERCEL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startDevServer } = require("../dev-server");
+const { setProvider } = require("../lib/llm");
+const { createMockProvider } = require("../lib/llm/mock");
+const { createMemoryStore, setStore } = require("../lib/store");
+
+/** Mock fixture answering prompts that contain `match` with this JSON output. */
+const fixture = (file, output, match) => ({
+  file,
+  match,
+  response: {
+    model: "mock",
+    output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text: JSON.stringify(output) }] }],
+    usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 },
+  },
+});
+
+const CLASSIFY_MARKER = "You do not write a reply";
+
+const thread = (text) => ({
+  conversation: { subject: "Pricing" },
+  messages: [
+    {
+      id: "m1",
+      created_at: 1717408800,
+      from_field: { name: "Marco Rossi", address: "marco@rossi-travel.example" },
+      to_fields: [{ address: "hello@tab.travel" }],
+      body: `<p>${text}</p>`,
+    },
+  ],
+});
+
+let dev;
+
+test.before(async () => {
+  dev = await startDevServer();
+});
+
+test.after(() => dev.close());
+
+test.beforeEach(() => {
+  setStore(createMemoryStore());
+  setProvider(
+    createMockProvider({
+      fixtures: [
+        fixture("classify.json", { classification: "reply", confidence: 0.95, canned_fits: true }, CLASSIFY_MARKER),
+        fixture("default.json", {
+          classification: "reply",
+          confidence: 0.8,
+          reply_html: "<p>Thanks for your message.</p>",
+          canned_response: { used: false, title: "" },
+          knowledge_snippets: [],
+          unknown_facts: [],
+        }),
+      ],
+    })
+  );
+});
+
+const preview = (body) =>
+  fetch(`${dev.url}/api/preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-admin" },
+    body: JSON.stringify(body),
+  }).then(async (resp) => ({ status: resp.status, body: await resp.json() }));
+
+test("an unknown profile is answered with 400, not drafted with the default", async () => {
+  const posted = await preview({ thread: thread("Do you work with campsites?"), profile: "bookings" });
+  assert.equal(posted.status, 400);
+  assert.deepEqual(posted.body, { error: "Unknown profile: bookings" });
+
+  const resp = await fetch(`${dev.url}/api/preview?conversation=demo-single&profile=bookings`, {
+    headers: { Authorization: "Bearer test-admin" },
+  });
+  assert.equal(resp.status, 400);
+});
+
+test("a named profile, or none, drafts with that profile", async () => {
+  for (const profile of ["hello", undefined]) {
+    const { status, body } = await preview({ thread: thread("Do you work with campsites?"), profile });
+    assert.equal(status, 200);
+    assert.equal(body.profile, "hello");
+    assert.equal(body.classification, "reply");
+  }
+});
+
+test("a filled canned response comes with the classify-only prompt", async () => {
+  const { status, body } = await preview({ thread: thread("Hello, how much does it cost to use Tab?") });
+  assert.equal(status, 200);
+  assert.equal(body.canned.mode, "filled");
+  assert.equal(body.model, "canned-match");
+  assert.ok(body.prompt.includes(CLASSIFY_MARKER));
+  assert.match(body.prompt, /how much does it cost to use Tab/);
+});
+
+test("a model draft comes with the drafting prompt", async () => {
+  const { body } = await preview({ thread: thread("Do you work with campsites?") });
+  assert.equal(body.canned, null);
+  assert.ok(!body.prompt.includes(CLASSIFY_MARKER));
+  assert.match(body.prompt, /^SYSTEM INSTRUCTIONS: You are Tab's email drafting assistant/);
+});
@@ -0,0 +1,108 @@
+// test/prompt.test.js
+// The drafting prompt (lib/prompt.js) with and without file_search, and the thread it
+// carries counted with the model that drafts (lib/context.js).
+
+process.env.LOG_LEVEL = "error";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.VECTOR_STORE_ID;
+delete process.env.FILE_SEARCH;
+delete process.env.OPENAI_MODEL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildPrompt } = require("../lib/prompt");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createMockProvider } = require("../lib/llm/mock");
+const { getProfile } = require("../lib/inbox-config");
+const { draftReply } = require("../lib/pipeline");
+
+const profile = getProfile();
+const MANDATORY_SEARCH = "You MUST ALWAYS use the file_search tool";
+
+/** A reply the mock provider returns for every prompt. */
+const replying = {
+  file: "default.json",
+  response: {
+    model: "mock",
+    output: [
+      {
+        type: "message",
+        role: "assistant",
+        content: [
+          {
+            type: "output_text",
+            text: JSON.stringify({
+              classification: "reply",
+              confidence: 0.8,
+              reply_html: "<p>Yes, Tab can charge Expedia virtual cards.</p>",
+              canned_response: { used: false, title: "" },
+              knowledge_snippets: [],
+              unknown_facts: [],
+            }),
+          },
+        ],
+      },
+    ],
+    usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 },
+  },
+};
+
+// French text: the gpt-4 tokenizer (cl100k_base) needs more tokens than gpt-5-mini's (o200k_base)
+const messages = [
+  {
+    id: "m1",
+    created_at: 1717408800,
+    from_field: { name: "Sophie Martin", address: "sophie@chalet-alpin.example" },
+    body: "<p>Bonjour, nous sommes un petit hôtel à Annecy. Pouvons-nous encaisser les cartes virtuelles d'Expedia avec Tab ?</p>",
+  },
+];
+
+/** Run fn with env variables set, restoring them afterwards. */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+const draft = (model) =>
+  draftReply({ subject: "Cartes virtuelles", messages, profile, provider: createMockProvider({ fixtures: [replying] }), model });
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("the prompt only asks for file_search when the call has it", () => {
+  const withSearch = buildPrompt({ threadText: "Hello", profile });
+  assert.ok(withSearch.includes(MANDATORY_SEARCH));
+  assert.ok(withSearch.includes("SEARCH INSTRUCTIONS"));
+
+  const without = buildPrompt({ threadText: "Hello", profile, fileSearch: false });
+  assert.doesNotMatch(without, /file_search/);
+  assert.match(without, /You have no knowledge base search for this reply/);
+  assert.match(without, /CONTEXT \(FULL THREAD, oldest → newest\):\nHello$/);
+});
+
+test("drafts with FILE_SEARCH=off get no file_search instructions", async () => {
+  await withEnv({ VECTOR_STORE_ID: "vs_test", FILE_SEARCH: "off" }, async () => {
+    const { prompt } = await draft();
+    assert.doesNotMatch(prompt, /file_search/);
+  });
+  await withEnv({ VECTOR_STORE_ID: "vs_test" }, async () => {
+    const { prompt } = await draft();
+    assert.ok(prompt.includes(MANDATORY_SEARCH));
+  });
+});
+
+test("the thread is counted with the model that drafts, not OPENAI_MODEL", async () => {
+  await withEnv({ OPENAI_MODEL: "gpt-4" }, async () => {
+    const byDefault = await draft();
+    const fallback = await draft("gpt-5-mini");
+    assert.equal(fallback.thread.text, byDefault.thread.text);
+    assert.ok(fallback.thread.tokens < byDefault.thread.tokens);
+  });
+});
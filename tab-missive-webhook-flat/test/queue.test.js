@@ -0,0 +1,147 @@
+// test/queue.test.js
+// The memory queue (lib/queue.js) and the worker's retry and dead-letter handling
+// (lib/worker.js), with handlers that fail on purpose.
+
+process.env.LOG_LEVEL = "error";
+process.env.LLM_PROVIDER = "mock";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_LEASE_MS, createMemoryQueue } = require("../lib/queue");
+const { runJob, drainQueue } = require("../lib/worker");
+const { DraftInProgressError } = require("../lib/dedup");
+const { setProvider } = require("../lib/llm");
+
+/** Error with an HTTP status, as httpError (lib/retry.js) throws them. */
+const httpFailure = (status, retryAfterMs = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfterMs });
+
+test("a claimed job is leased, and comes due again when the lease runs out", async () => {
+  const queue = createMemoryQueue();
+  const job = await queue.enqueue("draft", { conversationId: "c1" });
+  const now = Date.now();
+
+  const claimed = await queue.claim({ now });
+  assert.equal(claimed.id, job.id);
+  assert.equal(claimed.attempts, 1);
+  assert.equal(await queue.claim({ now }), null);
+
+  const again = await queue.claim({ now: now + DEFAULT_LEASE_MS });
+  assert.equal(again.id, job.id);
+  assert.equal(again.attempts, 2);
+});
+
+test("jobs are claimed in order of due time, and a delayed one only when due", async () => {
+  const queue = createMemoryQueue();
+  const later = await queue.enqueue("draft", { n: 2 }, { delayMs: 60000 });
+  const first = await queue.enqueue("draft", { n: 1 });
+  const now = Date.now();
+  assert.equal((await queue.claim({ now })).id, first.id);
+  assert.equal(await queue.claim({ now }), null);
+  assert.equal((await queue.claim({ now: now + 60000 })).id, later.id);
+});
+
+test("a completed job leaves the queue", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("draft", {});
+  const [result] = await drainQueue({ queue, handlers: { draft: async () => ({ ok: true }) } });
+  assert.equal(result.status, "done");
+  assert.deepEqual(await queue.pending(), []);
+});
+
+test("a transient failure is rescheduled with backoff, floored by Retry-After", async () => {
+  const queue = createMemoryQueue();
+  const job = await queue.enqueue("draft", {});
+  const failing = { draft: async () => Promise.reject(httpFailure(429, 120000)) };
+
+  const result = await runJob(await queue.claim(), { queue, handlers: failing });
+  assert.equal(result.status, "retrying");
+  assert.ok(result.delayMs >= 120000);
+  const [pending] = await queue.pending();
+  assert.equal(pending.id, job.id);
+  assert.equal(pending.attempts, 1);
+  assert.ok(pending.runAt >= Date.now() + 119000);
+  assert.equal(pending.lastError.status, 429);
+});
+
+test("a transient failure on the last attempt moves the job to the dead-letter list", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("draft", {});
+  const failing = { draft: async () => Promise.reject(httpFailure(503)) };
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const job = await queue.claim({ now: Date.now() + i * 60 * 60 * 1000 });
+    statuses.push((await runJob(job, { queue, handlers: failing, maxAttempts: 3 })).status);
+  }
+  assert.deepEqual(statuses, ["retrying", "retrying", "dead"]);
+  assert.deepEqual(await queue.pending(), []);
+  const [dead] = await queue.listDead();
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError.status, 503);
+});
+
+test("a permanent failure goes straight to the dead-letter list, and can be requeued", async () => {
+  const queue = createMemoryQueue();
+  const job = await queue.enqueue("draft", { conversationId: "c1" });
+  const result = await runJob(await queue.claim(), {
+    queue,
+    handlers: { draft: async () => Promise.reject(httpFailure(400)) },
+  });
+  assert.equal(result.status, "dead");
+
+  const requeued = await queue.requeue(job.id);
+  assert.equal(requeued.attempts, 0);
+  assert.deepEqual(requeued.payload, { conversationId: "c1" });
+  assert.deepEqual(await queue.listDead(), []);
+  assert.equal((await queue.claim()).id, job.id);
+});
+
+test("an unknown job type is dead-lettered", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("mystery", {});
+  const [result] = await drainQueue({ queue, handlers: {} });
+  assert.equal(result.status, "dead");
+  assert.match(result.error, /Unknown job type/);
+});
+
+test("waiting for another run's lock uses no attempt and waits for the lock to expire", async () => {
+  const queue = createMemoryQueue();
+  const job = await queue.enqueue("draft", {});
+  const lockedAt = new Date(Date.now() - 60000).toISOString();
+  const waiting = {
+    draft: async () => Promise.reject(new DraftInProgressError({ runId: "other.1", lockedAt }, "this conversation")),
+  };
+
+  for (let i = 0; i < 10; i++) {
+    const claimed = await queue.claim({ now: Date.now() + i * DEFAULT_LEASE_MS });
+    const result = await runJob(claimed, { queue, handlers: waiting, maxAttempts: 2 });
+    assert.equal(result.status, "waiting");
+    assert.ok(Math.abs(result.delayMs - (DEFAULT_LEASE_MS - 60000)) < 1000);
+  }
+  const [pending] = await queue.pending();
+  assert.equal(pending.id, job.id);
+  assert.equal(pending.attempts, 0);
+  assert.deepEqual(await queue.listDead(), []);
+});
+
+test("a missing VECTOR_STORE_ID stops the worker before it claims a job", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("draft", {});
+  const saved = { OPENAI_API_KEY: process.env.OPENAI_API_KEY, VECTOR_STORE_ID: process.env.VECTOR_STORE_ID };
+  Object.assign(process.env, { LLM_PROVIDER: "openai", OPENAI_API_KEY: "sk-test" });
+  delete process.env.VECTOR_STORE_ID;
+  setProvider(null);
+  try {
+    await assert.rejects(drainQueue({ queue }), /VECTOR_STORE_ID is not set/);
+  } finally {
+    process.env.LLM_PROVIDER = "mock";
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    setProvider(null);
+  }
+  const [pending] = await queue.pending();
+  assert.equal(pending.attempts, 0);
+  assert.deepEqual(await queue.listDead(), []);
+});
@@ -0,0 +1,108 @@
+// test/recipients.test.js
+// Who a draft goes to (lib/recipients.js): the sender or Reply-To by default, the rest of
+// the To and Cc lines only on reply-all inboxes, never our own mailboxes and never twice.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveRecipients } = require("../lib/recipients");
+const { suppress } = require("../lib/suppression");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { getProfile } = require("../lib/inbox-config");
+
+const profile = getProfile();
+const replyAll = { ...profile, replyAll: true };
+
+/** The customer's message: from Marco, to the Tab mailbox and a colleague, with copies. */
+const message = (fields = {}) => ({
+  from_field: { name: "Marco Rossi", address: "marco@rossi-travel.example" },
+  to_fields: [{ address: "hello@tab.travel" }, { name: "Giulia", address: "giulia@rossi-travel.example" }],
+  cc_fields: [{ address: "accounts@rossi-travel.example" }, { address: "sales@tab.travel" }],
+  ...fields,
+});
+
+const addresses = (list) => list.map((r) => r.address);
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("replies to the sender only unless the inbox opts in to reply-all", async () => {
+  for (const p of [profile, { ...profile, replyAll: false }, { ...profile, replyAll: "yes" }]) {
+    const { to, cc } = await resolveRecipients(message(), p);
+    assert.deepEqual(addresses(to), ["marco@rossi-travel.example"]);
+    assert.deepEqual(cc, []);
+  }
+});
+
+test("reply-all copies the others on To and Cc, without the Tab mailbox", async () => {
+  const { to, cc, removed } = await resolveRecipients(message(), replyAll);
+  assert.deepEqual(addresses(to), ["marco@rossi-travel.example"]);
+  assert.deepEqual(addresses(cc), ["giulia@rossi-travel.example", "accounts@rossi-travel.example"]);
+  assert.deepEqual(
+    removed.map((r) => [r.address, r.reason]),
+    [
+      ["hello@tab.travel", "own_domain"],
+      ["sales@tab.travel", "own_domain"],
+    ]
+  );
+});
+
+test("reply-all leaves out our own subdomains and the profile's own domains", async () => {
+  const { cc } = await resolveRecipients(
+    message({ cc_fields: [{ address: "ops@eu.tab.travel" }, { address: "team@partner-desk.example" }] }),
+    { ...replyAll, ownDomains: ["partner-desk.example"] }
+  );
+  assert.deepEqual(addresses(cc), ["giulia@rossi-travel.example"]);
+});
+
+test("each address is used once, whatever its case or line", async () => {
+  const { to, cc } = await resolveRecipients(
+    message({
+      to_fields: [{ address: "Giulia@Rossi-Travel.example" }, { address: "MARCO@rossi-travel.example" }],
+      cc_fields: [{ address: "giulia@rossi-travel.example" }, { address: "marco@rossi-travel.example" }],
+    }),
+    replyAll
+  );
+  assert.deepEqual(addresses(to), ["marco@rossi-travel.example"]);
+  assert.deepEqual(addresses(cc), ["giulia@rossi-travel.example"]);
+});
+
+test("replies to Reply-To instead of the sender", async () => {
+  const { to } = await resolveRecipients(
+    message({ reply_to_fields: [{ name: "Bookings", address: "bookings@rossi-travel.example" }] }),
+    profile
+  );
+  assert.deepEqual(to, [{ name: "Bookings", address: "bookings@rossi-travel.example" }]);
+});
+
+test("drops suppressed and malformed addresses", async () => {
+  await suppress("accounts@rossi-travel.example");
+  const { cc, removed } = await resolveRecipients(
+    message({ to_fields: [{ address: "not-an-address" }] }),
+    replyAll
+  );
+  assert.deepEqual(addresses(cc), []);
+  assert.deepEqual(
+    removed.map((r) => [r.address, r.reason]),
+    [
+      ["not-an-address", "invalid"],
+      ["accounts@rossi-travel.example", "suppressed"],
+      ["sales@tab.travel", "own_domain"],
+    ]
+  );
+});
+
+test("with no usable sender, reply-all writes to the first copied colleague", async () => {
+  const { to, cc } = await resolveRecipients(message({ from_field: { address: "" } }), replyAll);
+  assert.deepEqual(addresses(to), ["giulia@rossi-travel.example"]);
+  assert.deepEqual(addresses(cc), ["accounts@rossi-travel.example"]);
+
+  const alone = await resolveRecipients(message({ from_field: { address: "" } }), profile);
+  assert.deepEqual(alone.to, []);
+  assert.match(alone.reason, /no sender address/);
+});
+
+test("a suppressed sender gets no draft, even with colleagues on copy", async () => {
+  await suppress("marco@rossi-travel.example");
+  const { to, reason } = await resolveRecipients(message(), replyAll);
+  assert.deepEqual(to, []);
+  assert.match(reason, /unsubscribed/);
+});
@@ -0,0 +1,72 @@
+// test/redact.test.js
+// The PII corpus (fixtures/pii/corpus.json) through the redaction layer (lib/redact.js) with
+// the configured detectors and allowlist, and what restore() puts back into a draft. Each
+// sample lists the values that must be replaced by a placeholder of the given type; samples
+// with an empty list must come back unchanged.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { DETECTORS, createRedactor, loadRedactionConfig } = require("../lib/redact");
+
+const { samples } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "pii", "corpus.json"), "utf8"));
+const config = loadRedactionConfig();
+
+for (const sample of samples) {
+  test(`corpus: ${sample.text}`, () => {
+    const redacted = createRedactor(config).redact(sample.text);
+    for (const { type, value } of sample.expect) {
+      assert.ok(!redacted.includes(value), `${type} "${value}" not redacted: ${redacted}`);
+      assert.ok(redacted.includes(`[${type.toUpperCase()}_`), `no ${type} placeholder: ${redacted}`);
+    }
+    if (sample.expect.length === 0) assert.equal(redacted, sample.text, "false positive");
+
+    // Every sample round-trips when all types are restored and the sender wrote it
+    const everything = createRedactor({ ...config, restore: Object.keys(DETECTORS) });
+    assert.equal(everything.restore(everything.redact(sample.text), { own: sample.text }), sample.text);
+  });
+}
+
+const CUSTOMER = "jane.cooper@acme-tours.example";
+const thread = [
+  `From: Jane Cooper <${CUSTOMER}>`,
+  "Please call me on +44 7700 900123. Our accountant is bob@ledger.example, 07700 900456.",
+].join("\n");
+
+test("restore puts back only the sender's own email and phone", () => {
+  const redactor = createRedactor(config);
+  const redacted = redactor.redact(thread);
+  const [own, accountant] = redacted.match(/\[EMAIL_\d\]/g);
+  const [ownPhone, accountantPhone] = redacted.match(/\[PHONE_\d\]/g);
+  const draft = `<p>We'll write to ${own} and call ${ownPhone}, not ${accountant} or ${accountantPhone}.</p>`;
+
+  const restored = redactor.restore(draft, { own: `${CUSTOMER}\nPlease call me on +44 7700 900123.` });
+  assert.equal(
+    restored,
+    "<p>We'll write to jane.cooper@acme-tours.example and call +44 7700 900123, not [email address] or •••• 456.</p>"
+  );
+});
+
+test("restore masks everything when the sender is unknown", () => {
+  const redactor = createRedactor(config);
+  const [email] = redactor.redact(thread).match(/\[EMAIL_\d\]/g);
+  assert.equal(redactor.restore(`<p>${email}</p>`), "<p>[email address]</p>");
+});
+
+test("restore masks types that are not restorable, even the sender's own", () => {
+  const redactor = createRedactor(config);
+  const text = "My card is 4111 1111 1111 1111.";
+  const [card] = redactor.redact(text).match(/\[CARD_\d\]/g);
+  assert.equal(redactor.restore(`<p>Card ${card}</p>`, { own: text }), "<p>Card •••• 1111</p>");
+});
+
+test("placeholders the model made up are removed and reported", () => {
+  const redactor = createRedactor(config);
+  const redacted = redactor.redact(thread);
+  const [phone] = redacted.match(/\[PHONE_\d\]/g);
+  const draft = `<p>Call ${phone} or [PHONE_9], or write to [EMAIL_7].</p>`;
+
+  assert.deepEqual(redactor.unknownPlaceholders(draft), ["[PHONE_9]", "[EMAIL_7]"]);
+  assert.equal(redactor.restore(draft, { own: thread }), "<p>Call +44 7700 900123 or , or write to .</p>");
+});
@@ -0,0 +1,99 @@
+// test/retry.test.js
+// The retry policy (lib/retry.js): Retry-After parsing, which failures are retried, the
+// backoff delay, and withRetry waiting out Retry-After (with mocked timers).
+
+process.env.LOG_LEVEL = "error";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRetryAfter, httpError, isRetryable, backoffDelay, withRetry } = require("../lib/retry");
+
+const NOW = Date.parse("2026-03-15T12:00:00Z");
+
+/** Let every pending promise callback run. */
+const flush = () => new Promise((r) => setImmediate(r));
+
+/** Error with an HTTP status, as httpError throws them. */
+const httpFailure = (status, retryAfterMs = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfterMs });
+
+const RETRY_AFTER = [
+  // [header, milliseconds or null]
+  ["120", 120000],
+  ["0", 0],
+  ["1.5", 1500],
+  ["Sun, 15 Mar 2026 12:00:30 GMT", 30000],
+  ["Sun, 15 Mar 2026 11:59:00 GMT", 0],
+  ["", null],
+  [null, null],
+  ["soon", null],
+];
+
+for (const [header, ms] of RETRY_AFTER) {
+  test(`Retry-After ${JSON.stringify(header)} → ${ms}`, () => {
+    assert.equal(parseRetryAfter(header, NOW), ms);
+  });
+}
+
+test("httpError carries the status, the body and Retry-After", async () => {
+  const resp = { status: 429, text: async () => "slow down", headers: new Headers({ "retry-after": "7" }) };
+  const err = await httpError("Missive get message failed", resp);
+  assert.equal(err.message, "Missive get message failed: slow down");
+  assert.equal(err.status, 429);
+  assert.equal(err.retryAfterMs, 7000);
+});
+
+test("rate limits, server and network errors are retried; client errors are not", () => {
+  const network = Object.assign(new Error("fetch failed"), { cause: { code: "ECONNRESET" } });
+  for (const err of [httpFailure(429), httpFailure(500), httpFailure(503), new TypeError("fetch failed"), network]) {
+    assert.equal(isRetryable(err), true, err.message);
+  }
+  const marked = Object.assign(new Error("lock busy"), { retryable: true });
+  assert.equal(isRetryable(marked), true);
+  for (const err of [httpFailure(400), httpFailure(401), httpFailure(404), new Error("bad input"), null]) {
+    assert.equal(isRetryable(err), false, err?.message);
+  }
+});
+
+test("backoff doubles up to its cap, with full jitter, and never undercuts Retry-After", () => {
+  const top = () => 1;
+  assert.deepEqual([0, 1, 2, 3, 10].map((attempt) => backoffDelay(attempt, { baseMs: 500, maxMs: 3000, random: top })), [500, 1000, 2000, 3000, 3000]);
+  assert.equal(backoffDelay(2, { baseMs: 500, random: () => 0.5 }), 1000);
+  assert.equal(backoffDelay(0, { baseMs: 500, random: top, retryAfterMs: 20000 }), 20000);
+  assert.equal(backoffDelay(3, { baseMs: 500, random: top, retryAfterMs: 100 }), 4000);
+});
+
+test("withRetry waits for Retry-After before the next attempt, even beyond maxMs", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const attempts = [];
+  const run = withRetry(
+    async (attempt) => {
+      attempts.push(attempt);
+      if (attempt === 0) throw httpFailure(429, 20000);
+      return "ok";
+    },
+    { baseMs: 1, maxMs: 8000 }
+  );
+
+  await flush();
+  assert.deepEqual(attempts, [0]);
+  t.mock.timers.tick(19999);
+  await flush();
+  assert.deepEqual(attempts, [0]);
+  t.mock.timers.tick(1);
+  assert.equal(await run, "ok");
+  assert.deepEqual(attempts, [0, 1]);
+});
+
+test("withRetry gives up after `attempts`, and at once on a permanent failure", async () => {
+  let calls = 0;
+  const failing = (err) => async () => {
+    calls += 1;
+    throw err;
+  };
+  await assert.rejects(withRetry(failing(httpFailure(503, 0)), { attempts: 3, baseMs: 1 }), /HTTP 503/);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetry(failing(httpFailure(400)), { baseMs: 1 }), /HTTP 400/);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,74 @@
+// test/webhook-auth.test.js
+// authenticateDelivery on a signed Missive payload (fixtures/webhooks): the statuses the
+// webhook answers with and the replay window.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { WebhookAuthError, authenticateDelivery, releaseDelivery, signPayload } = require("../lib/webhook-auth");
+const { createMemoryStore, setStore } = require("../lib/store");
+
+const SECRET = "test-webhook-secret";
+const body = fs.readFileSync(path.join(__dirname, "..", "fixtures", "webhooks", "incoming-email.json"));
+const DELIVERED_AT = JSON.parse(body).latest_message.delivered_at * 1000;
+
+const signed = (raw = body, secret = SECRET) => ({ "x-hook-signature": signPayload(raw, secret) });
+const authenticate = (raw, headers, now = DELIVERED_AT + 60000) => authenticateDelivery(raw, headers, { secret: SECRET, now });
+
+/** Assert the promise rejects with a WebhookAuthError carrying this status. */
+async function rejectsWith(promise, status) {
+  await assert.rejects(promise, (err) => err instanceof WebhookAuthError && err.status === status);
+}
+
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("accepts a correctly signed, recent delivery", async () => {
+  const { payload, deliveryId, dated } = await authenticate(body, signed());
+  assert.equal(payload.conversation.id, "demo-single");
+  assert.match(deliveryId, /^[0-9a-f]{32}$/);
+  assert.equal(dated, true);
+});
+
+test("answers 401 for a missing or wrong signature", async () => {
+  await rejectsWith(authenticate(body, {}), 401);
+  await rejectsWith(authenticate(body, signed(body, "another-secret")), 401);
+});
+
+test("answers 401 when the body was changed after signing", async () => {
+  const tampered = Buffer.from(body.toString("utf8").replace("demo-single", "demo-other"));
+  await rejectsWith(authenticate(tampered, signed()), 401);
+});
+
+test("answers 409 for a replay of an accepted delivery", async () => {
+  await authenticate(body, signed());
+  await rejectsWith(authenticate(body, signed()), 409);
+});
+
+test("accepts a delivery released after a failure again", async () => {
+  const { deliveryId } = await authenticate(body, signed());
+  await releaseDelivery(deliveryId);
+  assert.equal((await authenticate(body, signed())).deliveryId, deliveryId);
+});
+
+test("answers 401 for a correctly signed but stale delivery", async () => {
+  await rejectsWith(authenticate(body, signed(), DELIVERED_AT + 2 * 3600000), 401);
+  await rejectsWith(authenticate(body, signed(), DELIVERED_AT + 30 * 86400000), 401);
+});
+
+test("answers 401 for a stale replay of a delivery accepted when it was recent", async () => {
+  await authenticate(body, signed());
+  // Long after the replay key expired, the timestamps still refuse it
+  setStore(createMemoryStore());
+  await rejectsWith(authenticate(body, signed(), DELIVERED_AT + 30 * 86400000), 401);
+});
+
+test("accepts an undated delivery on the replay key alone", async () => {
+  const undated = Buffer.from(JSON.stringify({ conversation: { id: "demo-single" } }));
+  assert.equal((await authenticate(undated, signed(undated))).dated, false);
+  await rejectsWith(authenticate(undated, signed(undated)), 409);
+});
+
+test("refuses to run without a secret", async () => {
+  await assert.rejects(authenticateDelivery(body, signed(), { secret: "" }), /MISSIVE_WEBHOOK_SECRET/);
+});
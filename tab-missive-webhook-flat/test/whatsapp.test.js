@@ -0,0 +1,112 @@
+// test/whatsapp.test.js
+// WhatsApp handoffs (lib/whatsapp.js): which number the team is given, from the message or
+// its signature, the customer's acknowledgement, and the assigned post (lib/classification.js).
+
+process.env.LOG_LEVEL = "error";
+delete process.env.CLASSIFICATION_ACTIONS;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { whatsappHandoff, acknowledgementHtml } = require("../lib/whatsapp");
+const { classificationActionProblems, routeClassification } = require("../lib/classification");
+const { createStubMissiveClient } = require("../lib/missive-stub");
+const { localeFor } = require("../lib/language");
+const { getProfile } = require("../lib/inbox-config");
+
+/** The customer's latest message, with its lines as HTML paragraphs. */
+const message = (...lines) => ({
+  from_field: { name: "Sophie Martin", address: "sophie@chalet-alpin.example" },
+  body: lines.map((l) => `<p>${l}</p>`).join(""),
+});
+
+const HANDOFFS = [
+  // [what, message, language, e164 or null, source, candidates]
+  ["an international number", message("Can we talk on WhatsApp? +44 7700 900123"), "en", "+447700900123", "message", 1],
+  ["a 00 prefix", message("WhatsApp me on 0034 612 345 678 please"), "en", "+34612345678", "message", 1],
+  ["a French national number with dots", message("Pouvez-vous m'écrire sur WhatsApp au 06.12.34.56.78 ?"), "fr", "+33612345678", "message", 1],
+  ["a UK national number with spaces", message("Message me on WhatsApp: 07700 900123"), "en", "+447700900123", "message", 1],
+  [
+    "the signature when the message has none",
+    message("Could we continue this on WhatsApp?", "", "--", "Sophie Martin", "Chalet Alpin", "Mob. +33 6 12 34 56 78"),
+    "en",
+    "+33612345678",
+    "signature",
+    1,
+  ],
+  [
+    "the message over the signature",
+    message("My WhatsApp is +44 7700 900123", "", "--", "Sophie Martin", "Mob. +33 6 12 34 56 78"),
+    "en",
+    "+447700900123",
+    "message",
+    1,
+  ],
+  ["the international number of a national and an international one", message("Call 07700 900123 or WhatsApp +33 6 12 34 56 78"), "en", "+33612345678", "message", 1],
+  ["nothing when it is unclear which is theirs", message("WhatsApp +44 7700 900123 or +34 612 345 678"), "en", null, "message", 2],
+  ["nothing from a landline", message("Happy to use WhatsApp, my office is 020 7946 0958"), "en", null, null, 0],
+  ["nothing from a booking reference", message("WhatsApp works, booking 20240611"), "en", null, null, 0],
+];
+
+for (const [what, msg, language, e164, source, candidates] of HANDOFFS) {
+  test(`handoff takes ${what}`, () => {
+    const handoff = whatsappHandoff({ message: msg, subject: "WhatsApp", language });
+    assert.equal(handoff.phone?.e164 ?? null, e164);
+    if (e164) assert.equal(handoff.phone.source, source);
+    assert.equal(handoff.candidates.length, candidates);
+  });
+}
+
+test("the team's post gives the number, or says why there is none", () => {
+  const found = whatsappHandoff({ message: message("WhatsApp +44 7700 900123"), subject: "Card reader", language: "en" });
+  assert.match(found.markdown, /^\*\*WhatsApp handoff\*\*/);
+  assert.match(found.markdown, /- Number: \*\*\+447700900123\*\* \(GB, from the message, written "\+44 7700 900123"\)/);
+  assert.match(found.markdown, /- Customer: Sophie Martin <sophie@chalet-alpin.example>/);
+  assert.match(found.markdown, /- Subject: Card reader/);
+
+  const unclear = whatsappHandoff({ message: message("WhatsApp +44 7700 900123 or +34 612 345 678"), language: "en" });
+  assert.match(unclear.markdown, /- Number: unclear — the message has 2 numbers \(\+447700900123 .*\+34612345678/);
+
+  const none = whatsappHandoff({ message: message("WhatsApp please"), language: "en" });
+  assert.match(none.markdown, /- Number: not found/);
+});
+
+test("the acknowledgement confirms the number, or asks for it, in the reply language", () => {
+  const locale = localeFor(getProfile(), "fr");
+  assert.equal(
+    acknowledgementHtml(locale, { e164: "+33612345678" }),
+    "<p>Merci pour votre message. Un membre de notre équipe vous contactera très bientôt sur WhatsApp au +33612345678.</p>"
+  );
+  assert.match(acknowledgementHtml(locale, null), /votre numéro WhatsApp, avec l'indicatif du pays/);
+});
+
+test("the handoff post is assigned to the WhatsApp team when configured", async () => {
+  const client = createStubMissiveClient({});
+  process.env.CLASSIFICATION_ACTIONS = JSON.stringify({
+    whatsapp: { organization: "org-1", team: "team-wa", assignees: ["user-7"] },
+  });
+  try {
+    assert.deepEqual(classificationActionProblems(), []);
+    const done = await routeClassification("whatsapp", { client, conversationId: "c1", markdown: "handoff" });
+    assert.equal(done.assigned, true);
+    assert.deepEqual(client.posts, [
+      { conversation: "c1", markdown: "handoff", organization: "org-1", team: "team-wa", force_team: true, add_assignees: ["user-7"] },
+    ]);
+  } finally {
+    delete process.env.CLASSIFICATION_ACTIONS;
+  }
+});
+
+test("without an assignment the handoff is only posted, and health reports it", async () => {
+  const client = createStubMissiveClient({});
+  const done = await routeClassification("whatsapp", { client, conversationId: "c1", markdown: "handoff" });
+  assert.equal(done.assigned, false);
+  assert.deepEqual(client.posts, [{ conversation: "c1", markdown: "handoff" }]);
+  assert.match(classificationActionProblems().join("\n"), /CLASSIFICATION_ACTIONS.whatsapp needs organization and team or assignees/);
+
+  process.env.CLASSIFICATION_ACTIONS = JSON.stringify({ whatsapp: { team: "team-wa" } });
+  try {
+    assert.match(classificationActionProblems().join("\n"), /CLASSIFICATION_ACTIONS.whatsapp sets team\/assignees without organization/);
+  } finally {
+    delete process.env.CLASSIFICATION_ACTIONS;
+  }
+});
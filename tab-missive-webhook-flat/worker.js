@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Local queue worker: polls the job queue (QUEUE_DRIVER, see lib/queue.js) and runs due
+ * jobs through lib/worker.js — the same code api/missive-worker.js runs on Vercel.
+ *
+ * Usage:
+ *   node worker.js                  # poll every WORKER_POLL_MS (default 2000) until Ctrl+C
+ *   node worker.js --once           # run everything that is due, then exit
+ *   node worker.js --dead           # list dead-lettered jobs
+ *   node worker.js --requeue <id>   # move a dead-lettered job back onto the queue
+ */
+
+const { getQueue } = require('./lib/queue');
+const { drainQueue } = require('./lib/worker');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function parseArgs(argv) {
+  const opts = { once: false, dead: false, requeue: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--once') opts.once = true;
+    else if (arg === '--dead') opts.dead = true;
+    else if (arg === '--requeue') opts.requeue = argv[++i];
+  }
+  return opts;
+}
+
+function printResults(results) {
+  for (const r of results) {
+    const icon = { done: '✅', retrying: '🔁', waiting: '⏳', dead: '💀' }[r.status];
+    console.log(`${icon} ${r.id} ${r.status}${r.error ? `: ${r.error}` : ''}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const queue = getQueue();
+
+  if (opts.dead) {
+    const dead = await queue.listDead();
+    if (dead.length === 0) console.log('✅ No dead-lettered jobs');
+    for (const job of dead) {
+      console.log(`💀 ${job.id} ${job.type} ${JSON.stringify(job.payload)}`);
+      console.log(`   ${job.attempts} attempt(s), failed ${new Date(job.failedAt).toISOString()}: ${job.lastError?.message}`);
+    }
+    return;
+  }
+
+  if (opts.requeue) {
+    const job = await queue.requeue(opts.requeue);
+    if (!job) throw new Error(`No dead-lettered job ${opts.requeue}`);
+    console.log(`🔁 Requeued ${job.id}`);
+    return;
+  }
+
+  if (opts.once) {
+    printResults(await drainQueue({ queue }));
+    return;
+  }
+
+  const pollMs = Number(process.env.WORKER_POLL_MS || 2000);
+  console.log(`👷 Worker polling every ${pollMs}ms`);
+  for (;;) {
+    printResults(await drainQueue({ queue }));
+    await sleep(pollMs);
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 Worker failed:', error.message);
+  process.exit(1);
+});